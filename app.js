@@ -0,0 +1,220 @@
+/**
+ * app.js
+ * -------
+ * This file builds the Express application.
+ *
+ * Responsibilities:
+ * - Expose the health checks (GET /healthz, GET /readyz)
+ * - Expose the Prometheus metrics (GET /metrics, see utils/metrics.js)
+ * - Configure global middleware (request IDs & access logs first)
+ * - Register all API routes and their documentation
+ *   (GET /api/openapi.json, GET /api/docs)
+ * - Register the final error handler
+ *
+ * It does NOT connect to MongoDB or listen on a port: server.js does
+ * that at startup, and the tests (test/) mount the app on a random
+ * port against an in-memory database.
+ *
+ * The settings come from config/ (validated when first required).
+ *
+ * app.locals.shuttingDown is set by server.js on SIGTERM / SIGINT:
+ * readiness turns to 503 and keep-alive connections are closed.
+ */
+
+// Import the Express framework to create a backend web server
+const express = require("express");
+
+// Import CORS to allow frontend applications (React) to access backend APIs
+const cors = require("cors");
+
+// Validated settings (CORS origins, trust proxy)
+const config = require("./config");
+
+// Give every request an ID and write one access log entry per request
+const { requestLogger, recordMountPath } = require("./middleware/requestLogger");
+
+// Count and time every request per route
+const { metricsMiddleware } = require("./middleware/metricsMiddleware");
+
+// Rate limiting of every API request
+const { rateLimit } = require("./middleware/rateLimitMiddleware");
+const { RATE_LIMITS } = require("./config/rateLimits");
+
+// Import the liveness / readiness probes
+const healthRoutes = require("./routes/healthRoutes");
+
+// Import the Prometheus metrics route
+const metricsRoutes = require("./routes/metricsRoutes");
+
+// Import authentication-related routes
+// Handles user registration and login
+const authRoutes = require("./routes/authRoutes");
+
+// Import book-related routes
+// Handles CRUD operations on books
+const bookRoutes = require("./routes/bookRoutes");
+
+// Import user-related routes
+// Handles profile and account management
+const userRoutes = require("./routes/userRoutes");
+
+// Import the API documentation routes
+// Serves the OpenAPI document and the docs page
+const docsRoutes = require("./routes/docsRoutes");
+
+// Import the final error-handling middleware
+// Converts thrown errors into the common JSON error envelope
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+
+// --------------------------------------------------
+// API ROUTERS
+// --------------------------------------------------
+// Every API router with the path it is mounted at
+// Express does not keep mount paths, so they are listed here:
+// the OpenAPI test (test/openapi.test.js) reads them to list every route
+const API_ROUTERS = [
+  // Documentation
+  // GET /api/openapi.json
+  // GET /api/docs
+  { path: "/api", router: docsRoutes },
+
+  // Authentication routes
+  // Examples:
+  // POST /api/auth/register
+  // POST /api/auth/login
+  // GET  /api/auth/me
+  { path: "/api/auth", router: authRoutes },
+
+  // Book routes
+  // Examples:
+  // GET    /api/books
+  // POST   /api/books
+  // PUT    /api/books/:id
+  // DELETE /api/books/:id
+  { path: "/api/books", router: bookRoutes },
+
+  // User routes
+  // Examples:
+  // GET    /api/users/me
+  // PATCH  /api/users/me
+  // GET    /api/users          (admin)
+  // PATCH  /api/users/:id/role (admin)
+  { path: "/api/users", router: userRoutes }
+];
+
+/**
+ * Create the Express application
+ *
+ * options (default: the configuration):
+ * - trustProxy   → Express "trust proxy" setting, used to read the client
+ *                  IP from X-Forwarded-For behind a proxy (TRUST_PROXY)
+ * - corsOrigin   → allowed CORS origins, true for every origin (CORS_ORIGINS)
+ * - metrics      → expose and record metrics (METRICS_ENABLED)
+ * - metricsToken → bearer token required by GET /metrics, null for none
+ *                  (METRICS_TOKEN)
+ */
+const createApp = ({
+  trustProxy = config.trustProxy,
+  corsOrigin = config.corsOrigins,
+  metrics = config.metricsEnabled,
+  metricsToken = config.metricsToken
+} = {}) => {
+  // Create an Express application instance
+  // This app object handles all HTTP requests and responses
+  const app = express();
+
+  // Behind a reverse proxy / load balancer, read the client IP from
+  // X-Forwarded-For (used by the rate limits and access logs)
+  app.set("trust proxy", trustProxy);
+
+  // Set to true when the server starts shutting down
+  app.locals.shuttingDown = false;
+
+  // Checked by GET /metrics (middleware/metricsMiddleware.js)
+  app.locals.metricsToken = metricsToken;
+
+  // --------------------------------------------------
+  // HEALTH CHECKS
+  // --------------------------------------------------
+
+  // Registered before the access log: probes run every few seconds
+  // GET /healthz → liveness, GET /readyz → readiness
+  app.use(healthRoutes);
+
+  // Scraped every few seconds too, and not counted in its own metrics
+  // GET /metrics → Prometheus text format
+  if (metrics) {
+    app.use(metricsRoutes);
+  }
+
+  // --------------------------------------------------
+  // GLOBAL MIDDLEWARE
+  // --------------------------------------------------
+
+  // Registered first so every response, even an error, is logged
+  app.use(requestLogger);
+
+  // Labels requests with their route (see matchedRoute)
+  if (metrics) {
+    app.use(metricsMiddleware);
+  }
+
+  // While shutting down, close keep-alive connections after each
+  // response so clients reconnect to another instance
+  app.use((req, res, next) => {
+    if (app.locals.shuttingDown) {
+      res.set("Connection", "close");
+    }
+    next();
+  });
+
+  // Enable CORS so frontend applications can communicate with backend
+  // In production, CORS_ORIGINS must list the allowed domains
+  app.use(
+    cors({
+      origin: corsOrigin,
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+      allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id", "If-Match", "If-None-Match"],
+      // Let the frontend read book versions, request IDs and rate-limit state
+      exposedHeaders: ["ETag", "X-Request-Id", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"]
+    })
+  );
+
+  // Enable JSON body parsing
+  // Required to read data sent in POST / PUT / PATCH requests
+  // PATCH documents use their own JSON media types
+  app.use(
+    express.json({
+      type: ["application/json", "application/merge-patch+json", "application/json-patch+json"]
+    })
+  );
+
+  // Limit every API request per client IP
+  // Sensitive auth routes have stricter limits of their own
+  app.use("/api", rateLimit("api-ip", RATE_LIMITS.api));
+
+  // --------------------------------------------------
+  // ROUTE REGISTRATION
+  // --------------------------------------------------
+
+  // Register the documentation, authentication, book and user routes
+  // (see API_ROUTERS). recordMountPath keeps the mount path for the
+  // access log and metrics, which Express forgets after an error.
+  for (const { path, router } of API_ROUTERS) {
+    app.use(path, recordMountPath, router);
+  }
+
+  // --------------------------------------------------
+  // ERROR HANDLING
+  // --------------------------------------------------
+
+  // Unknown routes → 404 ROUTE_NOT_FOUND
+  app.use(notFound);
+
+  // Must be registered LAST, after every route
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp, API_ROUTERS };
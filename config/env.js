@@ -0,0 +1,440 @@
+/**
+ * env.js
+ * -------
+ * This file defines and validates the application settings.
+ *
+ * Responsibilities:
+ * - Declare every setting read from the environment (name, type, limits)
+ * - Apply the defaults and rules of the environment profile (NODE_ENV)
+ * - Turn the raw strings into typed values (numbers, booleans, lists)
+ * - Report EVERY invalid setting at once (ConfigError)
+ *
+ * loadConfig() is pure: it only reads the object it is given.
+ * The settings of the running process are loaded by config/index.js.
+ *
+ * Profiles:
+ * - development → local defaults (MongoDB on localhost, every CORS origin)
+ * - test        → fast hashing, in-memory mail, no rate limits
+ * - production  → no default database, explicit CORS origins, https APP_URL
+ */
+
+// The request validation engine also validates settings
+const { validateValues } = require("../validators");
+
+// Log levels known by utils/logger.js
+const { LEVELS } = require("../utils/logger");
+
+// --------------------------------------------------
+// ERROR
+// --------------------------------------------------
+
+/**
+ * Invalid configuration
+ * errors: [{ field: "JWT_SECRET", message: "must be at least 32 characters" }]
+ */
+class ConfigError extends Error {
+  constructor(errors) {
+    super(
+      `Invalid configuration:\n${errors.map(({ field, message }) => `- ${field} ${message}`).join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+// --------------------------------------------------
+// FORMATS
+// --------------------------------------------------
+
+// mongodb://host[:port][,host...]/db?options or mongodb+srv://...
+// (several hosts are allowed, so WHATWG URL parsing cannot be used)
+const MONGO_URL_PATTERN = /^mongodb(\+srv)?:\/\/[^\s/?#]+(\/[^\s?#]*)?(\?\S*)?$/;
+
+// Token lifetime: a number of seconds, or a number with a unit
+const DURATION_PATTERN = /^(\d+)\s*(s|m|h|d)?$/;
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Trust proxy: true, false, a hop count, or proxy addresses / names
+const TRUST_PROXY_PATTERN = /^(true|false|\d+|[\w.:/-]+(\s*,\s*[\w.:/-]+)*)$/;
+
+// Parse an http(s) URL, or return null
+const parseHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:" ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+// Convert a duration ("15m", "1h", "3600") into seconds
+const toSeconds = (value) => {
+  const [, amount, unit = "s"] = DURATION_PATTERN.exec(value);
+  return Number(amount) * DURATION_UNITS[unit];
+};
+
+// Express "trust proxy" value
+const toTrustProxy = (value) => {
+  if (value === undefined || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value.split(",").map((entry) => entry.trim());
+};
+
+// --------------------------------------------------
+// SETTINGS
+// --------------------------------------------------
+// Rules use the syntax of validators/index.js
+const SETTINGS = {
+  NODE_ENV: { type: "string", enum: ["development", "test", "production"] },
+  PORT: { type: "integer", min: 0, max: 65535 },
+  MONGO_URL: {
+    type: "string",
+    required: true,
+    trim: true,
+    pattern: MONGO_URL_PATTERN,
+    patternMessage: "must be a mongodb:// or mongodb+srv:// URL"
+  },
+
+  // Lifecycle: longest wait between connection attempts,
+  // time given to in-flight requests on SIGTERM / SIGINT
+  MONGO_RETRY_MAX_SECONDS: { type: "integer", min: 1, max: 300 },
+  SHUTDOWN_TIMEOUT_SECONDS: { type: "integer", min: 1, max: 300 },
+
+  // Secrets: HS256 needs at least 256 bits of key material
+  JWT_SECRET: { type: "string", required: true, minLength: 32 },
+  CURSOR_SECRET: { type: "string", minLength: 32 },
+
+  // Token lifetimes
+  ACCESS_TOKEN_EXPIRES_IN: {
+    type: "string",
+    trim: true,
+    pattern: DURATION_PATTERN,
+    patternMessage: "must be a duration such as 900, 15m or 1h",
+    custom: (value) =>
+      DURATION_PATTERN.test(value) && (toSeconds(value) < 60 || toSeconds(value) > 24 * 60 * 60)
+        ? "must be between 1 minute and 24 hours"
+        : null
+  },
+  REFRESH_TOKEN_TTL_DAYS: { type: "integer", min: 1, max: 365 },
+  EMAIL_VERIFICATION_TTL_MINUTES: { type: "integer", min: 5, max: 7 * 24 * 60 },
+  PASSWORD_RESET_TTL_MINUTES: { type: "integer", min: 5, max: 24 * 60 },
+  REQUIRE_EMAIL_VERIFICATION: { type: "boolean" },
+
+  // bcrypt work factor: every step doubles the hashing time
+  BCRYPT_COST: { type: "integer", min: 10, max: 15 },
+
+  // HTTP
+  // CORS_ORIGINS = * | comma-separated origins (https://app.example.com)
+  CORS_ORIGINS: {
+    type: "array",
+    minItems: 1,
+    items: {
+      type: "string",
+      required: true,
+      trim: true,
+      custom: (value) => {
+        const url = parseHttpUrl(value);
+        return value === "*" || (url && url.origin === value)
+          ? null
+          : "must be * or an origin such as https://app.example.com";
+      }
+    },
+    custom: (origins) =>
+      origins.length > 1 && origins.includes("*") ? "cannot combine * with other origins" : null
+  },
+  TRUST_PROXY: {
+    type: "string",
+    trim: true,
+    pattern: TRUST_PROXY_PATTERN,
+    patternMessage: "must be true, false, a number of proxies or a list of proxy addresses"
+  },
+  APP_URL: {
+    type: "string",
+    trim: true,
+    custom: (value) => (parseHttpUrl(value) ? null : "must be an http(s) URL")
+  },
+
+  // Logging (read by utils/logger.js)
+  LOG_LEVEL: { type: "string", enum: Object.keys(LEVELS) },
+
+  // Prometheus metrics (GET /metrics)
+  // With METRICS_TOKEN set, scrapers must send "Authorization: Bearer <token>"
+  METRICS_ENABLED: { type: "boolean" },
+  METRICS_TOKEN: { type: "string", minLength: 32 },
+
+  // Mail
+  MAIL_TRANSPORT: { type: "string", enum: ["file", "memory"] },
+  MAIL_FROM: { type: "string", trim: true, format: "email" },
+  MAIL_OUTBOX_DIR: { type: "string", trim: true },
+
+  // Rate limiting (applied by config/rateLimits.js)
+  // Each limit allows <LIMIT> requests per <WINDOW_MINUTES>
+  RATE_LIMIT_ENABLED: { type: "boolean" },
+  RATE_LIMIT_STORE: { type: "string", enum: ["memory", "mongo"] },
+  API_RATE_LIMIT_PER_IP: { type: "integer", min: 1, max: 100000 },
+  API_RATE_WINDOW_MINUTES: { type: "integer", min: 1, max: 24 * 60 },
+  LOGIN_RATE_LIMIT_PER_IP: { type: "integer", min: 1, max: 10000 },
+  LOGIN_RATE_LIMIT_PER_ACCOUNT: { type: "integer", min: 1, max: 10000 },
+  LOGIN_RATE_WINDOW_MINUTES: { type: "integer", min: 1, max: 24 * 60 },
+  REGISTER_RATE_LIMIT_PER_IP: { type: "integer", min: 1, max: 10000 },
+  REGISTER_RATE_WINDOW_MINUTES: { type: "integer", min: 1, max: 24 * 60 },
+  EMAIL_RATE_LIMIT_PER_IP: { type: "integer", min: 1, max: 10000 },
+  EMAIL_RATE_LIMIT_PER_ACCOUNT: { type: "integer", min: 1, max: 10000 },
+  EMAIL_RATE_WINDOW_MINUTES: { type: "integer", min: 1, max: 24 * 60 },
+
+  // Login lockout: locked after THRESHOLD consecutive failures,
+  // for BASE_MINUTES doubling up to MAX_MINUTES
+  LOGIN_LOCKOUT_THRESHOLD: { type: "integer", min: 1, max: 100 },
+  LOGIN_LOCKOUT_BASE_MINUTES: { type: "integer", min: 1, max: 24 * 60 },
+  LOGIN_LOCKOUT_MAX_MINUTES: { type: "integer", min: 1, max: 7 * 24 * 60 },
+  LOGIN_LOCKOUT_RESET_MINUTES: { type: "integer", min: 1, max: 30 * 24 * 60 },
+
+  // Password policy (config/passwordPolicy.js)
+  // bcrypt only uses the first 72 bytes of a password
+  PASSWORD_MIN_LENGTH: { type: "integer", min: 6, max: 72 },
+  PASSWORD_REQUIRE_LETTER: { type: "boolean" },
+  PASSWORD_REQUIRE_UPPERCASE: { type: "boolean" },
+  PASSWORD_REQUIRE_NUMBER: { type: "boolean" },
+  PASSWORD_REQUIRE_SYMBOL: { type: "boolean" },
+
+  // Request size limits
+  MAX_PAGE_LIMIT: { type: "integer", min: 1, max: 1000 },
+  BULK_MAX_OPERATIONS: { type: "integer", min: 1, max: 1000 },
+  IMPORT_MAX_FILE_MB: { type: "integer", min: 1, max: 100 },
+  API_KEY_MAX_TTL_DAYS: { type: "integer", min: 1, max: 3650 },
+
+  // Book trash
+  TRASH_RETENTION_DAYS: { type: "integer", min: 1, max: 3650 },
+  TRASH_PURGE_INTERVAL_MINUTES: { type: "integer", min: 1, max: 7 * 24 * 60 }
+};
+
+// Defaults shared by every profile
+const DEFAULTS = {
+  PORT: 8800,
+  MONGO_RETRY_MAX_SECONDS: 30,
+  SHUTDOWN_TIMEOUT_SECONDS: 10,
+  ACCESS_TOKEN_EXPIRES_IN: "1h",
+  REFRESH_TOKEN_TTL_DAYS: 7,
+  EMAIL_VERIFICATION_TTL_MINUTES: 24 * 60,
+  PASSWORD_RESET_TTL_MINUTES: 30,
+  REQUIRE_EMAIL_VERIFICATION: false,
+  BCRYPT_COST: 10,
+  TRUST_PROXY: "false",
+  LOG_LEVEL: "info",
+  METRICS_ENABLED: true,
+  MAIL_TRANSPORT: "file",
+  MAIL_FROM: "no-reply@bookapp.local",
+  MAIL_OUTBOX_DIR: "outbox",
+  RATE_LIMIT_ENABLED: true,
+  RATE_LIMIT_STORE: "memory",
+  API_RATE_LIMIT_PER_IP: 300,
+  API_RATE_WINDOW_MINUTES: 1,
+  LOGIN_RATE_LIMIT_PER_IP: 20,
+  LOGIN_RATE_LIMIT_PER_ACCOUNT: 10,
+  LOGIN_RATE_WINDOW_MINUTES: 15,
+  REGISTER_RATE_LIMIT_PER_IP: 5,
+  REGISTER_RATE_WINDOW_MINUTES: 60,
+  EMAIL_RATE_LIMIT_PER_IP: 10,
+  EMAIL_RATE_LIMIT_PER_ACCOUNT: 3,
+  EMAIL_RATE_WINDOW_MINUTES: 60,
+  LOGIN_LOCKOUT_THRESHOLD: 5,
+  LOGIN_LOCKOUT_BASE_MINUTES: 1,
+  LOGIN_LOCKOUT_MAX_MINUTES: 60,
+  LOGIN_LOCKOUT_RESET_MINUTES: 24 * 60,
+  PASSWORD_MIN_LENGTH: 8,
+  PASSWORD_REQUIRE_LETTER: true,
+  PASSWORD_REQUIRE_UPPERCASE: false,
+  PASSWORD_REQUIRE_NUMBER: true,
+  PASSWORD_REQUIRE_SYMBOL: false,
+  MAX_PAGE_LIMIT: 100,
+  BULK_MAX_OPERATIONS: 100,
+  IMPORT_MAX_FILE_MB: 5,
+  API_KEY_MAX_TTL_DAYS: 365,
+  TRASH_RETENTION_DAYS: 30,
+  TRASH_PURGE_INTERVAL_MINUTES: 60
+};
+
+// --------------------------------------------------
+// PROFILES
+// --------------------------------------------------
+// Each profile adds defaults and overrides rules
+const PROFILES = {
+  development: {
+    defaults: {
+      MONGO_URL: "mongodb://localhost:27017/bookdb",
+      CORS_ORIGINS: "*"
+    },
+    rules: {}
+  },
+
+  test: {
+    defaults: {
+      MONGO_URL: "mongodb://localhost:27017/bookdb-test",
+      CORS_ORIGINS: "*",
+      BCRYPT_COST: 4,
+      MAIL_TRANSPORT: "memory",
+      RATE_LIMIT_ENABLED: false
+    },
+    rules: {
+      // Cheap hashes keep the test suite fast
+      BCRYPT_COST: { ...SETTINGS.BCRYPT_COST, min: 4 }
+    }
+  },
+
+  production: {
+    defaults: {},
+    rules: {
+      CORS_ORIGINS: {
+        ...SETTINGS.CORS_ORIGINS,
+        required: true,
+        custom: (origins) =>
+          origins.includes("*") ? "must list the allowed origins (* is refused in production)" : null
+      },
+      APP_URL: {
+        ...SETTINGS.APP_URL,
+        custom: (value) => (parseHttpUrl(value)?.protocol === "https:" ? null : "must be an https URL")
+      }
+    }
+  }
+};
+
+// Cross-setting checks
+const refine = (values) => {
+  const errors = [];
+  const {
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_TTL_DAYS,
+    LOGIN_LOCKOUT_BASE_MINUTES,
+    LOGIN_LOCKOUT_MAX_MINUTES
+  } = values;
+
+  if (
+    ACCESS_TOKEN_EXPIRES_IN && REFRESH_TOKEN_TTL_DAYS &&
+    toSeconds(ACCESS_TOKEN_EXPIRES_IN) >= REFRESH_TOKEN_TTL_DAYS * DURATION_UNITS.d
+  ) {
+    errors.push({
+      field: "ACCESS_TOKEN_EXPIRES_IN",
+      message: "must be shorter than REFRESH_TOKEN_TTL_DAYS"
+    });
+  }
+
+  if (LOGIN_LOCKOUT_BASE_MINUTES > LOGIN_LOCKOUT_MAX_MINUTES) {
+    errors.push({
+      field: "LOGIN_LOCKOUT_BASE_MINUTES",
+      message: "must not exceed LOGIN_LOCKOUT_MAX_MINUTES"
+    });
+  }
+
+  return errors;
+};
+
+// --------------------------------------------------
+// LOADING
+// --------------------------------------------------
+
+/**
+ * Validate the settings of an environment (e.g. process.env)
+ * Returns the frozen, typed configuration or throws ConfigError
+ */
+const loadConfig = (env) => {
+  const profileName = env.NODE_ENV || "development";
+  const profile = PROFILES[profileName];
+
+  if (!profile) {
+    throw new ConfigError([
+      { field: "NODE_ENV", message: `must be one of: ${Object.keys(PROFILES).join(", ")}` }
+    ]);
+  }
+
+  // Profile rules replace the generic rules; defaults fill missing values
+  const rules = {};
+  for (const [name, rule] of Object.entries({ ...SETTINGS, ...profile.rules })) {
+    const defaultValue = profile.defaults[name] ?? DEFAULTS[name];
+    rules[name] = defaultValue === undefined ? rule : { ...rule, default: defaultValue };
+  }
+
+  const { values, errors } = validateValues(env, rules);
+
+  // Cross-setting checks need valid values
+  if (errors.length === 0) {
+    errors.push(...refine(values));
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors.map(({ field, message }) => ({ field, message })));
+  }
+
+  const corsOrigins = [].concat(values.CORS_ORIGINS);
+
+  return Object.freeze({
+    env: profileName,
+    isProduction: profileName === "production",
+    isTest: profileName === "test",
+
+    port: values.PORT,
+    mongoUrl: values.MONGO_URL,
+    mongoRetryMaxSeconds: values.MONGO_RETRY_MAX_SECONDS,
+    shutdownTimeoutSeconds: values.SHUTDOWN_TIMEOUT_SECONDS,
+    trustProxy: toTrustProxy(values.TRUST_PROXY),
+    // true lets every origin through (cors package)
+    corsOrigins: corsOrigins.includes("*") ? true : Object.freeze(corsOrigins),
+    // Links in emails append a path: no trailing slash
+    appUrl: values.APP_URL ? values.APP_URL.replace(/\/+$/, "") : null,
+
+    jwtSecret: values.JWT_SECRET,
+    cursorSecret: values.CURSOR_SECRET || values.JWT_SECRET,
+    accessTokenTtlSeconds: toSeconds(values.ACCESS_TOKEN_EXPIRES_IN),
+    refreshTokenTtlDays: values.REFRESH_TOKEN_TTL_DAYS,
+    emailVerificationTtlMinutes: values.EMAIL_VERIFICATION_TTL_MINUTES,
+    passwordResetTtlMinutes: values.PASSWORD_RESET_TTL_MINUTES,
+    requireEmailVerification: values.REQUIRE_EMAIL_VERIFICATION,
+    bcryptCost: values.BCRYPT_COST,
+
+    logLevel: values.LOG_LEVEL,
+
+    metricsEnabled: values.METRICS_ENABLED,
+    metricsToken: values.METRICS_TOKEN || null,
+
+    mailTransport: values.MAIL_TRANSPORT,
+    mailFrom: values.MAIL_FROM,
+    mailOutboxDir: values.MAIL_OUTBOX_DIR,
+
+    rateLimitEnabled: values.RATE_LIMIT_ENABLED,
+    rateLimitStore: values.RATE_LIMIT_STORE,
+    apiRateLimitPerIp: values.API_RATE_LIMIT_PER_IP,
+    apiRateWindowMinutes: values.API_RATE_WINDOW_MINUTES,
+    loginRateLimitPerIp: values.LOGIN_RATE_LIMIT_PER_IP,
+    loginRateLimitPerAccount: values.LOGIN_RATE_LIMIT_PER_ACCOUNT,
+    loginRateWindowMinutes: values.LOGIN_RATE_WINDOW_MINUTES,
+    registerRateLimitPerIp: values.REGISTER_RATE_LIMIT_PER_IP,
+    registerRateWindowMinutes: values.REGISTER_RATE_WINDOW_MINUTES,
+    emailRateLimitPerIp: values.EMAIL_RATE_LIMIT_PER_IP,
+    emailRateLimitPerAccount: values.EMAIL_RATE_LIMIT_PER_ACCOUNT,
+    emailRateWindowMinutes: values.EMAIL_RATE_WINDOW_MINUTES,
+
+    loginLockoutThreshold: values.LOGIN_LOCKOUT_THRESHOLD,
+    loginLockoutBaseMinutes: values.LOGIN_LOCKOUT_BASE_MINUTES,
+    loginLockoutMaxMinutes: values.LOGIN_LOCKOUT_MAX_MINUTES,
+    loginLockoutResetMinutes: values.LOGIN_LOCKOUT_RESET_MINUTES,
+
+    passwordMinLength: values.PASSWORD_MIN_LENGTH,
+    passwordRequireLetter: values.PASSWORD_REQUIRE_LETTER,
+    passwordRequireUppercase: values.PASSWORD_REQUIRE_UPPERCASE,
+    passwordRequireNumber: values.PASSWORD_REQUIRE_NUMBER,
+    passwordRequireSymbol: values.PASSWORD_REQUIRE_SYMBOL,
+
+    maxPageLimit: values.MAX_PAGE_LIMIT,
+    bulkMaxOperations: values.BULK_MAX_OPERATIONS,
+    importMaxFileMb: values.IMPORT_MAX_FILE_MB,
+    apiKeyMaxTtlDays: values.API_KEY_MAX_TTL_DAYS,
+
+    trashRetentionDays: values.TRASH_RETENTION_DAYS,
+    trashPurgeIntervalMinutes: values.TRASH_PURGE_INTERVAL_MINUTES
+  });
+};
+
+module.exports = {
+  ConfigError,
+  PROFILES,
+  loadConfig
+};
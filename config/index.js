@@ -0,0 +1,28 @@
+/**
+ * config/index.js
+ * ----------------
+ * This file loads the settings of the running process.
+ *
+ * Responsibilities:
+ * - Load the .env file into process.env (existing variables win)
+ * - Validate every setting once (see config/env.js)
+ *
+ * Usage:
+ * const config = require("../config");
+ * jwt.sign(payload, config.jwtSecret);
+ *
+ * Requiring this file throws ConfigError when a setting is invalid:
+ * server.js reports every problem and refuses to start.
+ */
+
+// Import dotenv to load environment variables from the .env file
+const dotenv = require("dotenv");
+
+// Load .env first: some modules (e.g. utils/logger.js) read
+// process.env when they are first required
+// quiet: the logger reports startup, not dotenv
+dotenv.config({ quiet: true });
+
+const { loadConfig } = require("./env");
+
+module.exports = loadConfig(process.env);
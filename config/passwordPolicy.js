@@ -0,0 +1,67 @@
+/**
+ * passwordPolicy.js
+ * ------------------
+ * This file defines the password policy of the application.
+ *
+ * Responsibilities:
+ * - Read the password rules from the validated settings
+ *   (PASSWORD_MIN_LENGTH, PASSWORD_REQUIRE_*, see config/env.js)
+ * - Check a password against those rules
+ *
+ * Used when a password is chosen (register, reset, change),
+ * never when a password is checked at login.
+ */
+
+// Validated settings
+const config = require("./index");
+
+// --------------------------------------------------
+// POLICY
+// --------------------------------------------------
+// bcrypt only uses the first 72 bytes of a password,
+// so longer passwords are rejected instead of silently truncated
+const PASSWORD_POLICY = Object.freeze({
+  minLength: config.passwordMinLength,
+  maxLength: 72,
+  requireLetter: config.passwordRequireLetter,
+  requireUppercase: config.passwordRequireUppercase,
+  requireNumber: config.passwordRequireNumber,
+  requireSymbol: config.passwordRequireSymbol
+});
+
+/**
+ * Check a password against the policy
+ * Returns a list of human-readable problems (empty if valid)
+ */
+const checkPassword = (password, policy = PASSWORD_POLICY) => {
+  const problems = [];
+
+  if (typeof password !== "string") {
+    return ["must be a string"];
+  }
+  if (password.length < policy.minLength) {
+    problems.push(`must be at least ${policy.minLength} characters`);
+  }
+  if (Buffer.byteLength(password) > policy.maxLength) {
+    problems.push(`must be at most ${policy.maxLength} bytes`);
+  }
+  if (policy.requireLetter && !/[a-z]/i.test(password)) {
+    problems.push("must contain a letter");
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push("must contain an uppercase letter");
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    problems.push("must contain a number");
+  }
+  if (policy.requireSymbol && !/[^a-z0-9]/i.test(password)) {
+    problems.push("must contain a symbol");
+  }
+
+  return problems;
+};
+
+module.exports = {
+  PASSWORD_POLICY,
+  checkPassword
+};
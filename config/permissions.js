@@ -0,0 +1,144 @@
+/**
+ * permissions.js
+ * ---------------
+ * This file defines the authorization policy of the application.
+ *
+ * Responsibilities:
+ * - List the roles known to the system
+ * - Map every protected action to the roles allowed to perform it
+ * - Decide whether a user owns (or may manage) a given resource
+ * - Map API key scopes to the actions they allow
+ *
+ * The policy table is the single source of truth for "who can do what".
+ * Middleware and controllers read from here instead of hard-coding roles.
+ */
+
+// --------------------------------------------------
+// ROLES
+// --------------------------------------------------
+// Must stay in sync with the "role" enum in models/User.js
+const ROLES = Object.freeze({
+  USER: "user",
+  ADMIN: "admin"
+});
+
+// --------------------------------------------------
+// POLICY TABLE
+// --------------------------------------------------
+// Each action maps to:
+// - roles     → roles allowed to perform the action at all
+// - ownership → if true, non-admin users may only act on
+//               resources they created (checked in controllers)
+const POLICIES = Object.freeze({
+  "book:create": { roles: [ROLES.USER, ROLES.ADMIN], ownership: false },
+  "book:update": { roles: [ROLES.USER, ROLES.ADMIN], ownership: true },
+  "book:delete": { roles: [ROLES.USER, ROLES.ADMIN], ownership: true },
+  "book:bulk": { roles: [ROLES.ADMIN], ownership: false },
+  "book:export": { roles: [ROLES.USER, ROLES.ADMIN], ownership: false },
+  "book:import": { roles: [ROLES.ADMIN], ownership: false },
+  "book:trash": { roles: [ROLES.ADMIN], ownership: false },
+  "book:history": { roles: [ROLES.USER, ROLES.ADMIN], ownership: true },
+  "book:revert": { roles: [ROLES.ADMIN], ownership: false },
+  "user:manage": { roles: [ROLES.ADMIN], ownership: false },
+  admin: { roles: [ROLES.ADMIN], ownership: false }
+});
+
+// --------------------------------------------------
+// API KEY SCOPES
+// --------------------------------------------------
+// A request made with an API key must be allowed twice:
+// by the owner's role (policy table) AND by one of the key's scopes.
+// - actions  → protected actions the scope allows
+// - readOnly → if true, only for GET / HEAD requests
+// - roles    → roles allowed to create a key with this scope
+//
+// Public routes (e.g. GET /api/books) need no scope at all.
+const SCOPES = Object.freeze({
+  // Read the catalog, exports, history and trash
+  read: {
+    actions: ["book:export", "book:history", "book:trash"],
+    readOnly: true,
+    roles: [ROLES.USER, ROLES.ADMIN]
+  },
+
+  // Everything on books the owner's role allows
+  "books:write": {
+    actions: Object.keys(POLICIES).filter((action) => action.startsWith("book:")),
+    readOnly: false,
+    roles: [ROLES.USER, ROLES.ADMIN]
+  },
+
+  // Everything, including user management
+  admin: {
+    actions: Object.keys(POLICIES),
+    readOnly: false,
+    roles: [ROLES.ADMIN]
+  }
+});
+
+// Methods that do not change anything
+const SAFE_METHODS = ["GET", "HEAD"];
+
+/**
+ * Check whether a role may perform an action.
+ * Unknown actions are always denied.
+ */
+const hasPermission = (role, action) => {
+  const policy = POLICIES[action];
+  return Boolean(policy && policy.roles.includes(role));
+};
+
+/**
+ * Check whether a user may act on a specific resource.
+ *
+ * - Admins may act on every resource
+ * - Other users only on resources whose "createdBy" is their own ID
+ * - Resources without an owner (e.g. seeded data) are admin-only
+ */
+const canActOnResource = (user, resource, action) => {
+  if (!user || !hasPermission(user.role, action)) {
+    return false;
+  }
+
+  const policy = POLICIES[action];
+
+  if (!policy.ownership || user.role === ROLES.ADMIN) {
+    return true;
+  }
+
+  return Boolean(
+    resource &&
+      resource.createdBy &&
+      resource.createdBy.toString() === String(user.id)
+  );
+};
+
+/**
+ * Check whether API key scopes allow an action for an HTTP method.
+ * Unknown scopes allow nothing.
+ */
+const scopeAllows = (scopes, action, method) =>
+  scopes.some((scope) => {
+    const definition = SCOPES[scope];
+    return Boolean(
+      definition &&
+        definition.actions.includes(action) &&
+        (!definition.readOnly || SAFE_METHODS.includes(method))
+    );
+  });
+
+/**
+ * Check whether a role may create a key with a scope.
+ */
+const canGrantScope = (role, scope) =>
+  Boolean(SCOPES[scope] && SCOPES[scope].roles.includes(role));
+
+module.exports = {
+  ROLES,
+  POLICIES,
+  SCOPES,
+  hasPermission,
+  canActOnResource,
+  scopeAllows,
+  canGrantScope
+};
@@ -0,0 +1,96 @@
+/**
+ * rateLimits.js
+ * --------------
+ * This file defines the rate limits and the login lockout policy.
+ *
+ * Responsibilities:
+ * - Read the limits from the validated settings (config/env.js)
+ * - Compute how long an account stays locked after failed logins
+ *
+ * The limits are applied by middleware/rateLimitMiddleware.js,
+ * the lockout by controllers/authController.js (see utils/loginLockout.js).
+ */
+
+// Validated settings (RATE_LIMIT_ENABLED, limits, lockout policy)
+const config = require("./index");
+
+// Minutes → milliseconds
+const minutes = (value) => value * 60 * 1000;
+
+// Rate limiting can be turned off (e.g. behind a gateway that already does it)
+const RATE_LIMIT_ENABLED = config.rateLimitEnabled;
+
+// --------------------------------------------------
+// RATE LIMITS
+// --------------------------------------------------
+// Each limit allows "max" requests per "windowMs"
+const RATE_LIMITS = Object.freeze({
+  // Every /api request, per client IP
+  api: {
+    windowMs: minutes(config.apiRateWindowMinutes),
+    max: config.apiRateLimitPerIp
+  },
+
+  // Login attempts per client IP
+  loginIp: {
+    windowMs: minutes(config.loginRateWindowMinutes),
+    max: config.loginRateLimitPerIp
+  },
+
+  // Login attempts per email address, from any IP
+  // Counted for unknown emails too, so it reveals nothing
+  loginAccount: {
+    windowMs: minutes(config.loginRateWindowMinutes),
+    max: config.loginRateLimitPerAccount
+  },
+
+  // Registrations per client IP
+  register: {
+    windowMs: minutes(config.registerRateWindowMinutes),
+    max: config.registerRateLimitPerIp
+  },
+
+  // Requests that send an email (password reset), per IP and per email
+  emailIp: {
+    windowMs: minutes(config.emailRateWindowMinutes),
+    max: config.emailRateLimitPerIp
+  },
+  emailAccount: {
+    windowMs: minutes(config.emailRateWindowMinutes),
+    max: config.emailRateLimitPerAccount
+  }
+});
+
+// --------------------------------------------------
+// LOGIN LOCKOUT
+// --------------------------------------------------
+// After "threshold" consecutive failed logins the account is locked.
+// The lock doubles with every further failure:
+// baseMinutes, 2 × baseMinutes, 4 × baseMinutes, ... up to maxMinutes.
+// Failures older than resetMinutes are forgotten.
+const LOGIN_LOCKOUT = Object.freeze({
+  threshold: config.loginLockoutThreshold,
+  baseMs: minutes(config.loginLockoutBaseMinutes),
+  maxMs: minutes(config.loginLockoutMaxMinutes),
+  resetMs: minutes(config.loginLockoutResetMinutes)
+});
+
+/**
+ * How long to lock an account after its n-th consecutive failure
+ * Returns 0 while n is below the threshold
+ */
+const lockoutDuration = (failures, policy = LOGIN_LOCKOUT) => {
+  if (failures < policy.threshold) {
+    return 0;
+  }
+
+  const doublings = Math.min(failures - policy.threshold, 30);
+  return Math.min(policy.baseMs * 2 ** doublings, policy.maxMs);
+};
+
+module.exports = {
+  RATE_LIMIT_ENABLED,
+  RATE_LIMITS,
+  LOGIN_LOCKOUT,
+  lockoutDuration
+};
@@ -0,0 +1,113 @@
+/**
+ * apiKeyController.js
+ * --------------------
+ * This file handles API key management.
+ * It contains functions for:
+ * 1. Creating an API key for the current user
+ * 2. Listing the current user's API keys
+ * 3. Revoking (deleting) an API key
+ *
+ * Responsibilities:
+ * - Generate keys and store only their hash
+ * - Check that the user's role may grant the requested scopes
+ *   (see SCOPES in config/permissions.js)
+ *
+ * Keys are checked on each request by middleware/authMiddleware.js.
+ *
+ * Errors are thrown (see errors/AppError.js) and turned into
+ * JSON responses by middleware/errorHandler.js.
+ *
+ * This file DOES NOT define routes or server configuration.
+ */
+
+// Import the ApiKey model
+const ApiKey = require("../models/ApiKey");
+
+// Wrapper forwarding async errors to middleware/errorHandler.js
+const asyncHandler = require("../utils/asyncHandler");
+
+// Import application errors
+const { ForbiddenError, NotFoundError } = require("../errors/AppError");
+
+// Import the scope policy
+const { canGrantScope } = require("../config/permissions");
+
+// Key generation (plain key + hash)
+const { generateApiKey } = require("../utils/tokens");
+
+// What a client sees of a key: never the hash
+const toClientView = (apiKey) => ({
+  ...apiKey.toJSON(),
+  active: apiKey.isActive()
+});
+
+// ----------------------------------------------------
+// CREATE API KEY
+// ----------------------------------------------------
+// Triggered when POST /api/auth/api-keys is called
+// Body: { "name": "...", "scopes": ["read"], "expiresInDays": 90 }
+//
+// The plain key is returned ONCE, in this response.
+exports.createApiKey = asyncHandler(async (req, res) => {
+
+  // Validated body: known scopes, optional lifetime
+  const { name, expiresInDays } = req.body;
+  const scopes = [...new Set(req.body.scopes)];
+
+  // A key cannot do more than its owner (e.g. "admin" needs an admin)
+  const denied = scopes.find((scope) => !canGrantScope(req.user.role, scope));
+  if (denied) {
+    throw new ForbiddenError("SCOPE_NOT_ALLOWED", { details: { scope: denied } });
+  }
+
+  const { key, keyHash, prefix } = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    user: req.user.id,
+    name,
+    keyHash,
+    prefix,
+    scopes,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null
+  });
+
+  res.status(201).json({
+    message: "Store this key now: it cannot be shown again",
+    key,
+    apiKey: toClientView(apiKey)
+  });
+});
+
+// ----------------------------------------------------
+// LIST API KEYS
+// ----------------------------------------------------
+// Triggered when GET /api/auth/api-keys is called
+// Expired keys are listed too (active: false) until deleted
+exports.listApiKeys = asyncHandler(async (req, res) => {
+
+  const apiKeys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+  res.status(200).json({ apiKeys: apiKeys.map(toClientView) });
+});
+
+// ----------------------------------------------------
+// REVOKE API KEY
+// ----------------------------------------------------
+// Triggered when DELETE /api/auth/api-keys/:id is called
+// The key stops working immediately
+exports.deleteApiKey = asyncHandler(async (req, res) => {
+
+  // Users can only revoke their own keys
+  const apiKey = await ApiKey.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!apiKey) {
+    throw new NotFoundError("API_KEY_NOT_FOUND");
+  }
+
+  res.status(200).json({ message: "API key revoked" });
+});
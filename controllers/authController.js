@@ -5,50 +5,153 @@
  * It contains functions for:
  * 1. Registering a new user
  * 2. Logging in an existing user
+ * 3. Refreshing access tokens (rotating refresh tokens)
+ * 4. Logging out of one or all sessions
+ * 5. Verifying email addresses
+ * 6. Resetting forgotten passwords
+ *
+ * Brute-force protection:
+ * - Requests are rate limited in routes/authRoutes.js
+ * - Repeated failed logins lock the account (see utils/loginLockout.js)
+ * - Register and login answer the same way whether or not an email
+ *   has an account, so they cannot be used to enumerate users
  *
  * Responsibilities:
  * - Validate input data
  * - Interact with the User model
  * - Hash passwords using bcrypt
  * - Generate JWT tokens for authentication
+ * - Manage sessions and refresh tokens
+ * - Send verification and password reset emails
+ *
+ * Errors are thrown (see errors/AppError.js) and turned into
+ * JSON responses by middleware/errorHandler.js.
  *
  * This file DOES NOT define routes or server configuration.
  */
 
+// Node's built-in crypto module (random dummy password)
+const crypto = require("crypto");
+
 // Import User model to interact with the users collection in MongoDB
 const User = require("../models/User");
 
 // bcrypt is used to hash and compare passwords securely
 const bcrypt = require("bcryptjs");
 
-// jsonwebtoken is used to generate and verify JWT tokens
-const jwt = require("jsonwebtoken");
+// Validated settings (token lifetimes, bcrypt cost)
+const config = require("../config");
+
+// Wrapper forwarding async errors to middleware/errorHandler.js
+const asyncHandler = require("../utils/asyncHandler");
+
+// Import application errors
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError
+} = require("../errors/AppError");
+
+// Import session and refresh token models
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+
+// Token helpers: access token signing, refresh token hashing and rotation
+const {
+  hashToken,
+  createExpiringToken,
+  signAccessToken,
+  createRefreshToken,
+  issueSession,
+  revokeSession,
+  revokeAllSessions
+} = require("../utils/tokens");
+
+// Mailer used for verification and password reset emails
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountExistsEmail
+} = require("../utils/mailer");
+
+// Progressive lockout after failed logins
+const {
+  lockRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+} = require("../utils/loginLockout");
+
+// Login success / failure counters (GET /metrics)
+const { metrics } = require("../utils/metrics");
+
+// ----------------------------------------------------
+// CONFIGURATION
+// ----------------------------------------------------
+// How long verification and reset tokens stay valid (minutes)
+const EMAIL_VERIFICATION_TTL_MINUTES = config.emailVerificationTtlMinutes;
+const PASSWORD_RESET_TTL_MINUTES = config.passwordResetTtlMinutes;
+
+// If true, users must verify their email before they can log in
+const REQUIRE_EMAIL_VERIFICATION = config.requireEmailVerification;
+
+// Hash of a random password nobody knows
+// Compared when the email is unknown or the account is locked, so a
+// login takes as long whether or not the account exists (same cost as real hashes)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(
+  crypto.randomBytes(16).toString("hex"),
+  config.bcryptCost
+);
+
+// Same response for new and already registered emails
+const REGISTERED_MESSAGE = "User registered successfully";
+
+/**
+ * Count a failed login by its error code (or a more precise reason
+ * the client must not see), then return the error
+ * Usage: throw loginFailed(new BadRequestError("INVALID_CREDENTIALS"));
+ */
+const loginFailed = (err, reason = err.code) => {
+  metrics.loginFailures.inc({ reason });
+  return err;
+};
+
+/**
+ * Tell the owner of an existing account that someone tried to
+ * register with their email (instead of telling the client)
+ */
+const notifyExistingAccount = async (req, user) => {
+  try {
+    await sendAccountExistsEmail(user);
+  } catch (err) {
+    req.log.error("Account exists email could not be sent", { err, userId: String(user._id) });
+  }
+};
 
 // ----------------------------------------------------
 // REGISTER USER
 // ----------------------------------------------------
 // This function handles user registration
 // Triggered when POST /api/auth/register is called
-exports.register = async (req, res) => {
+exports.register = asyncHandler(async (req, res) => {
 
   // Extract required fields from request body
+  // The body was already validated by validators/authValidators.js:
+  // email format and password policy (config/passwordPolicy.js)
   const { username, email, password } = req.body;
 
-  // Validate input: all fields must be provided
-  if (!username || !email || !password) {
-    return res.status(400).json({ message: "All fields required" });
-  }
+  // Hash the plain text password before storing in database
+  // The cost factor is the BCRYPT_COST setting
+  // Hashed first so an existing email does not answer faster
+  const hashedPassword = await bcrypt.hash(password, config.bcryptCost);
 
-  // Check if a user with the same email already exists
+  // An existing email gets the same response as a new registration:
+  // the owner is told by email, the client learns nothing
   const existing = await User.findOne({ email });
   if (existing) {
-    return res.status(400).json({ message: "User already exists" });
+    await notifyExistingAccount(req, existing);
+    return res.status(201).json({ message: REGISTERED_MESSAGE });
   }
 
-  // Hash the plain text password before storing in database
-  // 10 is the salt rounds (recommended default)
-  const hashedPassword = await bcrypt.hash(password, 10);
-
   // Create a new User document
   const user = new User({
     username,
@@ -57,19 +160,40 @@ exports.register = async (req, res) => {
     role: "user"               // default role assigned
   });
 
+  // Attach a single-use email verification token (hash only)
+  const verification = createExpiringToken(EMAIL_VERIFICATION_TTL_MINUTES);
+  user.emailVerificationTokenHash = verification.tokenHash;
+  user.emailVerificationExpires = verification.expiresAt;
+
   // Save user data to MongoDB
-  await user.save();
+  // The same email may have been registered in the meantime
+  try {
+    await user.save();
+  } catch (err) {
+    if (err.code === 11000 && err.keyPattern?.email) {
+      return res.status(201).json({ message: REGISTERED_MESSAGE });
+    }
+    throw err;
+  }
+
+  // Email the plain token to the user
+  // A mail failure must not undo a successful registration
+  try {
+    await sendVerificationEmail(user, verification.token);
+  } catch (err) {
+    req.log.error("Verification email could not be sent", { err, userId: String(user._id) });
+  }
 
   // Send success response
-  res.status(201).json({ message: "User registered successfully" });
-};
+  res.status(201).json({ message: REGISTERED_MESSAGE });
+});
 
 // ----------------------------------------------------
 // LOGIN USER
 // ----------------------------------------------------
 // This function handles user login
 // Triggered when POST /api/auth/login is called
-exports.login = async (req, res) => {
+exports.login = asyncHandler(async (req, res) => {
 
   // Extract login credentials from request body
   const { email, password } = req.body;
@@ -78,37 +202,247 @@ exports.login = async (req, res) => {
   const user = await User.findOne({ email });
 
   // If user does not exist, return error
+  // (after a comparison, so unknown emails are not faster)
   if (!user) {
-    return res.status(400).json({ message: "Invalid credentials" });
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    throw loginFailed(new BadRequestError("INVALID_CREDENTIALS"));
+  }
+
+  // Locked accounts are refused before the password is checked.
+  // They answer exactly like a wrong password (after a comparison of
+  // the same cost): a distinct answer would tell which emails have an
+  // account, since unknown emails never lock.
+  if (lockRemaining(user)) {
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    throw loginFailed(new BadRequestError("INVALID_CREDENTIALS"), "ACCOUNT_LOCKED");
   }
 
   // Compare entered password with hashed password in DB
   const isMatch = await bcrypt.compare(password, user.password);
 
-  // If password does not match, return error
+  // If password does not match, count the failure and return error
+  // Enough consecutive failures lock the account
   if (!isMatch) {
-    return res.status(400).json({ message: "Invalid credentials" });
+    await recordFailedLogin(user);
+    throw loginFailed(new BadRequestError("INVALID_CREDENTIALS"));
   }
 
-  // Generate JWT token
-  // Payload contains user ID and role
-  const token = jwt.sign(
-    { 
-      id: user._id, 
-      role: user.role 
-    },
-    process.env.JWT_SECRET,     // secret key from .env
-    { expiresIn: "1h" }         // token validity
-  );
+  // The right password resets the failure count
+  await clearFailedLogins(user);
+
+  // Disabled accounts cannot log in
+  if (user.disabled) {
+    throw loginFailed(new ForbiddenError("ACCOUNT_DISABLED"));
+  }
+
+  // Optionally refuse accounts whose email is not verified yet
+  if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+    throw loginFailed(new ForbiddenError("EMAIL_NOT_VERIFIED"));
+  }
 
-  // Send token and user info in response
+  // Start a new session
+  // Returns a short-lived JWT access token (payload: id, role, sid)
+  // and a long-lived refresh token used to renew it
+  const { token, refreshToken } = await issueSession(user, req);
+  metrics.loginSuccesses.inc();
+
+  // Send tokens and user info in response
   res.json({
     token,
+    refreshToken,
     user: {
       id: user._id,
       username: user.username,
       email: user.email,
-      role: user.role
+      role: user.role,
+      emailVerified: user.emailVerified
     }
   });
-};
+});
+
+// ----------------------------------------------------
+// REFRESH ACCESS TOKEN
+// ----------------------------------------------------
+// This function exchanges a refresh token for a new token pair
+// Triggered when POST /api/auth/refresh is called
+//
+// Refresh tokens rotate: the presented token is marked as used
+// and a new one is issued in the same session.
+// Presenting an already-used token again means it was leaked,
+// so the whole session (token family) is revoked.
+exports.refresh = asyncHandler(async (req, res) => {
+
+  // Extract refresh token from request body
+  const { refreshToken } = req.body;
+
+  // Look up the token by its hash (plain tokens are never stored)
+  const stored = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken)
+  });
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    throw new UnauthorizedError("REFRESH_TOKEN_INVALID");
+  }
+
+  // Reuse detection: the token was already exchanged before
+  if (stored.usedAt) {
+    await revokeSession(stored.session, "reuse");
+    throw new UnauthorizedError("REFRESH_TOKEN_REUSED");
+  }
+
+  // The session must still be active (not logged out or revoked)
+  const session = await Session.findById(stored.session);
+  if (!session || !session.isActive()) {
+    throw new UnauthorizedError("SESSION_REVOKED");
+  }
+
+  // Atomically mark the token as used
+  // If two requests race with the same token, only one wins;
+  // the loser is treated as a replay
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) {
+    await revokeSession(stored.session, "reuse");
+    throw new UnauthorizedError("REFRESH_TOKEN_REUSED");
+  }
+
+  // The user may have been removed or disabled since the session started
+  const user = await User.findById(session.user);
+  if (!user || user.disabled) {
+    await revokeSession(session._id, user ? "disabled" : "account_deleted");
+    throw new UnauthorizedError("REFRESH_TOKEN_INVALID");
+  }
+
+  // Issue a new token pair in the same session
+  res.json({
+    token: signAccessToken(user, session._id),
+    refreshToken: await createRefreshToken(session)
+  });
+});
+
+// ----------------------------------------------------
+// LOGOUT
+// ----------------------------------------------------
+// This function revokes the current session
+// Triggered when POST /api/auth/logout is called (JWT protected)
+exports.logout = asyncHandler(async (req, res) => {
+
+  // The session ID comes from the "sid" claim of the access token
+  await revokeSession(req.user.sid, "logout");
+
+  res.json({ message: "Logged out successfully" });
+});
+
+// ----------------------------------------------------
+// LOGOUT FROM ALL SESSIONS
+// ----------------------------------------------------
+// This function revokes every session of the current user
+// Triggered when POST /api/auth/logout-all is called (JWT protected)
+exports.logoutAll = asyncHandler(async (req, res) => {
+
+  await revokeAllSessions(req.user.id, "logout_all");
+
+  res.json({ message: "Logged out from all sessions" });
+});
+
+// ----------------------------------------------------
+// VERIFY EMAIL
+// ----------------------------------------------------
+// This function confirms a user's email address
+// Triggered when POST /api/auth/verify-email is called
+exports.verifyEmail = asyncHandler(async (req, res) => {
+
+  // Extract the token received by email
+  const { token } = req.body;
+
+  // Atomically consume the token so it can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      emailVerified: true,
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 }
+    }
+  );
+
+  if (!user) {
+    throw new BadRequestError("VERIFICATION_TOKEN_INVALID");
+  }
+
+  res.json({ message: "Email verified successfully" });
+});
+
+// ----------------------------------------------------
+// FORGOT PASSWORD
+// ----------------------------------------------------
+// This function emails a password reset token
+// Triggered when POST /api/auth/forgot-password is called
+//
+// The response is the same whether or not the email exists,
+// so this endpoint cannot be used to discover accounts.
+exports.forgotPassword = asyncHandler(async (req, res) => {
+
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user) {
+    // Store only the hash of the single-use reset token
+    const reset = createExpiringToken(PASSWORD_RESET_TTL_MINUTES);
+    user.passwordResetTokenHash = reset.tokenHash;
+    user.passwordResetExpires = reset.expiresAt;
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, reset.token);
+    } catch (err) {
+      req.log.error("Password reset email could not be sent", { err, userId: String(user._id) });
+    }
+  }
+
+  res.json({
+    message: "If the email is registered, a reset link has been sent"
+  });
+});
+
+// ----------------------------------------------------
+// RESET PASSWORD
+// ----------------------------------------------------
+// This function sets a new password using a reset token
+// Triggered when POST /api/auth/reset-password is called
+exports.resetPassword = asyncHandler(async (req, res) => {
+
+  // The new password was checked against the password policy
+  const { token, password } = req.body;
+
+  const hashedPassword = await bcrypt.hash(password, config.bcryptCost);
+
+  // Atomically consume the token so it can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    {
+      password: hashedPassword,
+      // Proving ownership of the email also lifts a login lockout
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null,
+      $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 }
+    }
+  );
+
+  if (!user) {
+    throw new BadRequestError("RESET_TOKEN_INVALID");
+  }
+
+  // Whoever knew the old password must not stay logged in
+  await revokeAllSessions(user._id, "password_reset");
+
+  res.json({ message: "Password reset successfully" });
+});
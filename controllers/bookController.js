@@ -5,8 +5,11 @@
  *
  * Responsibilities:
  * - Fetch books with pagination and search
+ * - Fetch a single book
  * - Create a new book
- * - Update an existing book
+ * - Replace (PUT) or patch (PATCH) an existing book
+ * - Insert, update and delete books in bulk
+ * - Export and import the catalog (CSV, JSON, NDJSON)
  * - Delete a book
  *
  * This controller interacts with:
@@ -14,203 +17,1266 @@
  * - Request data (params, query, body)
  * - Sends structured JSON responses
  *
+ * Errors are thrown (see errors/AppError.js) and turned into
+ * JSON responses by middleware/errorHandler.js.
+ *
  * NOTE:
  * Routes define URLs.
  * Controllers define logic.
  */
 
+// Import mongoose to run bulk operations in a transaction
+const mongoose = require("mongoose");
+
 // Import the Book model to interact with the books collection in MongoDB
 const Book = require("../models/Book");
 
+// Import the list endpoint's query language
+const { buildBookQuery } = require("../utils/bookQuery");
+
+// Import the search subsystem (relevance score, suggestions)
+const { SCORE_PROJECTION, suggest } = require("../utils/bookSearch");
+
+// Import cursor pagination helpers
+const {
+  sortKeys,
+  reverseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition
+} = require("../utils/cursor");
+
+// Import the history model and versioning helpers
+const BookHistory = require("../models/BookHistory");
+const { recordBookChange, revertibleFields } = require("../utils/bookHistory");
+
+// Import the catalog file formats (export / import)
+const {
+  FORMATS,
+  EXPORT_COLUMNS,
+  detectFormat,
+  createExportSerializer,
+  readImportFile,
+  duplicateKeys
+} = require("../utils/bookTransfer");
+
+// Import the PATCH document formats
+const { applyMergePatch, applyJsonPatch } = require("../utils/jsonPatch");
+
+// Import the book field list and the complete-book schema
+const { validateRequest } = require("../validators");
+const {
+  BOOK_FIELDS,
+  bookResourceSchema,
+  createBookSchema,
+  bulkOperationSchema
+} = require("../validators/bookValidators");
+
+// Import ETag helpers (optimistic concurrency)
+const { bookETag, listETag, checkIfMatch } = require("../utils/etag");
+
+// Import ownership check from the authorization policy
+const { canActOnResource } = require("../config/permissions");
+
+// Converts any error to the API error format (bulk per-item results)
+const { toAppError } = require("../middleware/errorHandler");
+
+// Wrapper forwarding async errors to middleware/errorHandler.js
+const asyncHandler = require("../utils/asyncHandler");
+
+// Import application errors
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  ValidationError
+} = require("../errors/AppError");
+
+// List fields are emptied (not unset) when a PUT omits them
+const LIST_FIELDS = ["authors", "genres", "tags"];
+
+// PATCH body formats by Content-Type
+// Plain JSON objects are treated as merge patches (partial updates)
+const PATCH_FORMATS = {
+  "application/merge-patch+json": applyMergePatch,
+  "application/json-patch+json": applyJsonPatch,
+  "application/json": applyMergePatch
+};
+
+// Advertised in the Accept-Patch header
+const PATCH_MEDIA_TYPES = ["application/merge-patch+json", "application/json-patch+json"];
+
+// Import rows are checked for duplicates and inserted in batches
+const IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Resolve when the response can take more data again
+ * (or when the client went away)
+ */
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+/**
+ * Fetch one page of books in cursor mode
+ *
+ * - No cursor      → first page
+ * - "after" cursor → the page following the cursor
+ * - "before" cursor → the page preceding the cursor
+ *
+ * One extra record is fetched to know whether another page exists.
+ */
+const findCursorPage = async ({ filter, sort, projection, applied, limit, cursor }) => {
+  // Full, stable sort: requested fields + _id tie-breaker
+  const stableSort = Object.fromEntries(sortKeys(sort));
+
+  // The cursor is only valid for the same filters and sort
+  const queryKey = { filters: applied.filters, sort: applied.sort };
+
+  let position = null;
+  if (cursor) {
+    position = decodeCursor(cursor, stableSort, queryKey);
+    if (!position) {
+      throw new BadRequestError("INVALID_CURSOR");
+    }
+  }
+
+  // Paging backwards = paging forwards in the reversed order
+  const backwards = position?.direction === "before";
+  const querySort = backwards ? reverseSort(stableSort) : stableSort;
+
+  const conditions = [filter];
+  if (position) {
+    conditions.push(cursorCondition(position.values, querySort));
+  }
+
+  // Sort keys are always selected: cursors are built from them
+  const select = projection
+    ? [projection, ...Object.keys(stableSort)].join(" ")
+    : null;
+
+  const records = await Book.find({ $and: conditions })
+    .select(select)
+    .sort(querySort)
+    .limit(limit + 1);
+
+  const hasMore = records.length > limit;
+  const books = records.slice(0, limit);
+  if (backwards) {
+    books.reverse();
+  }
+
+  const first = books[0];
+  const last = books[books.length - 1];
+
+  // Forward: more after if hasMore; earlier pages exist if a cursor was used
+  // Backward: more before if hasMore; later pages always exist
+  const hasNext = backwards ? Boolean(last) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position && first);
+
+  return {
+    books,
+    nextCursor: hasNext ? encodeCursor(last, "after", stableSort, queryKey) : null,
+    prevCursor: hasPrev ? encodeCursor(first, "before", stableSort, queryKey) : null
+  };
+};
+
 /**
  * --------------------------------------------------
  * GET BOOKS (Pagination + Search)
  * --------------------------------------------------
  * API:
- * GET /books
- * GET /books?page=1&limit=5
- * GET /books?search=gatsby
- * GET /books?page=1&limit=5&search=gatsby
+ * GET /api/books
+ * GET /api/books?page=1&limit=5
+ * GET /api/books?search=gatsby
+ * GET /api/books?search="great gatsby"   (exact phrase)
+ * GET /api/books?search=gats*            (prefix)
+ * GET /api/books?page=1&limit=5&search=gatsby
+ * GET /api/books?genre=fiction,classics&language=en
+ * GET /api/books?year[gte]=1900&year[lte]=1960&sort=title,-year
+ * GET /api/books?author=George Orwell&fields=title,year
+ * GET /api/books?paginate=cursor&limit=20
+ * GET /api/books?cursor=<nextCursor>&limit=20
  *
  * Purpose:
  * - Fetch books from database
- * - Support pagination and search
+ * - Support pagination (offset or cursor) and search
+ * - Filter, sort and select fields (see utils/bookQuery.js)
+ * - Echo the applied filters and sort in the response
+ * - Send a weak ETag built from the page's book versions
+ *   (If-None-Match → 304 Not Modified)
  */
-exports.getAllBooks = async (req, res) => {
-  try {
-    // Read query parameters from URL
-    // Math.max ensures page/limit never go below 1
-    const page = Math.max(parseInt(req.query.page) || 1, 1);
-    const limit = Math.max(parseInt(req.query.limit) || 5, 1);
-
-    // Optional search text (trim removes extra spaces)
-    const search = req.query.search?.trim() || "";
-
-    // Calculate how many documents to skip (pagination logic)
-    const skip = (page - 1) * limit;
-
-    // Build MongoDB filter condition
-    // If search exists → search in title OR author (case-insensitive)
-    // Else → empty filter (fetch all)
-    const filter = search
-      ? {
-          $or: [
-            { title: { $regex: search, $options: "i" } },
-            { author: { $regex: search, $options: "i" } }
-          ]
-        }
-      : {};
-
-    // Fetch books and total count in parallel for performance
-    const [books, totalBooks] = await Promise.all([
-      Book.find(filter)
-        .sort({ createdAt: -1 }) // Newest books first
-        .skip(skip)              // Skip records for pagination
-        .limit(limit),           // Limit number of records
-      Book.countDocuments(filter)
-    ]);
-
-    // Send paginated response
-    res.status(200).json({
+exports.getAllBooks = asyncHandler(async (req, res) => {
+  // Read query parameters from URL
+  // Math.max ensures page/limit never go below 1
+  // (the validator rejects limits above MAX_PAGE_LIMIT)
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.max(parseInt(req.query.limit) || 5, 1);
+
+  // Build the MongoDB filter, sort and projection from the
+  // validated query (see utils/bookQuery.js for the syntax)
+  const cursorMode = Boolean(req.query.cursor || req.query.paginate === "cursor");
+  const { filter, sort, projection, textScore, applied } = buildBookQuery(
+    req.query,
+    { cursorMode }
+  );
+
+  // Cursor mode (opt-in): no skip and no count
+  if (cursorMode) {
+    const { books, nextCursor, prevCursor } = await findCursorPage({
+      filter,
+      sort,
+      projection,
+      applied,
+      limit,
+      cursor: req.query.cursor
+    });
+
+    res.set("ETag", listETag(books, { limit, nextCursor, prevCursor, applied }));
+
+    return res.status(200).json({
       success: true,
       data: books,
-      page,
       limit,
-      totalPages: Math.ceil(totalBooks / limit),
-      totalItems: totalBooks
+      nextCursor,
+      prevCursor,
+      filters: applied.filters,
+      sort: applied.sort,
+      fields: applied.fields
     });
-  } catch (err) {
-    // Log error for debugging
-    console.error("GET BOOKS ERROR:", err);
+  }
 
-    // Send generic error response
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch books"
-    });
+  // Offset mode (default)
+  // Calculate how many documents to skip (pagination logic)
+  const skip = (page - 1) * limit;
+
+  // Fetch books and total count in parallel for performance
+  const [books, totalBooks] = await Promise.all([
+    Book.find(filter)
+      .select(projection)      // Only the requested fields
+      .select(textScore ? SCORE_PROJECTION : null) // Relevance score
+      .sort(sort)              // Requested order (default: newest first)
+      .skip(skip)              // Skip records for pagination
+      .limit(limit),           // Limit number of records
+    Book.countDocuments(filter)
+  ]);
+
+  // The ETag lets clients revalidate the page (If-None-Match)
+  res.set("ETag", listETag(books, { page, limit, totalBooks, applied }));
+
+  // Send paginated response
+  res.status(200).json({
+    success: true,
+    data: books,
+    page,
+    limit,
+    totalPages: Math.ceil(totalBooks / limit),
+    totalItems: totalBooks,
+    filters: applied.filters,
+    sort: applied.sort,
+    fields: applied.fields
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * SEARCH SUGGESTIONS (Autocomplete)
+ * --------------------------------------------------
+ * API:
+ * GET /api/books/suggest?q=gat
+ * GET /api/books/suggest?q=geo&limit=5
+ *
+ * Purpose:
+ * - Suggest titles and authors starting with the typed text
+ *   for the frontend search box
+ */
+exports.suggestBooks = asyncHandler(async (req, res) => {
+  const limit = req.query.limit || 10;
+
+  const suggestions = await suggest(req.query.q, limit);
+
+  res.status(200).json({
+    success: true,
+    data: suggestions
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * GET BOOK
+ * --------------------------------------------------
+ * API:
+ * GET /api/books/:id
+ *
+ * Purpose:
+ * - Fetch a single book by ID
+ * - Send its ETag (current version)
+ *   (If-None-Match → 304 Not Modified)
+ */
+exports.getBook = asyncHandler(async (req, res) => {
+  const book = await Book.findById(req.params.id);
+
+  if (!book) {
+    throw new NotFoundError("BOOK_NOT_FOUND");
   }
-};
+
+  res.set("ETag", bookETag(book));
+
+  res.status(200).json({
+    success: true,
+    data: book
+  });
+});
 
 /**
  * --------------------------------------------------
  * CREATE BOOK
  * --------------------------------------------------
  * API:
- * POST /books (JWT protected)
+ * POST /api/books (JWT protected)
  *
  * Purpose:
  * - Create a new book record
+ * - Record the authenticated user as the owner (createdBy)
  */
-exports.createBook = async (req, res) => {
-  try {
-    // Extract data from request body
-    const { title, author, year } = req.body;
+exports.createBook = asyncHandler(async (req, res) => {
+  // Create new Book document
+  // The body was already validated by validators/bookValidators.js
+  // and only contains known book fields
+  // The authenticated user becomes the owner of the book
+  const book = new Book({
+    ...req.body,
+    createdBy: req.user.id
+  });
 
-    // Validate required fields
-    if (!title || !author || !year) {
-      return res.status(400).json({
-        message: "Title, author, and year are required"
-      });
+  // Save book to database
+  const savedBook = await book.save();
+
+  // Record version 1 in the book's history
+  await recordBookChange({
+    before: null,
+    after: savedBook,
+    action: "create",
+    userId: req.user.id
+  });
+
+  // Send success response
+  res.set("ETag", bookETag(savedBook));
+  res.status(201).json({
+    success: true,
+    data: savedBook
+  });
+});
+
+/**
+ * Load a book for a write and run the write preconditions
+ *
+ * - 404 if the book does not exist
+ * - 403 unless the user owns the book or is an admin
+ * - 412 if If-Match does not match the current version
+ */
+const findBookForWrite = async (req, action) => {
+  const book = await Book.findById(req.params.id);
+
+  if (!book) {
+    throw new NotFoundError("BOOK_NOT_FOUND");
+  }
+
+  // Only the owner or an admin may modify the book
+  if (!canActOnResource(req.user, book, action)) {
+    throw new ForbiddenError("NOT_RESOURCE_OWNER");
+  }
+
+  // The client's version must still be the current one
+  checkIfMatch(req, book);
+
+  return book;
+};
+
+/**
+ * The fields of a stored book a client may set
+ * This is the document PATCH operations apply to
+ */
+const toClientView = (book) => {
+  const stored = book.toObject();
+  const view = {};
+
+  for (const field of BOOK_FIELDS) {
+    if (stored[field] != null) {
+      view[field] = stored[field];
     }
+  }
 
-    // Create new Book document
-    const book = new Book({
-      title,
-      author,
-      year
-    });
+  return view;
+};
 
-    // Save book to database
-    const savedBook = await book.save();
+/**
+ * Turn a complete, validated book into the values to store
+ *
+ * Every client field is listed: omitted ones are cleared
+ * (undefined unsets the field, lists become empty).
+ * author and authors are completed from each other.
+ */
+const toReplacement = (values) => {
+  const replacement = {};
 
-    // Send success response
-    res.status(201).json({
-      success: true,
-      data: savedBook
-    });
-  } catch (err) {
-    // Validation or save error
-    res.status(400).json({
-      success: false,
-      message: "Invalid book data"
-    });
+  for (const field of BOOK_FIELDS) {
+    replacement[field] = values[field] ?? undefined;
+  }
+  for (const field of LIST_FIELDS) {
+    replacement[field] = values[field] ?? [];
+  }
+
+  if (!values.authors) {
+    replacement.authors = [values.author];
+  }
+  if (!values.author) {
+    replacement.author = values.authors[0];
   }
+
+  return replacement;
 };
 
+/**
+ * Replace a book's client fields, save it and send the new version
+ * Shared by PUT and PATCH
+ */
+const saveReplacement = async (req, res, book, values) => {
+  // Keep the previous state for the history diff
+  const before = book.toObject();
+
+  // save() runs schema validation and keeps author/authors in sync
+  // and fails with EDIT_CONFLICT if another request saved first
+  book.set(toReplacement(values));
+  const updatedBook = await book.save();
+
+  // Record the new version (skipped if nothing changed)
+  await recordBookChange({
+    before,
+    after: updatedBook,
+    action: "update",
+    userId: req.user.id
+  });
+
+  // Send updated book with its new version
+  res.set("ETag", bookETag(updatedBook));
+  res.status(200).json({
+    success: true,
+    data: updatedBook
+  });
+};
+
+/**
+ * --------------------------------------------------
+ * REPLACE BOOK
+ * --------------------------------------------------
+ * API:
+ * PUT /api/books/:id (JWT protected)
+ *
+ * Purpose:
+ * - Replace an existing book with the complete book sent
+ *   (title and author are required, omitted fields are cleared)
+ * - Only the owner of the book or an admin may update it
+ * - Honor If-Match: 412 when the book changed since the client read it
+ */
+exports.replaceBook = asyncHandler(async (req, res) => {
+  const book = await findBookForWrite(req, "book:update");
+
+  // The body was validated as a complete book (bookResourceSchema)
+  await saveReplacement(req, res, book, req.body);
+});
+
 /**
  * --------------------------------------------------
- * UPDATE BOOK
+ * PATCH BOOK
  * --------------------------------------------------
  * API:
- * PUT /books/:id (JWT protected)
+ * PATCH /api/books/:id (JWT protected)
+ *
+ * Content-Type:
+ * - application/merge-patch+json → JSON Merge Patch (RFC 7396)
+ * - application/json-patch+json  → JSON Patch (RFC 6902)
+ * - application/json             → treated as a merge patch
  *
  * Purpose:
- * - Update an existing book using its ID
+ * - Apply a patch document to an existing book
+ * - The patched book must be a valid complete book
+ * - Only the owner of the book or an admin may update it
+ * - Honor If-Match: 412 when the book changed since the client read it
  */
-exports.updateBook = async (req, res) => {
+exports.patchBook = asyncHandler(async (req, res) => {
+  const contentType = req.is(Object.keys(PATCH_FORMATS));
+  if (!contentType) {
+    res.set("Accept-Patch", PATCH_MEDIA_TYPES.join(", "));
+    throw new UnsupportedMediaTypeError("UNSUPPORTED_MEDIA_TYPE", {
+      details: { supported: PATCH_MEDIA_TYPES }
+    });
+  }
+
+  const book = await findBookForWrite(req, "book:update");
+
+  // The patch applies to the client view of the book
+  const patched = PATCH_FORMATS[contentType](toClientView(book), req.body);
+
+  // Validate the result like a PUT body
+  const { values, errors } = validateRequest({ body: patched }, bookResourceSchema);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  await saveReplacement(req, res, book, values.body);
+});
+
+// --------------------------------------------------
+// BULK OPERATIONS
+// --------------------------------------------------
+
+/**
+ * Mark a bulk result as failed with the API error for `error`
+ */
+const failResult = (result, error) => {
+  const appError = toAppError(error);
+
+  return Object.assign(result, {
+    status: "failed",
+    code: appError.code,
+    message: appError.message,
+    errors: appError.errors,
+    details: appError.details
+  });
+};
+
+/**
+ * Validate one bulk operation and build its write
+ *
+ * Returns { write, history } (write is null when an update
+ * changes nothing) or throws the item's error.
+ */
+const prepareBulkOperation = async (req, operation, storedBooks) => {
+  const { op, id, book: fields } = operation;
+
+  if (op === "insert") {
+    // Same rules as POST /api/books
+    const { values, errors } = validateRequest({ body: fields }, createBookSchema);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const book = new Book({ ...values.body, createdBy: req.user.id });
+    await book.validate();
+
+    return {
+      id: book._id,
+      write: { insertOne: { document: book.toObject() } },
+      history: { before: null, after: book, action: "create" }
+    };
+  }
+
+  const stored = storedBooks.get(id);
+  if (!stored) {
+    throw new NotFoundError("BOOK_NOT_FOUND");
+  }
+
+  // book:bulk is admin-only today; ownership is still checked per item
+  const action = op === "update" ? "book:update" : "book:delete";
+  if (!canActOnResource(req.user, stored, action)) {
+    throw new ForbiddenError("NOT_RESOURCE_OWNER");
+  }
+
+  // Writes only apply to the version that was validated
+  const filter = { _id: stored._id, __v: stored.__v, deletedAt: null };
+  const before = stored.toObject();
+
+  if (op === "delete") {
+    const trash = { deletedAt: new Date(), deletedBy: req.user.id };
+
+    return {
+      id: stored._id,
+      version: stored.__v,
+      write: { updateOne: { filter, update: { $set: trash, $inc: { __v: 1 } } } },
+      history: { before, after: Book.hydrate({ ...before, ...trash }), action: "delete" }
+    };
+  }
+
+  // Update: merged into the stored book and validated like PATCH
+  const patched = applyMergePatch(toClientView(stored), fields);
+  const { values, errors } = validateRequest({ body: patched }, bookResourceSchema);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  stored.set(toReplacement(values.body));
+  await stored.validate();
+
+  if (!stored.isModified()) {
+    return { id: stored._id, write: null, history: null };
+  }
+
+  return {
+    id: stored._id,
+    version: stored.__v,
+    write: {
+      updateOne: { filter, update: { ...stored.getChanges(), $inc: { __v: 1 } } }
+    },
+    history: { before, after: stored, action: "update" }
+  };
+};
+
+/**
+ * Send the writes of a bulk request in one bulkWrite
+ *
+ * Returns a Map of entry → error for the writes that failed:
+ * - a database error (e.g. duplicate ISBN)
+ * - an update that matched nothing because the book changed
+ *   or was deleted after it was loaded (EDIT_CONFLICT)
+ */
+const executeBulkWrites = async (entries, { session = null, ordered = false } = {}) => {
+  const failed = new Map();
+  const findEntry = (id) => entries.find((entry) => String(entry.id) === String(id));
+
+  let result;
   try {
-    // Extract updated fields from request body
-    const { title, author, year } = req.body;
-
-    // Find book by ID and update
-    // runValidators ensures schema validation is applied
-    const updatedBook = await Book.findByIdAndUpdate(
-      req.params.id,                  // Book ID from URL
-      { title, author, year },         // Updated data
-      { new: true, runValidators: true }
+    result = await Book.bulkWrite(
+      entries.map((entry) => entry.write),
+      { session, ordered }
     );
+  } catch (err) {
+    if (!err.writeErrors) {
+      throw err;
+    }
 
-    // If book does not exist
-    if (!updatedBook) {
-      return res.status(404).json({
-        message: "Book not found"
-      });
+    // Write errors are matched to entries by _id (like Model.bulkSave)
+    for (const writeError of err.writeErrors) {
+      const { op } = writeError.err;
+      failed.set(findEntry(op._id || op.q._id), writeError);
     }
 
-    // Send updated book
-    res.status(200).json({
-      success: true,
-      data: updatedBook
-    });
-  } catch (err) {
-    // Invalid ID or update error
-    res.status(400).json({
-      message: "Invalid ID or update data"
-    });
+    // An ordered write stopped at the first error
+    if (ordered) {
+      return failed;
+    }
+    result = err.result;
   }
+
+  // Some updates matched nothing: find which by their current version
+  const updates = entries.filter((entry) => entry.write.updateOne && !failed.has(entry));
+  if ((result?.matchedCount ?? 0) < updates.length) {
+    const current = await Book.find({ _id: { $in: updates.map((entry) => entry.id) } })
+      .setOptions({ withDeleted: true })
+      .select("__v")
+      .session(session);
+    const versions = new Map(current.map((book) => [String(book._id), book.__v]));
+
+    for (const entry of updates) {
+      if (versions.get(String(entry.id)) !== entry.version + 1) {
+        failed.set(entry, new ConflictError("EDIT_CONFLICT"));
+      }
+    }
+  }
+
+  return failed;
 };
 
 /**
  * --------------------------------------------------
- * DELETE BOOK
+ * BULK BOOK OPERATIONS
  * --------------------------------------------------
  * API:
- * DELETE /books/:id (JWT protected)
+ * POST /api/books/bulk (admin only)
+ *
+ * Body:
+ * {
+ *   "atomic": false,
+ *   "operations": [
+ *     { "op": "insert", "book": { "title": "...", "author": "..." } },
+ *     { "op": "update", "id": "<bookId>", "book": { "year": 1950 } },
+ *     { "op": "delete", "id": "<bookId>" }
+ *   ]
+ * }
  *
  * Purpose:
- * - Remove a book from the database
+ * - Run many inserts, updates and deletes with one bulkWrite
+ * - Validate each operation with the single-book rules
+ * - Report success or errors per operation (same order as sent)
+ * - atomic: true → all-or-nothing in a MongoDB transaction
+ *   (422 BULK_ABORTED with the per-item results when one fails)
  */
-exports.deleteBook = async (req, res) => {
-  try {
-    // Find book by ID and delete
-    const deletedBook = await Book.findByIdAndDelete(req.params.id);
+exports.bulkBooks = asyncHandler(async (req, res) => {
+  const { operations, atomic } = req.body;
+
+  // Validate each operation on its own
+  const results = [];
+  const valid = [];
+  const seenIds = new Set();
+
+  operations.forEach((operation, index) => {
+    const { values, errors } = validateRequest({ body: operation }, bulkOperationSchema);
+    const result = { index, op: values.body.op ?? null, id: values.body.id ?? null, status: "ok" };
+    results.push(result);
+
+    // The same book twice would conflict with itself
+    if (values.body.id && seenIds.has(values.body.id)) {
+      errors.push({ location: "body", field: "id", message: "appears in more than one operation" });
+    }
+    seenIds.add(values.body.id);
+
+    if (errors.length > 0) {
+      failResult(result, new ValidationError(errors));
+    } else {
+      valid.push({ result, operation: values.body });
+    }
+  });
+
+  // Load every book to update or delete with one query
+  const ids = valid.map(({ operation }) => operation.id).filter(Boolean);
+  const storedBooks = new Map(
+    (await Book.find({ _id: { $in: ids } })).map((book) => [String(book._id), book])
+  );
+
+  // Build the writes; validation and precondition errors stay per item
+  const entries = [];
+  for (const { result, operation } of valid) {
+    try {
+      const entry = await prepareBulkOperation(req, operation, storedBooks);
+      result.id = entry.id;
+      if (entry.write) {
+        entries.push({ ...entry, result });
+      }
+    } catch (err) {
+      failResult(result, err);
+    }
+  }
+
+  let failed;
+
+  if (atomic) {
+    // Nothing is written if any operation is invalid
+    const aborted = () => {
+      results
+        .filter((result) => result.status === "ok")
+        .forEach((result) => { result.status = "skipped"; });
+      return new AppError("BULK_ABORTED", { details: { results } });
+    };
 
-    // If book does not exist
-    if (!deletedBook) {
-      return res.status(404).json({
-        message: "Book not found"
+    if (results.some((result) => result.status === "failed")) {
+      throw aborted();
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        failed = await executeBulkWrites(entries, { session, ordered: true });
+        if (failed.size > 0) {
+          failed.forEach((error, entry) => failResult(entry.result, error));
+          throw aborted();
+        }
       });
+    } catch (err) {
+      // Transactions need a replica set (or mongos)
+      if (err.codeName === "IllegalOperation" || err.code === 20) {
+        throw new AppError("TRANSACTIONS_UNSUPPORTED");
+      }
+      throw err;
+    } finally {
+      await session.endSession();
     }
+  } else {
+    failed = entries.length > 0 ? await executeBulkWrites(entries) : new Map();
+    failed.forEach((error, entry) => failResult(entry.result, error));
+  }
 
-    // Send success confirmation
-    res.status(200).json({
-      success: true,
-      message: "Book deleted successfully"
+  // Record a history version for every applied write
+  for (const entry of entries) {
+    if (!failed.has(entry) && entry.history) {
+      await recordBookChange({ ...entry.history, userId: req.user.id });
+    }
+  }
+
+  const succeeded = results.filter((result) => result.status === "ok").length;
+
+  res.status(200).json({
+    success: true,
+    data: results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    }
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * EXPORT BOOKS
+ * --------------------------------------------------
+ * API:
+ * GET /api/books/export?format=csv (JWT protected)
+ * GET /api/books/export?format=ndjson&genre=fiction&fields=title,author
+ *
+ * Purpose:
+ * - Download the catalog as CSV, JSON (array) or NDJSON
+ * - Same filters, sort and fields as GET /api/books, no pagination
+ * - Books are streamed from a MongoDB cursor: the catalog is
+ *   never loaded into memory at once
+ */
+exports.exportBooks = asyncHandler(async (req, res) => {
+  const { format } = req.query;
+  const { filter, sort, applied } = buildBookQuery(req.query);
+  const columns = applied.fields || EXPORT_COLUMNS;
+  const serializer = createExportSerializer(format, columns);
+
+  const cursor = Book.find(filter)
+    .select(columns.join(" "))
+    .sort(sort)
+    .lean()
+    .cursor();
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200).set({
+    "Content-Type": FORMATS[format].contentType,
+    "Content-Disposition": `attachment; filename="books-${date}.${format}"`
+  });
+
+  // Stop reading the cursor when the client goes away
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  try {
+    res.write(serializer.head());
+
+    let index = 0;
+    for await (const book of cursor) {
+      if (closed) break;
+
+      // Respect backpressure: wait until the client has read the data
+      if (!res.write(serializer.record(book, index++))) {
+        await waitForDrain(res);
+      }
+    }
+
+    res.end(serializer.tail());
+  } finally {
+    await cursor.close();
+  }
+});
+
+/**
+ * Check one batch of import rows against the catalog
+ *
+ * Returns a Map of row → { duplicateOf, matchedOn } for the rows
+ * matching an existing book (trashed books included: their ISBN
+ * is still taken)
+ */
+const findExistingDuplicates = async (candidates) => {
+  const isbns = candidates.map(({ keys }) => keys.isbn).filter(Boolean);
+  const pairs = candidates.map(({ book }) => ({ title: book.title, author: book.author }));
+
+  // Title and author are compared case-insensitively
+  const existing = await Book.find({
+    $or: [{ isbn: { $in: isbns } }, ...pairs]
+  })
+    .setOptions({ withDeleted: true })
+    .collation({ locale: "en", strength: 2 })
+    .select("title author isbn")
+    .lean();
+
+  const byIsbn = new Map();
+  const byTitleAuthor = new Map();
+  for (const book of existing) {
+    const keys = duplicateKeys(book);
+    if (keys.isbn) byIsbn.set(keys.isbn, book._id);
+    byTitleAuthor.set(keys.titleAuthor, book._id);
+  }
+
+  const duplicates = new Map();
+  for (const { row, keys } of candidates) {
+    if (keys.isbn && byIsbn.has(keys.isbn)) {
+      duplicates.set(row, { duplicateOf: byIsbn.get(keys.isbn), matchedOn: "isbn" });
+    } else if (byTitleAuthor.has(keys.titleAuthor)) {
+      duplicates.set(row, { duplicateOf: byTitleAuthor.get(keys.titleAuthor), matchedOn: "titleAuthor" });
+    }
+  }
+
+  return duplicates;
+};
+
+/**
+ * --------------------------------------------------
+ * IMPORT BOOKS
+ * --------------------------------------------------
+ * API:
+ * POST /api/books/import (admin only)
+ * POST /api/books/import?dryRun=true
+ *
+ * Body (multipart/form-data):
+ * - file    → CSV, JSON or NDJSON file
+ * - mapping → optional JSON { "<column>": "<book field>" }
+ *
+ * Purpose:
+ * - Create books from a catalog file
+ * - Map columns to book fields (field names, common aliases
+ *   such as "Book Title" or "Pages", or the given mapping)
+ * - Validate each row like POST /api/books
+ * - Skip duplicates: same ISBN, or same title + author
+ *   (in the catalog or earlier in the file)
+ * - Report created, duplicate and failed rows
+ * - dryRun=true → same report, nothing is written
+ */
+exports.importBooks = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError("IMPORT_FILE_REQUIRED");
+  }
+
+  const format = detectFormat(req.file, req.query.format);
+  if (!format) {
+    throw new UnsupportedMediaTypeError("UNSUPPORTED_MEDIA_TYPE", {
+      details: { supported: Object.keys(FORMATS) }
     });
+  }
+
+  const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+
+  let file;
+  try {
+    file = readImportFile(req.file.buffer.toString("utf8"), format, mapping);
   } catch (err) {
-    // Invalid ID format
-    res.status(400).json({
-      message: "Invalid ID"
+    throw new BadRequestError("INVALID_IMPORT_FILE", { message: err.message });
+  }
+
+  const { dryRun } = req.query;
+  const report = {
+    dryRun,
+    format,
+    totalRows: file.rows.length,
+    created: 0,
+    duplicates: [],
+    failed: [],
+    unmappedColumns: file.unmappedColumns
+  };
+
+  // Keys already seen in the file → row number
+  const seenIsbns = new Map();
+  const seenTitleAuthors = new Map();
+
+  for (let start = 0; start < file.rows.length; start += IMPORT_BATCH_SIZE) {
+    const candidates = [];
+
+    for (const { row, fields } of file.rows.slice(start, start + IMPORT_BATCH_SIZE)) {
+      // Same rules as POST /api/books
+      const { values, errors } = validateRequest({ body: fields }, createBookSchema);
+      if (errors.length > 0) {
+        report.failed.push({ row, code: "VALIDATION_FAILED", errors });
+        continue;
+      }
+
+      const book = new Book({ ...values.body, createdBy: req.user.id });
+      try {
+        await book.validate();
+      } catch (err) {
+        const appError = toAppError(err);
+        report.failed.push({ row, code: appError.code, errors: appError.errors });
+        continue;
+      }
+
+      // Duplicates inside the file
+      const keys = duplicateKeys(book);
+      const firstRow = seenIsbns.get(keys.isbn) ?? seenTitleAuthors.get(keys.titleAuthor);
+      if (firstRow !== undefined) {
+        report.duplicates.push({ row, duplicateOfRow: firstRow });
+        continue;
+      }
+      if (keys.isbn) seenIsbns.set(keys.isbn, row);
+      seenTitleAuthors.set(keys.titleAuthor, row);
+
+      candidates.push({ row, book, keys });
+    }
+
+    if (candidates.length === 0) continue;
+
+    // Duplicates of books already in the catalog
+    const existing = await findExistingDuplicates(candidates);
+    const toInsert = candidates.filter(({ row }) => {
+      if (existing.has(row)) {
+        report.duplicates.push({ row, ...existing.get(row) });
+        return false;
+      }
+      return true;
     });
+
+    if (dryRun || toInsert.length === 0) {
+      report.created += toInsert.length;
+      continue;
+    }
+
+    // Rows are independent: one failed insert does not stop the others
+    let inserted;
+    try {
+      inserted = await Book.insertMany(toInsert.map(({ book }) => book), { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) {
+        throw err;
+      }
+      inserted = err.insertedDocs;
+      for (const writeError of err.writeErrors) {
+        const code = (writeError.err?.code ?? writeError.code) === 11000
+          ? "DUPLICATE_KEY"
+          : "INTERNAL_ERROR";
+        report.failed.push({ row: toInsert[writeError.index].row, code });
+      }
+    }
+
+    for (const book of inserted) {
+      await recordBookChange({ before: null, after: book, action: "create", userId: req.user.id });
+    }
+    report.created += inserted.length;
   }
-};
+
+  report.duplicates.sort((a, b) => a.row - b.row);
+  report.failed.sort((a, b) => a.row - b.row);
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    data: report
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * DELETE BOOK
+ * --------------------------------------------------
+ * API:
+ * DELETE /api/books/:id (JWT protected)
+ *
+ * Purpose:
+ * - Move a book to the trash (soft delete)
+ * - Only the owner of the book or an admin may delete it
+ * - Honor If-Match: 412 when the book changed since the client read it
+ *
+ * The book is hidden from every read but can be restored by an
+ * admin until it is purged (see jobs/purgeDeletedBooks.js).
+ */
+exports.deleteBook = asyncHandler(async (req, res) => {
+  // Existence, ownership and If-Match checks
+  const book = await findBookForWrite(req, "book:delete");
+
+  // Mark the book as deleted instead of removing it
+  // With If-Match, the update only applies to the checked version
+  const conditional = Boolean(req.get("If-Match"));
+  const deletedBook = await Book.findOneAndUpdate(
+    conditional ? { _id: book._id, __v: book.__v } : { _id: book._id },
+    { deletedAt: new Date(), deletedBy: req.user.id, $inc: { __v: 1 } },
+    { new: true }
+  );
+
+  // The book was modified or deleted in the meantime
+  if (!deletedBook) {
+    if (conditional) {
+      throw new PreconditionFailedError("PRECONDITION_FAILED");
+    }
+    throw new NotFoundError("BOOK_NOT_FOUND");
+  }
+
+  await recordBookChange({
+    before: book,
+    after: deletedBook,
+    action: "delete",
+    userId: req.user.id
+  });
+
+  // Send success confirmation
+  res.status(200).json({
+    success: true,
+    message: "Book deleted successfully"
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * LIST TRASH
+ * --------------------------------------------------
+ * API:
+ * GET /api/books/trash?page=1&limit=20 (admin only)
+ *
+ * Purpose:
+ * - List deleted books, most recently deleted first
+ */
+exports.listTrash = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.max(parseInt(req.query.limit) || 20, 1);
+  const skip = (page - 1) * limit;
+
+  // Filtering on deletedAt bypasses the "hide deleted" middleware
+  const filter = { deletedAt: { $ne: null } };
+
+  const [books, totalBooks] = await Promise.all([
+    Book.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Book.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: books,
+    page,
+    limit,
+    totalPages: Math.ceil(totalBooks / limit),
+    totalItems: totalBooks
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * RESTORE BOOK
+ * --------------------------------------------------
+ * API:
+ * POST /api/books/:id/restore (admin only)
+ *
+ * Purpose:
+ * - Take a book out of the trash
+ */
+exports.restoreBook = asyncHandler(async (req, res) => {
+  // Returns the book as it was BEFORE the restore (for the history diff)
+  const trashedBook = await Book.findOneAndUpdate(
+    { _id: req.params.id, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null, $inc: { __v: 1 } },
+    { new: false }
+  );
+
+  // Not in the trash (never deleted, purged, or wrong ID)
+  if (!trashedBook) {
+    throw new NotFoundError("BOOK_NOT_IN_TRASH");
+  }
+
+  const restoredBook = Book.hydrate({
+    ...trashedBook.toObject(),
+    deletedAt: null,
+    deletedBy: null,
+    __v: trashedBook.__v + 1
+  });
+
+  await recordBookChange({
+    before: trashedBook,
+    after: restoredBook,
+    action: "restore",
+    userId: req.user.id
+  });
+
+  res.set("ETag", bookETag(restoredBook));
+  res.status(200).json({
+    success: true,
+    data: restoredBook
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * BOOK HISTORY
+ * --------------------------------------------------
+ * API:
+ * GET /api/books/:id/history?page=1&limit=20 (owner or admin)
+ *
+ * Purpose:
+ * - List the versions of a book, newest first
+ * - Each version has the acting user, a field-level diff
+ *   and a timestamp
+ */
+exports.getBookHistory = asyncHandler(async (req, res) => {
+  // Trashed books keep their history
+  const book = await Book.findById(req.params.id).setOptions({ withDeleted: true });
+
+  if (!book) {
+    throw new NotFoundError("BOOK_NOT_FOUND");
+  }
+
+  // Only the owner or an admin may read the history
+  if (!canActOnResource(req.user, book, "book:history")) {
+    throw new ForbiddenError("NOT_RESOURCE_OWNER");
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.max(parseInt(req.query.limit) || 20, 1);
+  const skip = (page - 1) * limit;
+
+  const [versions, totalVersions] = await Promise.all([
+    BookHistory.find({ book: book._id })
+      .select("-snapshot")
+      .populate("user", "username")
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit),
+    BookHistory.countDocuments({ book: book._id })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: versions,
+    page,
+    limit,
+    totalPages: Math.ceil(totalVersions / limit),
+    totalItems: totalVersions
+  });
+});
+
+/**
+ * --------------------------------------------------
+ * REVERT BOOK
+ * --------------------------------------------------
+ * API:
+ * POST /api/books/:id/revert/:version (admin only)
+ *
+ * Purpose:
+ * - Restore the book's fields to their state at a given version
+ * - The revert itself is recorded as a new version
+ *
+ * Ownership and trash state are not reverted.
+ */
+exports.revertBook = asyncHandler(async (req, res) => {
+  const book = await Book.findById(req.params.id);
+
+  if (!book) {
+    throw new NotFoundError("BOOK_NOT_FOUND");
+  }
+
+  const target = await BookHistory.findOne({
+    book: book._id,
+    version: req.params.version
+  });
+
+  if (!target) {
+    throw new NotFoundError("VERSION_NOT_FOUND");
+  }
+
+  const before = book.toObject();
+
+  book.set(revertibleFields(target.snapshot));
+  const revertedBook = await book.save();
+
+  await recordBookChange({
+    before,
+    after: revertedBook,
+    action: "revert",
+    userId: req.user.id,
+    revertedTo: target.version
+  });
+
+  res.set("ETag", bookETag(revertedBook));
+  res.status(200).json({
+    success: true,
+    data: revertedBook
+  });
+});
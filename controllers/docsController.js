@@ -0,0 +1,54 @@
+/**
+ * docsController.js
+ * ------------------
+ * This file serves the API documentation.
+ * It contains functions for:
+ * 1. The OpenAPI 3 document (built by openapi/)
+ * 2. An interactive documentation page (Swagger UI)
+ *
+ * Swagger UI is loaded by the browser from a CDN (pinned version),
+ * so it adds no dependency to the server.
+ *
+ * This file DOES NOT define routes or server configuration.
+ */
+
+// The OpenAPI document of the API
+const { openApiSpec } = require("../openapi");
+
+// Swagger UI build used by the documentation page
+const SWAGGER_UI_URL = "https://unpkg.com/swagger-ui-dist@5.17.14";
+
+// ----------------------------------------------------
+// OPENAPI DOCUMENT
+// ----------------------------------------------------
+// Triggered when GET /api/openapi.json is called
+exports.openApiDocument = (req, res) => {
+  res.status(200).json(openApiSpec());
+};
+
+// ----------------------------------------------------
+// DOCUMENTATION PAGE
+// ----------------------------------------------------
+// Triggered when GET /api/docs is called
+// The page reads the document next to it (works behind a path prefix)
+exports.docsPage = (req, res) => {
+  const specUrl = `${req.baseUrl}/openapi.json`;
+
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Book API documentation</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs", persistAuthorization: true });
+  </script>
+</body>
+</html>
+`);
+};
@@ -0,0 +1,58 @@
+/**
+ * healthController.js
+ * --------------------
+ * This file answers the health checks of the orchestrator
+ * (Kubernetes probes, load balancer health checks).
+ * It contains functions for:
+ * 1. Liveness: the process is running and can answer
+ * 2. Readiness: the server can serve traffic now
+ *
+ * Responsibilities:
+ * - Report the MongoDB connection state (see db/connection.js)
+ * - Report "not ready" while the server shuts down, so traffic
+ *   is routed elsewhere while in-flight requests drain
+ *
+ * Health responses are never cached and need no authentication.
+ *
+ * This file DOES NOT define routes or server configuration.
+ */
+
+// Current MongoDB connection state
+const { databaseState } = require("../db/connection");
+
+// ----------------------------------------------------
+// LIVENESS
+// ----------------------------------------------------
+// Triggered when GET /healthz is called
+// Does not check dependencies: a lost database must not get
+// the process restarted, only taken out of rotation (readiness)
+exports.liveness = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.status(200).json({
+    success: true,
+    status: "ok",
+    uptime: Math.round(process.uptime())
+  });
+};
+
+// ----------------------------------------------------
+// READINESS
+// ----------------------------------------------------
+// Triggered when GET /readyz is called
+// 200 once MongoDB is connected, 503 before that and during shutdown
+exports.readiness = (req, res) => {
+  const mongo = databaseState();
+  const shuttingDown = Boolean(req.app.locals.shuttingDown);
+  const ready = mongo === "connected" && !shuttingDown;
+
+  let status = "ready";
+  if (shuttingDown) status = "shutting_down";
+  else if (!ready) status = "not_ready";
+
+  res.set("Cache-Control", "no-store");
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status,
+    checks: { mongo }
+  });
+};
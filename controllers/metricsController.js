@@ -0,0 +1,26 @@
+/**
+ * metricsController.js
+ * ---------------------
+ * This file serves the application metrics to Prometheus.
+ *
+ * Responsibilities:
+ * - Render every metric of utils/metrics.js in the Prometheus
+ *   text format (version 0.0.4)
+ *
+ * Metrics are never cached. Access is controlled by
+ * middleware/metricsMiddleware.js (optional METRICS_TOKEN).
+ *
+ * This file DOES NOT define routes or server configuration.
+ */
+
+// Metric registry
+const { CONTENT_TYPE, renderMetrics } = require("../utils/metrics");
+
+// ----------------------------------------------------
+// EXPOSE METRICS
+// ----------------------------------------------------
+// Triggered when GET /metrics is called
+exports.exposeMetrics = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.type(CONTENT_TYPE).send(renderMetrics());
+};
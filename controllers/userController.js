@@ -0,0 +1,311 @@
+/**
+ * userController.js
+ * ------------------
+ * This file handles user profile and account management.
+ * It contains functions for:
+ * 1. Reading and updating the current user's profile
+ * 2. Changing the current user's password
+ * 3. Deleting the current user's account
+ * 4. Admin: listing users, changing roles, disabling/enabling accounts
+ *
+ * Responsibilities:
+ * - Read user data from the User model (not from the JWT payload)
+ * - Never return the password hash or token hashes
+ * - Revoke sessions when credentials, roles or account status change
+ *
+ * Errors are thrown (see errors/AppError.js) and turned into
+ * JSON responses by middleware/errorHandler.js.
+ *
+ * This file DOES NOT define routes or server configuration.
+ */
+
+// Import models
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+
+// bcrypt is used to hash and compare passwords securely
+const bcrypt = require("bcryptjs");
+
+// Validated settings (token lifetimes, bcrypt cost)
+const config = require("../config");
+
+// Wrapper forwarding async errors to middleware/errorHandler.js
+const asyncHandler = require("../utils/asyncHandler");
+
+// Import application errors
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError
+} = require("../errors/AppError");
+
+// Import the list of known roles
+const { ROLES } = require("../config/permissions");
+
+// Token helpers
+const {
+  createExpiringToken,
+  revokeAllSessions
+} = require("../utils/tokens");
+
+// Escapes user input before it is used in a RegExp
+const escapeRegex = require("../utils/escapeRegex");
+
+// Mailer used to re-verify changed email addresses
+const { sendVerificationEmail } = require("../utils/mailer");
+
+// How long verification tokens stay valid (minutes)
+const EMAIL_VERIFICATION_TTL_MINUTES = config.emailVerificationTtlMinutes;
+
+// Fields that are safe to return to clients
+const PUBLIC_FIELDS =
+  "username email role emailVerified disabled disabledAt createdAt updatedAt";
+
+// ----------------------------------------------------
+// GET CURRENT USER
+// ----------------------------------------------------
+// Triggered when GET /api/users/me (or GET /api/auth/me) is called
+exports.getMe = asyncHandler(async (req, res) => {
+
+  // Read the user document instead of echoing the JWT payload
+  const user = await User.findById(req.user.id).select(PUBLIC_FIELDS);
+
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
+
+  res.status(200).json({ user });
+});
+
+// ----------------------------------------------------
+// UPDATE CURRENT USER
+// ----------------------------------------------------
+// Triggered when PATCH /api/users/me is called
+//
+// Only username and email can be changed here.
+// Changing the email marks it as unverified and sends a
+// new verification email to the new address.
+exports.updateMe = asyncHandler(async (req, res) => {
+
+  // Validated body: contains username and/or email (email lowercased)
+  const { username, email } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
+
+  // Username must stay unique
+  if (username !== undefined && username !== user.username) {
+    const taken = await User.exists({ username, _id: { $ne: user._id } });
+    if (taken) {
+      throw new ConflictError("USERNAME_TAKEN");
+    }
+    user.username = username;
+  }
+
+  // A new email must be unique and verified again
+  let verificationToken = null;
+
+  if (email !== undefined && email !== user.email) {
+    const taken = await User.exists({ email, _id: { $ne: user._id } });
+    if (taken) {
+      throw new ConflictError("EMAIL_TAKEN");
+    }
+
+    const verification = createExpiringToken(EMAIL_VERIFICATION_TTL_MINUTES);
+    user.email = email;
+    user.emailVerified = false;
+    user.emailVerificationTokenHash = verification.tokenHash;
+    user.emailVerificationExpires = verification.expiresAt;
+    verificationToken = verification.token;
+  }
+
+  await user.save();
+
+  if (verificationToken) {
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (err) {
+      req.log.error("Verification email could not be sent", { err, userId: String(user._id) });
+    }
+  }
+
+  res.status(200).json({ user });
+});
+
+// ----------------------------------------------------
+// CHANGE PASSWORD
+// ----------------------------------------------------
+// Triggered when POST /api/users/me/password is called
+//
+// Requires the current password. Every other session of
+// the user is revoked; the current session stays logged in.
+exports.changePassword = asyncHandler(async (req, res) => {
+
+  // The new password was checked against the password policy
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
+
+  const isMatch = await bcrypt.compare(currentPassword, user.password);
+  if (!isMatch) {
+    throw new BadRequestError("CURRENT_PASSWORD_INCORRECT");
+  }
+
+  user.password = await bcrypt.hash(newPassword, config.bcryptCost);
+  await user.save();
+
+  // Log out every other session
+  await revokeAllSessions(user._id, "password_change", req.user.sid);
+
+  res.status(200).json({ message: "Password changed successfully" });
+});
+
+// ----------------------------------------------------
+// DELETE CURRENT USER
+// ----------------------------------------------------
+// Triggered when DELETE /api/users/me is called
+//
+// Requires the current password as confirmation.
+// Sessions, refresh tokens and API keys of the user are removed.
+// Books created by the user are kept (they become admin-managed).
+exports.deleteMe = asyncHandler(async (req, res) => {
+
+  const { password } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
+
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    throw new BadRequestError("PASSWORD_INCORRECT");
+  }
+
+  await Promise.all([
+    RefreshToken.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ user: user._id })
+  ]);
+  await user.deleteOne();
+
+  res.status(200).json({ message: "Account deleted successfully" });
+});
+
+// ----------------------------------------------------
+// LIST USERS (ADMIN)
+// ----------------------------------------------------
+// Triggered when GET /api/users is called
+// Supports pagination and search by username or email
+exports.listUsers = asyncHandler(async (req, res) => {
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  // The validator already rejects limits above MAX_PAGE_LIMIT
+  const limit = Math.max(parseInt(req.query.limit) || 20, 1);
+  const skip = (page - 1) * limit;
+
+  // Escape regex special characters so the search is a plain substring match
+  const search = escapeRegex(req.query.search?.trim() || "");
+
+  const filter = search
+    ? {
+        $or: [
+          { username: { $regex: search, $options: "i" } },
+          { email: { $regex: search, $options: "i" } }
+        ]
+      }
+    : {};
+
+  const [users, totalUsers] = await Promise.all([
+    User.find(filter)
+      .select(PUBLIC_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: users,
+    page,
+    limit,
+    totalPages: Math.ceil(totalUsers / limit),
+    totalItems: totalUsers
+  });
+});
+
+// ----------------------------------------------------
+// CHANGE ROLE (ADMIN)
+// ----------------------------------------------------
+// Triggered when PATCH /api/users/:id/role is called
+//
+// The user's sessions are revoked so the new role takes
+// effect immediately (the role is stored in the JWT).
+exports.updateRole = asyncHandler(async (req, res) => {
+
+  // Validated body: role is one of the known roles
+  const { role } = req.body;
+
+  // Admins cannot demote themselves (avoids locking out the last admin)
+  if (req.params.id === String(req.user.id) && role !== ROLES.ADMIN) {
+    throw new BadRequestError("CANNOT_CHANGE_OWN_ROLE");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { role },
+    { new: true, runValidators: true }
+  ).select(PUBLIC_FIELDS);
+
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
+
+  await revokeAllSessions(user._id, "role_change");
+
+  res.status(200).json({ user });
+});
+
+// ----------------------------------------------------
+// DISABLE / ENABLE ACCOUNT (ADMIN)
+// ----------------------------------------------------
+// Triggered when PATCH /api/users/:id/status is called
+// Body: { "disabled": true | false }
+//
+// Disabling an account revokes all of its sessions.
+exports.updateStatus = asyncHandler(async (req, res) => {
+
+  // Validated body: disabled is a boolean
+  const { disabled } = req.body;
+
+  if (req.params.id === String(req.user.id)) {
+    throw new BadRequestError("CANNOT_DISABLE_SELF");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { disabled, disabledAt: disabled ? new Date() : null },
+    { new: true }
+  ).select(PUBLIC_FIELDS);
+
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
+
+  if (disabled) {
+    await revokeAllSessions(user._id, "disabled");
+  }
+
+  res.status(200).json({ user });
+});
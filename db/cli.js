@@ -0,0 +1,136 @@
+/**
+ * cli.js
+ * -------
+ * Command line tool to seed and migrate the database.
+ *
+ * Usage:
+ *   node db/cli.js seed [--env dev|test|demo] [--reset] [--force]
+ *   node db/cli.js migrate up
+ *   node db/cli.js migrate down [--steps 1]
+ *   node db/cli.js migrate status
+ *
+ * npm scripts: npm run seed, npm run migrate -- status, ...
+ *
+ * The environment defaults to SEED_ENV, then NODE_ENV ("development" → dev).
+ * --reset deletes the application data first and is refused when
+ * NODE_ENV is "production" unless --force is given.
+ */
+
+// Import mongoose to connect to MongoDB
+const mongoose = require("mongoose");
+
+// Validated settings (loads .env)
+const config = require("../config");
+
+const { ENVIRONMENTS, getFixtures } = require("./fixtures");
+const { seed } = require("./seeder");
+const { migrationStatus, migrateUp, migrateDown } = require("./migrator");
+
+const USAGE = `Usage:
+  node db/cli.js seed [--env ${ENVIRONMENTS.join("|")}] [--reset] [--force]
+  node db/cli.js migrate up
+  node db/cli.js migrate down [--steps <n>]
+  node db/cli.js migrate status`;
+
+/**
+ * Split argv into positional arguments and --options
+ * "--env demo" and "--env=demo" are both accepted; flags are true
+ */
+const parseArgs = (argv) => {
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split("=");
+    if (inline !== undefined) {
+      options[name] = inline;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith("--") && ["env", "steps"].includes(name)) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { args, options };
+};
+
+// --------------------------------------------------
+// COMMANDS
+// --------------------------------------------------
+
+const runSeed = async (options) => {
+  const env = options.env || process.env.SEED_ENV || config.env;
+  const fixtures = getFixtures(env);
+  if (!fixtures) {
+    throw new Error(`Unknown environment "${env}" (expected: ${ENVIRONMENTS.join(", ")})`);
+  }
+
+  if (options.reset && config.isProduction && !options.force) {
+    throw new Error("Refusing to --reset with NODE_ENV=production (add --force to confirm)");
+  }
+
+  const result = await seed(fixtures, { reset: Boolean(options.reset) });
+
+  console.log(`Seeded "${fixtures.env}" fixtures${options.reset ? " (after reset)" : ""}`);
+  console.log(`  users: ${result.users.created} created, ${result.users.updated} updated`);
+  console.log(`  books: ${result.books.created} created, ${result.books.updated} updated`);
+};
+
+const runMigrate = async (action, options) => {
+  const log = (line) => console.log(line);
+
+  if (action === "up") {
+    const applied = await migrateUp({ log });
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : "No pending migrations");
+  } else if (action === "down") {
+    const steps = parseInt(options.steps) || 1;
+    const reverted = await migrateDown({ steps, log });
+    console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : "No applied migrations");
+  } else if (action === "status") {
+    for (const { name, description, appliedAt, missing } of await migrationStatus()) {
+      const state = missing ? "missing" : appliedAt ? "applied" : "pending";
+      const when = appliedAt ? ` (${appliedAt.toISOString()})` : "";
+      console.log(`  [${state.padEnd(7)}] ${name}${when}${description ? ` - ${description}` : ""}`);
+    }
+  } else {
+    throw new Error(USAGE);
+  }
+};
+
+// --------------------------------------------------
+// MAIN
+// --------------------------------------------------
+
+const main = async () => {
+  const { args, options } = parseArgs(process.argv.slice(2));
+  const [command, action] = args;
+
+  if (command !== "seed" && command !== "migrate") {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  await mongoose.connect(config.mongoUrl);
+
+  try {
+    if (command === "seed") {
+      await runSeed(options);
+    } else {
+      await runMigrate(action, options);
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
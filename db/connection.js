@@ -0,0 +1,157 @@
+/**
+ * connection.js
+ * --------------
+ * This file manages the MongoDB connection of the server.
+ *
+ * Responsibilities:
+ * - Connect to MongoDB, retrying with exponential backoff
+ *   (1s, 2s, 4s ... up to MONGO_RETRY_MAX_SECONDS) until it succeeds
+ * - Log when an established connection is lost and restored
+ *   (the driver reconnects by itself once connected)
+ * - Report the connection state (used by GET /readyz)
+ * - Time every MongoDB command when metrics are enabled
+ *   (mongodb_command_duration_seconds, see utils/metrics.js)
+ * - Stop retrying and close the connection on shutdown
+ */
+
+// Import mongoose to open and watch the connection
+const mongoose = require("mongoose");
+
+// Import the application logger
+const { logger } = require("../utils/logger");
+
+// MongoDB command timings (GET /metrics)
+const { metrics } = require("../utils/metrics");
+
+// Every entry carries component: "mongo"
+const log = logger.child({ component: "mongo" });
+
+// First retry delay; each failed attempt doubles it
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Set by closeDatabase(): no further attempts
+let stopped = false;
+
+// Ends the current wait between two attempts early
+let cancelWait = null;
+
+/**
+ * Delay before the next attempt after `attempt` failures
+ * Half of it is random so restarted instances do not retry in lockstep
+ */
+const retryDelay = (attempt, maxDelayMs) => {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+// Wait between attempts (cancelled on shutdown)
+const wait = (ms) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    cancelWait = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+// Log losses and recoveries of an established connection
+const watchConnection = () => {
+  mongoose.connection.on("disconnected", () => {
+    if (!stopped) log.warn("MongoDB connection lost, reconnecting");
+  });
+  mongoose.connection.on("reconnected", () => {
+    log.info("MongoDB connection restored");
+  });
+};
+
+/**
+ * Record the duration of every command of a connection
+ * The driver reports them when the connection was opened
+ * with { monitorCommands: true }
+ *
+ * Only commands on a collection are recorded: server commands
+ * (hello, ping, endSessions ...) would only add noise.
+ */
+const watchCommands = (connection = mongoose.connection) => {
+  // requestId → { command, collection } of the commands in flight
+  const pending = new Map();
+  const client = connection.getClient();
+
+  client.on("commandStarted", (event) => {
+    // getMore names its cursor ID, and the collection separately
+    const collection = event.commandName === "getMore"
+      ? event.command.collection
+      : event.command[event.commandName];
+
+    if (typeof collection === "string") {
+      pending.set(event.requestId, { command: event.commandName, collection });
+    }
+  });
+
+  const finish = (event, failed) => {
+    const labels = pending.get(event.requestId);
+    if (!labels) return;
+    pending.delete(event.requestId);
+
+    metrics.mongoCommandDuration.observe(labels, event.duration / 1000);
+    if (failed) metrics.mongoCommandFailures.inc(labels);
+  };
+
+  client.on("commandSucceeded", (event) => finish(event, false));
+  client.on("commandFailed", (event) => finish(event, true));
+};
+
+/**
+ * Connect to MongoDB, retrying until it succeeds
+ * Resolves true once connected, false if closeDatabase() stopped it first
+ *
+ * options:
+ * - maxRetryDelaySeconds → longest wait between two attempts
+ * - monitorCommands      → record the duration of every command
+ */
+const connectDatabase = async (url, { maxRetryDelaySeconds = 30, monitorCommands = false } = {}) => {
+  for (let attempt = 1; !stopped; attempt += 1) {
+    try {
+      await mongoose.connect(url, { monitorCommands });
+      log.info("Connected to MongoDB", { attempt });
+      watchConnection();
+      if (monitorCommands) watchCommands();
+      return true;
+    } catch (err) {
+      if (stopped) break;
+
+      const retryInMs = retryDelay(attempt, maxRetryDelaySeconds * 1000);
+      log.error("MongoDB connection failed", { err, attempt, retryInMs });
+      await wait(retryInMs);
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Current connection state:
+ * "connected" | "connecting" | "disconnecting" | "disconnected"
+ */
+const databaseState = () => mongoose.STATES[mongoose.connection.readyState];
+
+/**
+ * Stop retrying and close the connection
+ */
+const closeDatabase = async () => {
+  stopped = true;
+  if (cancelWait) cancelWait();
+
+  // A first connection still pending has nothing to flush
+  // (closing would wait for the attempt to time out)
+  if (databaseState() === "connecting") return;
+
+  await mongoose.connection.close();
+};
+
+module.exports = {
+  connectDatabase,
+  watchCommands,
+  databaseState,
+  closeDatabase
+};
@@ -0,0 +1,78 @@
+/**
+ * fakeBooks.js
+ * -------------
+ * This file generates fake books for development and demo data.
+ *
+ * The output is deterministic: the same count always produces the
+ * same books, so re-running the seed updates them instead of
+ * creating new ones.
+ */
+
+const ADJECTIVES = [
+  "Silent", "Hidden", "Broken", "Golden", "Last", "Distant", "Crimson", "Forgotten",
+  "Endless", "Little", "Burning", "Secret", "Wandering", "Frozen", "Quiet", "Wild"
+];
+
+const NOUNS = [
+  "River", "Garden", "Empire", "Lighthouse", "Orchard", "Kingdom", "Harbor", "Library",
+  "Mountain", "City", "Forest", "Winter", "Machine", "Voyage", "Island", "Archive"
+];
+
+const FIRST_NAMES = [
+  "Ada", "Bruno", "Clara", "Dmitri", "Elena", "Farid", "Grace", "Hiro",
+  "Ines", "Jonas", "Keiko", "Liam", "Maya", "Nikolai", "Olga", "Pablo"
+];
+
+const LAST_NAMES = [
+  "Almeida", "Brandt", "Castillo", "Dubois", "Eriksen", "Fischer", "Gallo", "Haddad",
+  "Ivanova", "Jensen", "Kowalski", "Lindqvist", "Moreau", "Nakamura", "Okafor", "Petrov"
+];
+
+const GENRES = ["fiction", "mystery", "fantasy", "science-fiction", "history", "romance", "poetry", "biography"];
+const LANGUAGES = ["en", "en", "en", "fr", "de", "es", "pt-br"];
+const PUBLISHERS = ["Northwind Press", "Blue Heron Books", "Atlas & Co.", "Paper Lantern"];
+
+// Small deterministic pseudo-random generator (mulberry32)
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Unique, valid ISBN-13 for the n-th fake book ("978" + 9 digits + check digit)
+const fakeIsbn = (n) => {
+  const digits = `978${String(n).padStart(9, "0")}`;
+  const sum = [...digits].reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 3 : 1), 0);
+  return `${digits}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Generate `count` fake books
+ */
+const fakeBooks = (count, seed = 42) => {
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  return Array.from({ length: count }, (_, index) => {
+    const author = `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`;
+    const coAuthors = random() < 0.15 ? [`${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`] : [];
+
+    return {
+      // The number keeps titles unique (books are upserted on title + author)
+      title: `The ${pick(ADJECTIVES)} ${pick(NOUNS)} ${index + 1}`,
+      author,
+      authors: [author, ...coAuthors.filter((name) => name !== author)],
+      year: 1900 + Math.floor(random() * 125),
+      isbn: fakeIsbn(index + 1),
+      genres: [pick(GENRES), pick(GENRES)],
+      tags: random() < 0.3 ? ["fake"] : [],
+      description: "Generated sample book.",
+      publisher: pick(PUBLISHERS),
+      pageCount: 80 + Math.floor(random() * 700),
+      language: pick(LANGUAGES)
+    };
+  });
+};
+
+module.exports = fakeBooks;
@@ -0,0 +1,81 @@
+/**
+ * fixtures/index.js
+ * ------------------
+ * This file defines the seed data of each environment.
+ *
+ * - dev  → admin + user, classic books + 50 fake books
+ * - test → admin + user with fixed passwords, classic books only
+ * - demo → admin + demo user, classic books + 500 fake books
+ *
+ * Seeding is idempotent (see db/seeder.js):
+ * users are matched on email, books on title + author.
+ */
+
+const fakeBooks = require("./fakeBooks");
+
+// Passwords can be set from the environment (must satisfy the password policy)
+const ADMIN_PASSWORD = process.env.SEED_ADMIN_PASSWORD || "Admin12345";
+const USER_PASSWORD = process.env.SEED_USER_PASSWORD || "User12345";
+
+// The books of the original seed script
+const CLASSICS = [
+  { title: "The Catcher in the Rye", author: "J.D. Salinger", year: 1951, genres: ["fiction", "classics"], language: "en" },
+  { title: "To Kill a Mockingbird", author: "Harper Lee", year: 1960, genres: ["fiction", "classics"], language: "en" },
+  { title: "1984", author: "George Orwell", year: 1949, genres: ["fiction", "dystopia"], language: "en" },
+  { title: "The Great Gatsby", author: "F. Scott Fitzgerald", year: 1925, genres: ["fiction", "classics"], language: "en" },
+  { title: "Pride and Prejudice", author: "Jane Austen", year: 1813, genres: ["fiction", "romance"], language: "en" }
+];
+
+const admin = (password) => ({
+  username: "admin",
+  email: "admin@example.com",
+  password,
+  role: "admin"
+});
+
+const FIXTURES = {
+  dev: () => ({
+    users: [
+      admin(ADMIN_PASSWORD),
+      { username: "reader", email: "reader@example.com", password: USER_PASSWORD, role: "user" }
+    ],
+    books: [...CLASSICS, ...fakeBooks(50)]
+  }),
+
+  test: () => ({
+    users: [
+      admin("Admin12345"),
+      { username: "tester", email: "tester@example.com", password: "User12345", role: "user" }
+    ],
+    books: CLASSICS
+  }),
+
+  demo: () => ({
+    users: [
+      admin(ADMIN_PASSWORD),
+      { username: "demo", email: "demo@example.com", password: USER_PASSWORD, role: "user" }
+    ],
+    books: [...CLASSICS, ...fakeBooks(500)]
+  })
+};
+
+// Environment names accepted for each fixture set
+const ALIASES = {
+  development: "dev",
+  testing: "test",
+  staging: "demo"
+};
+
+/**
+ * Fixtures of an environment (dev, test or demo)
+ * Returns null for an unknown environment
+ */
+const getFixtures = (env) => {
+  const name = ALIASES[env] || env;
+  return FIXTURES[name] ? { env: name, ...FIXTURES[name]() } : null;
+};
+
+module.exports = {
+  ENVIRONMENTS: Object.keys(FIXTURES),
+  getFixtures
+};
@@ -0,0 +1,29 @@
+/**
+ * 001-backfill-book-authors
+ * --------------------------
+ * Books created before co-authors were supported only have "author".
+ * The Book model keeps author === authors[0], so older books get
+ * authors: [author].
+ *
+ * Migrations use the raw collection (not the Book model) so they keep
+ * working when the model changes later.
+ */
+
+module.exports = {
+  description: "Set authors = [author] on books without authors",
+
+  up: async (db) => {
+    await db.collection("books").updateMany(
+      { $or: [{ authors: { $exists: false } }, { authors: { $size: 0 } }] },
+      [{ $set: { authors: ["$author"] } }]
+    );
+  },
+
+  // Only single-author lists that equal the author were backfilled
+  down: async (db) => {
+    await db.collection("books").updateMany(
+      { authors: { $size: 1 }, $expr: { $eq: [{ $first: "$authors" }, "$author"] } },
+      { $unset: { authors: "" } }
+    );
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * 002-backfill-book-soft-delete-fields
+ * -------------------------------------
+ * Trashed books are hidden by filtering on { deletedAt: null }.
+ * That filter also matches a missing field, but an explicit null
+ * keeps the deletedAt index useful and documents consistent.
+ */
+
+module.exports = {
+  description: "Set deletedAt / deletedBy to null on books without them",
+
+  up: async (db) => {
+    await db.collection("books").updateMany(
+      { deletedAt: { $exists: false } },
+      { $set: { deletedAt: null, deletedBy: null } }
+    );
+  },
+
+  down: async (db) => {
+    await db.collection("books").updateMany(
+      { deletedAt: null },
+      { $unset: { deletedAt: "", deletedBy: "" } }
+    );
+  }
+};
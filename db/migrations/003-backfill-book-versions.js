@@ -0,0 +1,21 @@
+/**
+ * 003-backfill-book-versions
+ * ---------------------------
+ * Book ETags and optimistic concurrency use the "__v" version key.
+ * Books inserted outside Mongoose may not have one.
+ *
+ * Not reversible: a version key is harmless, so "down" keeps it.
+ */
+
+module.exports = {
+  description: "Set __v = 0 on books without a version key",
+
+  up: async (db) => {
+    await db.collection("books").updateMany(
+      { __v: { $exists: false } },
+      { $set: { __v: 0 } }
+    );
+  },
+
+  down: async () => {}
+};
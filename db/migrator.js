@@ -0,0 +1,128 @@
+/**
+ * migrator.js
+ * ------------
+ * This file runs the database migrations in db/migrations/.
+ *
+ * Responsibilities:
+ * - Load the migration files in name order
+ * - Apply pending migrations (up) and revert applied ones (down)
+ * - Record applied migrations in the "migrations" collection
+ *
+ * A migration file exports:
+ * {
+ *   description: "What it does",
+ *   up: async (db) => {},    // db = native MongoDB database
+ *   down: async (db) => {}
+ * }
+ *
+ * File names start with a number so the order is explicit:
+ * 001-backfill-book-authors.js, 002-..., ...
+ */
+
+// Node modules to list the migration files
+const fs = require("fs");
+const path = require("path");
+
+// Import mongoose to reach the native database
+const mongoose = require("mongoose");
+
+// Import the model recording applied migrations
+const Migration = require("../models/Migration");
+
+// Folder containing the migration files
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * Load every migration file, in name order
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) =>
+  fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .map((file) => ({
+      name: path.basename(file, ".js"),
+      ...require(path.join(dir, file))
+    }));
+
+/**
+ * Status of every migration
+ *
+ * Returns [{ name, description, appliedAt }] where appliedAt is null
+ * for pending migrations. Applied migrations whose file no longer
+ * exists are listed with missing: true.
+ */
+const migrationStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await Migration.find().lean();
+  const appliedAt = new Map(applied.map((record) => [record.name, record.appliedAt]));
+
+  const status = migrations.map(({ name, description }) => ({
+    name,
+    description,
+    appliedAt: appliedAt.get(name) || null
+  }));
+
+  const known = new Set(migrations.map(({ name }) => name));
+  for (const record of applied) {
+    if (!known.has(record.name)) {
+      status.push({ name: record.name, description: null, appliedAt: record.appliedAt, missing: true });
+    }
+  }
+
+  return status.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Apply every pending migration, in order
+ * Stops at the first failure (later migrations may depend on it)
+ *
+ * Returns the names of the applied migrations
+ */
+const migrateUp = async ({ log = () => {} } = {}) => {
+  const applied = new Set((await Migration.find().lean()).map(({ name }) => name));
+  const done = [];
+
+  for (const migration of loadMigrations()) {
+    if (applied.has(migration.name)) continue;
+
+    log(`↑ ${migration.name}`);
+    await migration.up(mongoose.connection.db);
+    await Migration.create({ name: migration.name });
+    done.push(migration.name);
+  }
+
+  return done;
+};
+
+/**
+ * Revert the last applied migrations (one by default)
+ *
+ * Returns the names of the reverted migrations
+ */
+const migrateDown = async ({ steps = 1, log = () => {} } = {}) => {
+  const migrations = new Map(loadMigrations().map((migration) => [migration.name, migration]));
+  const applied = await Migration.find().sort({ name: -1 }).limit(steps).lean();
+  const done = [];
+
+  for (const { name } of applied) {
+    const migration = migrations.get(name);
+    if (!migration) {
+      throw new Error(`Migration file for "${name}" not found in ${MIGRATIONS_DIR}`);
+    }
+
+    log(`↓ ${name}`);
+    await migration.down(mongoose.connection.db);
+    await Migration.deleteOne({ name });
+    done.push(name);
+  }
+
+  return done;
+};
+
+module.exports = {
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown
+};
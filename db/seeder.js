@@ -0,0 +1,136 @@
+/**
+ * seeder.js
+ * ----------
+ * This file loads the fixtures of an environment into MongoDB.
+ *
+ * Responsibilities:
+ * - Upsert users (matched on email) and books (matched on title + author)
+ *   so seeding can run any number of times without duplicates
+ * - Optionally wipe the application data first (--reset)
+ *
+ * Existing users keep their password: it is only set when the
+ * user is created. Seeded books are owned by the first admin.
+ */
+
+// bcrypt hashes the fixture passwords
+const bcrypt = require("bcryptjs");
+
+// Validated settings (bcrypt cost)
+const config = require("../config");
+
+// Import the models
+const Book = require("../models/Book");
+const BookHistory = require("../models/BookHistory");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const ApiKey = require("../models/ApiKey");
+
+// Import the fields a client may set on a book
+const { BOOK_FIELDS } = require("../validators/bookValidators");
+
+// Collections emptied by --reset (the migrations record is kept)
+const RESET_MODELS = [Book, BookHistory, User, Session, RefreshToken, ApiKey];
+
+/**
+ * Delete every document of the application collections
+ */
+const resetData = async () => {
+  for (const model of RESET_MODELS) {
+    await model.deleteMany({});
+  }
+};
+
+/**
+ * Upsert the fixture users
+ * Returns { created, updated, ids: Map email → _id }
+ */
+const seedUsers = async (users) => {
+  const operations = await Promise.all(
+    users.map(async ({ password, ...user }) => ({
+      updateOne: {
+        filter: { email: user.email },
+        update: {
+          $set: { ...user, emailVerified: true, disabled: false },
+          $setOnInsert: { password: await bcrypt.hash(password, config.bcryptCost) }
+        },
+        upsert: true
+      }
+    }))
+  );
+
+  const result = await User.bulkWrite(operations);
+  const saved = await User.find({ email: { $in: users.map(({ email }) => email) } });
+
+  return {
+    created: result.upsertedCount,
+    updated: result.modifiedCount,
+    ids: new Map(saved.map((user) => [user.email, user._id]))
+  };
+};
+
+/**
+ * Upsert the fixture books
+ * Each book is normalised and validated by the Book model first
+ * (canonical ISBN, author/authors in sync, lowercase genres, ...)
+ */
+const seedBooks = async (books, ownerId) => {
+  const operations = [];
+
+  for (const fixture of books) {
+    const book = new Book(fixture);
+    await book.validate();
+
+    const plain = book.toObject();
+    const fields = {};
+    for (const field of BOOK_FIELDS) {
+      if (plain[field] !== undefined) {
+        fields[field] = plain[field];
+      }
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { title: book.title, author: book.author },
+        update: { $set: fields, $setOnInsert: { createdBy: ownerId } },
+        upsert: true
+      }
+    });
+  }
+
+  const result = await Book.bulkWrite(operations, { ordered: false });
+
+  return { created: result.upsertedCount, updated: result.modifiedCount };
+};
+
+/**
+ * Seed an environment's fixtures
+ *
+ * Options:
+ * - reset → delete the existing application data first
+ *
+ * Returns { users: { created, updated }, books: { created, updated } }
+ */
+const seed = async (fixtures, { reset = false } = {}) => {
+  // Unique indexes must exist before upserting
+  await Promise.all(RESET_MODELS.map((model) => model.init()));
+
+  if (reset) {
+    await resetData();
+  }
+
+  const users = await seedUsers(fixtures.users);
+
+  const owner = fixtures.users.find(({ role }) => role === "admin") || fixtures.users[0];
+  const books = await seedBooks(fixtures.books, users.ids.get(owner.email));
+
+  return {
+    users: { created: users.created, updated: users.updated },
+    books
+  };
+};
+
+module.exports = {
+  seed,
+  resetData
+};
@@ -0,0 +1,119 @@
+/**
+ * AppError.js
+ * ------------
+ * This file defines the application's error class hierarchy.
+ *
+ * Responsibilities:
+ * - Represent expected failures (not found, forbidden, ...) as errors
+ * - Carry a stable code from errors/errorCodes.js, an HTTP status,
+ *   an optional list of field errors and optional details
+ *
+ * Controllers and middleware THROW these errors;
+ * middleware/errorHandler.js turns them into JSON responses.
+ *
+ * Usage:
+ * throw new NotFoundError("BOOK_NOT_FOUND");
+ * throw new ForbiddenError("NOT_RESOURCE_OWNER");
+ * throw new ValidationError(errors);
+ */
+
+// Import the error code catalog
+const ERROR_CODES = require("./errorCodes");
+
+/**
+ * Base class of every application error
+ *
+ * - code    → key of errors/errorCodes.js
+ * - message → overrides the catalog message (optional)
+ * - errors  → field errors [{ location, field, message }] (optional)
+ * - details → extra machine-readable data (optional)
+ */
+class AppError extends Error {
+  constructor(code = "INTERNAL_ERROR", { message, errors, details } = {}) {
+    const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+
+    super(message || entry.message);
+
+    this.name = new.target.name;
+    this.code = ERROR_CODES[code] ? code : "INTERNAL_ERROR";
+    this.status = entry.status;
+    this.errors = errors;
+    this.details = details;
+  }
+}
+
+// --------------------------------------------------
+// ERROR CATEGORIES
+// --------------------------------------------------
+// One class per HTTP status family, each with a default code
+
+class BadRequestError extends AppError {
+  constructor(code = "BAD_REQUEST", options) {
+    super(code, options);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(code = "NOT_AUTHENTICATED", options) {
+    super(code, options);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code = "PERMISSION_DENIED", options) {
+    super(code, options);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code = "RESOURCE_NOT_FOUND", options) {
+    super(code, options);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code = "DUPLICATE_KEY", options) {
+    super(code, options);
+  }
+}
+
+class PreconditionFailedError extends AppError {
+  constructor(code = "PRECONDITION_FAILED", options) {
+    super(code, options);
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(code = "UNSUPPORTED_MEDIA_TYPE", options) {
+    super(code, options);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(code = "RATE_LIMITED", options) {
+    super(code, options);
+  }
+}
+
+/**
+ * Request validation failure (422)
+ * errors is the list of field errors: [{ location, field, message }]
+ */
+class ValidationError extends AppError {
+  constructor(errors = [], options = {}) {
+    super("VALIDATION_FAILED", { ...options, errors });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  ValidationError
+};
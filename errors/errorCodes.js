@@ -0,0 +1,125 @@
+/**
+ * errorCodes.js
+ * --------------
+ * This file is the catalog of every error code returned by the API.
+ *
+ * Responsibilities:
+ * - Give each error a stable, machine-readable code
+ * - Map each code to its HTTP status and default message
+ *
+ * Codes are part of the public API: clients (e.g. the React frontend)
+ * branch on them, so existing codes must never be renamed or reused.
+ * Add new codes instead.
+ */
+
+const ERROR_CODES = Object.freeze({
+  // --------------------------------------------------
+  // 400 BAD REQUEST
+  // --------------------------------------------------
+  BAD_REQUEST: { status: 400, message: "Bad request" },
+  INVALID_JSON: { status: 400, message: "Request body is not valid JSON" },
+  INVALID_ID: { status: 400, message: "Invalid ID" },
+  INVALID_VALUE: { status: 400, message: "Invalid value" },
+  INVALID_DATA: { status: 400, message: "Invalid data" },
+  INVALID_CURSOR: { status: 400, message: "Cursor is invalid or does not match this query" },
+  INVALID_PATCH: { status: 400, message: "Invalid patch document" },
+  IMPORT_FILE_REQUIRED: { status: 400, message: "Upload the file to import in the \"file\" field" },
+  INVALID_IMPORT_FILE: { status: 400, message: "The import file could not be read" },
+  INVALID_CREDENTIALS: { status: 400, message: "Invalid credentials" },
+  VERIFICATION_TOKEN_INVALID: { status: 400, message: "Verification token is invalid or expired" },
+  RESET_TOKEN_INVALID: { status: 400, message: "Reset token is invalid or expired" },
+  CURRENT_PASSWORD_INCORRECT: { status: 400, message: "Current password is incorrect" },
+  PASSWORD_INCORRECT: { status: 400, message: "Password is incorrect" },
+  CANNOT_CHANGE_OWN_ROLE: { status: 400, message: "Cannot change your own role" },
+  CANNOT_DISABLE_SELF: { status: 400, message: "Cannot disable your own account" },
+
+  // --------------------------------------------------
+  // 401 UNAUTHORIZED
+  // --------------------------------------------------
+  NOT_AUTHENTICATED: { status: 401, message: "Authentication required" },
+  NO_AUTH_HEADER: { status: 401, message: "Authorization header is missing" },
+  MALFORMED_AUTH_HEADER: { status: 401, message: "Authorization header must be: Bearer <token> or ApiKey <key>" },
+  TOKEN_INVALID_OR_EXPIRED: { status: 401, message: "Token is invalid or expired" },
+  SESSION_REVOKED: { status: 401, message: "Session has been revoked" },
+  REFRESH_TOKEN_INVALID: { status: 401, message: "Refresh token is invalid or expired" },
+  REFRESH_TOKEN_REUSED: { status: 401, message: "Refresh token was already used; session revoked" },
+  METRICS_TOKEN_INVALID: { status: 401, message: "Invalid metrics token" },
+  API_KEY_INVALID: { status: 401, message: "API key is invalid, expired or revoked" },
+
+  // --------------------------------------------------
+  // 403 FORBIDDEN
+  // --------------------------------------------------
+  INSUFFICIENT_ROLE: { status: 403, message: "Your role does not allow this action" },
+  PERMISSION_DENIED: { status: 403, message: "You do not have permission for this action" },
+  NOT_RESOURCE_OWNER: { status: 403, message: "Only the owner or an admin can do this" },
+  ACCOUNT_DISABLED: { status: 403, message: "Account is disabled" },
+  EMAIL_NOT_VERIFIED: { status: 403, message: "Email address is not verified" },
+  INSUFFICIENT_SCOPE: { status: 403, message: "The API key's scopes do not allow this action" },
+  API_KEY_NOT_ALLOWED: { status: 403, message: "This action requires a logged-in user, not an API key" },
+  SCOPE_NOT_ALLOWED: { status: 403, message: "Your role cannot grant this API key scope" },
+
+  // --------------------------------------------------
+  // 404 NOT FOUND
+  // --------------------------------------------------
+  ROUTE_NOT_FOUND: { status: 404, message: "Route not found" },
+  RESOURCE_NOT_FOUND: { status: 404, message: "Resource not found" },
+  BOOK_NOT_FOUND: { status: 404, message: "Book not found" },
+  BOOK_NOT_IN_TRASH: { status: 404, message: "Book is not in the trash" },
+  VERSION_NOT_FOUND: { status: 404, message: "Book version not found" },
+  USER_NOT_FOUND: { status: 404, message: "User not found" },
+  API_KEY_NOT_FOUND: { status: 404, message: "API key not found" },
+
+  // --------------------------------------------------
+  // 409 CONFLICT
+  // --------------------------------------------------
+  DUPLICATE_KEY: { status: 409, message: "A record with the same value already exists" },
+  USER_ALREADY_EXISTS: { status: 409, message: "User already exists" },
+  USERNAME_TAKEN: { status: 409, message: "Username already taken" },
+  EMAIL_TAKEN: { status: 409, message: "Email already in use" },
+  PATCH_TEST_FAILED: { status: 409, message: "A JSON Patch \"test\" operation failed" },
+  EDIT_CONFLICT: { status: 409, message: "The record was modified by another request; reload and retry" },
+
+  // --------------------------------------------------
+  // 412 PRECONDITION FAILED
+  // --------------------------------------------------
+  PRECONDITION_FAILED: { status: 412, message: "The record has changed since you last read it (If-Match)" },
+
+  // --------------------------------------------------
+  // 413 PAYLOAD TOO LARGE
+  // --------------------------------------------------
+  FILE_TOO_LARGE: { status: 413, message: "The uploaded file is too large" },
+
+  // --------------------------------------------------
+  // 415 UNSUPPORTED MEDIA TYPE
+  // --------------------------------------------------
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, message: "Unsupported Content-Type for this request" },
+
+  // --------------------------------------------------
+  // 422 UNPROCESSABLE ENTITY
+  // --------------------------------------------------
+  VALIDATION_FAILED: { status: 422, message: "Request validation failed" },
+  BULK_ABORTED: { status: 422, message: "No operation was applied: at least one operation failed" },
+
+  // --------------------------------------------------
+  // 429 TOO MANY REQUESTS
+  // --------------------------------------------------
+  RATE_LIMITED: { status: 429, message: "Too many requests, please try again later" },
+  TOO_MANY_LOGIN_ATTEMPTS: { status: 429, message: "Too many login attempts, please try again later" },
+
+  // --------------------------------------------------
+  // 500 INTERNAL SERVER ERROR
+  // --------------------------------------------------
+  INTERNAL_ERROR: { status: 500, message: "Something went wrong" },
+
+  // --------------------------------------------------
+  // 501 NOT IMPLEMENTED
+  // --------------------------------------------------
+  TRANSACTIONS_UNSUPPORTED: { status: 501, message: "The database does not support transactions (a replica set is required)" },
+
+  // --------------------------------------------------
+  // 503 SERVICE UNAVAILABLE
+  // --------------------------------------------------
+  DATABASE_UNAVAILABLE: { status: 503, message: "The database is unavailable, please try again later" }
+});
+
+module.exports = ERROR_CODES;
@@ -0,0 +1,110 @@
+/**
+ * purgeDeletedBooks.js
+ * ---------------------
+ * This file contains the job that empties the book trash.
+ *
+ * Responsibilities:
+ * - Permanently delete books that have been in the trash
+ *   longer than the retention period, with their history
+ *   (models/BookHistory.js)
+ * - Run periodically inside the server process
+ * - Run once from the command line: node jobs/purgeDeletedBooks.js
+ *
+ * Configuration (environment variables, validated by config/env.js):
+ * - TRASH_RETENTION_DAYS          → days a book stays in the trash (default 30)
+ * - TRASH_PURGE_INTERVAL_MINUTES  → how often the job runs (default 60)
+ */
+
+// Import the Book model
+const Book = require("../models/Book");
+
+// Import the BookHistory model (versions of each book)
+const BookHistory = require("../models/BookHistory");
+
+// Validated settings (trash retention)
+const config = require("../config");
+
+// Import the application logger
+const { logger } = require("../utils/logger");
+
+// Every entry of this job carries job: "purgeDeletedBooks"
+const log = logger.child({ job: "purgeDeletedBooks" });
+
+const TRASH_RETENTION_DAYS = config.trashRetentionDays;
+const TRASH_PURGE_INTERVAL_MINUTES = config.trashPurgeIntervalMinutes;
+
+/**
+ * Permanently delete books trashed before the retention cutoff,
+ * and the history of every deleted book
+ * Returns the number of deleted books
+ */
+const purgeDeletedBooks = async ({ retentionDays = TRASH_RETENTION_DAYS } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const ids = await Book.find(expired).distinct("_id");
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const result = await Book.deleteMany({ _id: { $in: ids }, ...expired });
+
+  // A book restored in the meantime was not deleted: keep its history
+  const remaining = await Book.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .distinct("_id");
+  const purged = ids.filter((id) => !remaining.some((other) => other.equals(id)));
+  await BookHistory.deleteMany({ book: { $in: purged } });
+
+  return result.deletedCount;
+};
+
+/**
+ * Run the purge periodically
+ * Returns a function that stops the job
+ */
+const startPurgeJob = ({ intervalMinutes = TRASH_PURGE_INTERVAL_MINUTES } = {}) => {
+  const run = async () => {
+    try {
+      const count = await purgeDeletedBooks();
+      if (count > 0) {
+        log.info("Purged books from the trash", { count });
+      }
+    } catch (err) {
+      log.error("Trash purge failed", { err });
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for this job
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDeletedBooks,
+  startPurgeJob
+};
+
+// --------------------------------------------------
+// COMMAND LINE
+// --------------------------------------------------
+// node jobs/purgeDeletedBooks.js → purge once and exit
+if (require.main === module) {
+  const mongoose = require("mongoose");
+
+  mongoose
+    .connect(config.mongoUrl)
+    .then(async () => {
+      const count = await purgeDeletedBooks();
+      log.info("Purged books from the trash", { count });
+    })
+    .catch((err) => {
+      log.error("Trash purge failed", { err });
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
@@ -1,13 +1,17 @@
 /**
  * authMiddleware.js
  * ------------------
- * This file contains JWT-based authentication middleware.
+ * This file contains the authentication middleware.
  *
  * Responsibilities:
- * - Read the Authorization header from incoming requests
+ * - Read the Authorization (or X-API-Key) header from incoming requests
  * - Validate the JWT token
- * - Attach decoded user information to the request
+ * - Reject tokens whose session has been revoked (logout, reuse)
+ * - Validate API keys (hash lookup, expiry, owner still enabled)
+ *   and record when they were last used
+ * - Attach user information to the request
  * - Block access to protected routes if authentication fails
+ *   (401 errors with codes from errors/errorCodes.js)
  *
  * This middleware is applied to routes that require authentication
  * such as CREATE, UPDATE, and DELETE operations.
@@ -17,72 +21,175 @@
 // This library is used to verify JWT tokens
 const jwt = require("jsonwebtoken");
 
+// Validated settings (JWT secret)
+const config = require("../config");
+
+// Import the Session model
+// Used to check that the token's session has not been revoked
+const Session = require("../models/Session");
+
+// Import the models used to check API keys
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+
+// API keys are looked up by their hash
+const { hashToken } = require("../utils/tokens");
+
+// Wrapper forwarding async errors to middleware/errorHandler.js
+const asyncHandler = require("../utils/asyncHandler");
+
+// Import application errors
+const { AppError, UnauthorizedError, ForbiddenError } = require("../errors/AppError");
+
+// Rejection counter (GET /metrics)
+const { metrics } = require("../utils/metrics");
+
+// lastUsedAt is written at most once per minute and key,
+// so busy integrations do not cause a write on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
 // --------------------------------------------------
-// AUTHENTICATION MIDDLEWARE
+// API KEY AUTHENTICATION
 // --------------------------------------------------
-// This middleware protects routes using JWT authentication
+// Returns the req.user of a request made with an API key:
+// { id, role, authType: "apiKey", apiKeyId, scopes }
 //
-// Expected request header format:
+// The role is read from the owner's account on every request,
+// so role changes and disabled accounts apply immediately.
+const authenticateApiKey = async (key, req) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || !apiKey.isActive()) {
+    throw new UnauthorizedError("API_KEY_INVALID");
+  }
+
+  const owner = await User.findById(apiKey.user).select("role disabled");
+
+  if (!owner) {
+    throw new UnauthorizedError("API_KEY_INVALID");
+  }
+  if (owner.disabled) {
+    throw new ForbiddenError("ACCOUNT_DISABLED");
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_PRECISION_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  return {
+    id: String(owner._id),
+    role: owner.role,
+    authType: "apiKey",
+    apiKeyId: String(apiKey._id),
+    scopes: apiKey.scopes
+  };
+};
+
+// --------------------------------------------------
+// AUTHENTICATION
+// --------------------------------------------------
+// Authenticates a request using JWT or API key authentication
+// and returns its req.user
+//
+// Expected request header format (one of):
 // Authorization: Bearer <JWT_TOKEN>
+// Authorization: ApiKey <API_KEY>
+// X-API-Key: <API_KEY>
 //
 // Flow:
-// 1. Read Authorization header
+// 1. Read Authorization header (or X-API-Key)
 // 2. Validate header format
-// 3. Verify JWT token
-// 4. Attach user data to request
-// 5. Allow request to proceed
+// 3. Verify JWT token (or API key)
+// 4. Check that the session is still active
+// 5. Return the user data
+//
+// req.user always has { id, role, authType }:
+// - authType "jwt"    → plus the token claims (sid, iat, exp)
+// - authType "apiKey" → plus apiKeyId and scopes
 // --------------------------------------------------
-module.exports = (req, res, next) => {
+const authenticate = async (req) => {
 
   // Read the Authorization header from the incoming request
   const authHeader = req.headers.authorization;
+  const apiKeyHeader = req.headers["x-api-key"];
 
-  // Debug log (useful during development)
-  // Can be removed or disabled in production
-  console.log("AUTH HEADER:", authHeader);
-
-  // 1️⃣ If Authorization header is missing
+  // 1️⃣ If both Authorization and X-API-Key headers are missing
   // The client is not authenticated
+  if (!authHeader && !apiKeyHeader) {
+    throw new UnauthorizedError("NO_AUTH_HEADER");
+  }
+
+  // API key sent in its own header
   if (!authHeader) {
-    return res.status(401).json({
-      message: "NO_AUTH_HEADER"
-    });
+    return authenticateApiKey(apiKeyHeader, req);
   }
 
   // 2️⃣ Split the header value into two parts
   // Example: "Bearer eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
   const [scheme, token] = authHeader.split(" ");
 
+  // API key sent as "ApiKey <key>"
+  if (scheme === "ApiKey" && token) {
+    return authenticateApiKey(token, req);
+  }
+
   // 3️⃣ Validate header format
-  // Must be exactly: "Bearer <token>"
+  // Must be exactly: "Bearer <token>" (or "ApiKey <key>", above)
   if (scheme !== "Bearer" || !token) {
-    return res.status(401).json({
-      message: "MALFORMED_AUTH_HEADER"
-    });
+    throw new UnauthorizedError("MALFORMED_AUTH_HEADER");
   }
 
+  let decoded;
+
   try {
     // 4️⃣ Verify the JWT token using the secret key
     // If token is valid, jwt.verify returns decoded payload
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Debug log to inspect decoded token payload
-    console.log("DECODED TOKEN:", decoded);
-
-    // 5️⃣ Attach decoded user information to request object
-    // This allows controllers to access req.user
-    req.user = decoded;
-
-    // Allow request to proceed to the next middleware or controller
-    next();
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (err) {
-    // 6️⃣ Token verification failed
+    // 5️⃣ Token verification failed
     // Possible reasons:
     // - Token expired
     // - Token tampered
     // - Invalid signature
-    return res.status(401).json({
-      message: "TOKEN_INVALID_OR_EXPIRED"
-    });
+    throw new UnauthorizedError("TOKEN_INVALID_OR_EXPIRED");
+  }
+
+  // 6️⃣ Check that the session behind the token is still active
+  // Every access token carries its session ID ("sid" claim);
+  // tokens without one are not accepted
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+  if (!session || !session.isActive()) {
+    throw new UnauthorizedError("SESSION_REVOKED");
   }
+
+  // 7️⃣ Return the decoded user information
+  return { ...decoded, authType: "jwt" };
 };
+
+// --------------------------------------------------
+// AUTHENTICATION MIDDLEWARE
+// --------------------------------------------------
+// This middleware protects routes: it attaches the user to the
+// request (req.user) or rejects it
+//
+// Every rejection is counted by its error code
+// (auth_rejections_total{reason="NO_AUTH_HEADER"}, ...)
+// --------------------------------------------------
+module.exports = asyncHandler(async (req, res, next) => {
+  try {
+    // This allows controllers to access req.user
+    req.user = await authenticate(req);
+  } catch (err) {
+    if (err instanceof AppError) {
+      metrics.authRejections.inc({ reason: err.code });
+    }
+    throw err;
+  }
+
+  // Allow request to proceed to the next middleware or controller
+  next();
+});
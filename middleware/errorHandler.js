@@ -0,0 +1,158 @@
+/**
+ * errorHandler.js
+ * ----------------
+ * This file contains the final error-handling middleware.
+ *
+ * Responsibilities:
+ * - Answer unknown routes with ROUTE_NOT_FOUND
+ * - Convert thrown errors into the common error envelope
+ * - Map Mongoose / MongoDB errors to proper HTTP responses:
+ *   - CastError on _id        → 404 RESOURCE_NOT_FOUND
+ *   - other CastError         → 400 INVALID_VALUE
+ *   - ValidationError         → 400 INVALID_DATA (with field errors)
+ *   - duplicate key (E11000)  → 409 DUPLICATE_KEY
+ *   - VersionError            → 409 EDIT_CONFLICT
+ *   - upload over size limit  → 413 FILE_TOO_LARGE
+ *   - database unreachable    → 503 DATABASE_UNAVAILABLE
+ * - Hide internal details of unexpected (500) errors
+ *
+ * Error envelope:
+ * {
+ *   "success": false,
+ *   "code": "BOOK_NOT_FOUND",
+ *   "message": "Book not found",
+ *   "errors": [...],   // field errors, when relevant
+ *   "details": {...}   // extra data, when relevant
+ * }
+ *
+ * Both middleware functions are registered LAST in app.js.
+ */
+
+// Import mongoose to recognise its error classes
+const mongoose = require("mongoose");
+
+// Import the application error class
+const { AppError } = require("../errors/AppError");
+
+// Import the application logger (used when req.log is not set)
+const { logger } = require("../utils/logger");
+
+// --------------------------------------------------
+// ERROR NORMALISATION
+// --------------------------------------------------
+
+// Errors raised while MongoDB cannot be reached
+// (no server available, network failure, command buffered too long)
+const DATABASE_UNAVAILABLE_ERRORS = new Set([
+  "MongooseServerSelectionError",
+  "MongoServerSelectionError",
+  "MongoNetworkError",
+  "MongoNetworkTimeoutError"
+]);
+
+const isDatabaseUnavailable = (err) =>
+  DATABASE_UNAVAILABLE_ERRORS.has(err.name) ||
+  (err instanceof mongoose.Error && /buffering timed out/.test(err.message));
+
+/**
+ * Convert any error into an AppError
+ */
+const toAppError = (err) => {
+  // Already an application error
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // Malformed JSON body (thrown by express.json())
+  if (err.type === "entity.parse.failed") {
+    return new AppError("INVALID_JSON");
+  }
+
+  // Value could not be cast to the schema type (e.g. bad ObjectId)
+  if (err instanceof mongoose.Error.CastError) {
+    if (err.path === "_id") {
+      return new AppError("RESOURCE_NOT_FOUND");
+    }
+    return new AppError("INVALID_VALUE", {
+      errors: [{ location: "body", field: err.path, message: "has an invalid value" }]
+    });
+  }
+
+  // Schema validation failed while saving
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError("INVALID_DATA", {
+      errors: Object.values(err.errors).map((fieldError) => ({
+        location: "body",
+        field: fieldError.path,
+        message: fieldError.message
+      }))
+    });
+  }
+
+  // Uploaded file over the limit (multer)
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return new AppError("FILE_TOO_LARGE");
+  }
+
+  // Other malformed uploads (unexpected file field, too many parts, ...)
+  if (err.name === "MulterError") {
+    return new AppError("BAD_REQUEST", { message: err.message });
+  }
+
+  // Document changed between load and save (optimistic concurrency)
+  if (err instanceof mongoose.Error.VersionError) {
+    return new AppError("EDIT_CONFLICT");
+  }
+
+  // Unique index violation
+  if (err.code === 11000) {
+    return new AppError("DUPLICATE_KEY", {
+      details: { fields: Object.keys(err.keyValue || err.keyPattern || {}) }
+    });
+  }
+
+  // Lost connection: the client may retry once it is back
+  if (isDatabaseUnavailable(err)) {
+    return new AppError("DATABASE_UNAVAILABLE");
+  }
+
+  // Anything else is unexpected
+  return new AppError("INTERNAL_ERROR");
+};
+
+// --------------------------------------------------
+// NOT FOUND HANDLER
+// --------------------------------------------------
+// Reached when no route matched the request
+exports.notFound = (req, res, next) => {
+  next(new AppError("ROUTE_NOT_FOUND"));
+};
+
+// --------------------------------------------------
+// ERROR HANDLER
+// --------------------------------------------------
+// Express recognises error middleware by its 4 arguments
+exports.errorHandler = (err, req, res, next) => {
+  const appError = toAppError(err);
+
+  // Unexpected errors are logged with their original stack trace
+  // (the access log already records every other failed request)
+  if (appError.status >= 500) {
+    (req.log || logger).error("Unhandled error", { err });
+  }
+
+  // Headers were already sent: let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(appError.status).json({
+    success: false,
+    code: appError.code,
+    message: appError.message,
+    ...(appError.errors && { errors: appError.errors }),
+    ...(appError.details && { details: appError.details })
+  });
+};
+
+exports.toAppError = toAppError;
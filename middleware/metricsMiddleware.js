@@ -0,0 +1,91 @@
+/**
+ * metricsMiddleware.js
+ * ---------------------
+ * This file contains the metrics middleware.
+ *
+ * Responsibilities:
+ * - Count every request and time it, by method, matched route and
+ *   status code (http_requests_total, http_request_duration_seconds)
+ * - Protect GET /metrics with a bearer token when METRICS_TOKEN is set
+ *
+ * metricsMiddleware must be registered after requestLogger,
+ * which records the matched route.
+ */
+
+// Node's built-in crypto module (constant-time comparison)
+const crypto = require("crypto");
+
+// Application metrics (utils/metrics.js)
+const { metrics } = require("../utils/metrics");
+
+// Route pattern of a request, recorded by the request logger
+const { matchedRoute } = require("./requestLogger");
+
+// Import application errors
+const { UnauthorizedError } = require("../errors/AppError");
+
+// Status reported when the client closes the connection before the response
+// (nginx's "client closed request")
+const CLIENT_CLOSED_REQUEST = 499;
+
+// --------------------------------------------------
+// HTTP METRICS
+// --------------------------------------------------
+// The route label is the route pattern ("/api/books/:id"), never the
+// raw path, so the number of series stays bounded.
+// Requests no route matched share the route "unmatched".
+exports.metricsMiddleware = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+
+    const labels = {
+      method: req.method,
+      route: matchedRoute(req) || "unmatched",
+      status: res.writableFinished ? res.statusCode : CLIENT_CLOSED_REQUEST
+    };
+
+    metrics.httpRequests.inc(labels);
+    metrics.httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  };
+
+  res.on("finish", record);
+  res.on("close", record);
+
+  next();
+};
+
+// --------------------------------------------------
+// METRICS TOKEN
+// --------------------------------------------------
+// Compares hashes so the comparison takes as long whatever the token
+const sameToken = (received, expected) => {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(received), digest(expected));
+};
+
+// When a token is configured (app.locals.metricsToken, see app.js),
+// scrapers must send: Authorization: Bearer <METRICS_TOKEN>
+exports.requireMetricsToken = (req, res, next) => {
+  const expected = req.app.locals.metricsToken;
+  if (!expected) return next();
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    throw new UnauthorizedError("NO_AUTH_HEADER");
+  }
+
+  const [scheme, token] = authHeader.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    throw new UnauthorizedError("MALFORMED_AUTH_HEADER");
+  }
+
+  if (!sameToken(token, expected)) {
+    throw new UnauthorizedError("METRICS_TOKEN_INVALID");
+  }
+
+  next();
+};
@@ -0,0 +1,86 @@
+/**
+ * rateLimitMiddleware.js
+ * -----------------------
+ * This file contains the rate-limiting middleware.
+ *
+ * Responsibilities:
+ * - Count requests per client key (IP address, email, ...)
+ * - Reject requests over the limit with 429 and a Retry-After header
+ * - Tell clients where they stand with RateLimit-* headers
+ *
+ * Limits are defined in config/rateLimits.js, counters are kept
+ * in the active store (see utils/rateLimitStore.js).
+ *
+ * Usage:
+ * router.post("/login", rateLimit("login-ip", RATE_LIMITS.loginIp), login);
+ */
+
+// Import the rate-limit configuration
+const { RATE_LIMIT_ENABLED } = require("../config/rateLimits");
+
+// Import the active counter store
+const { getStore } = require("../utils/rateLimitStore");
+
+// Import application errors
+const { TooManyRequestsError } = require("../errors/AppError");
+
+// --------------------------------------------------
+// CLIENT KEYS
+// --------------------------------------------------
+// Client IP address (set "trust proxy" when behind a proxy, see app.js)
+exports.byIp = (req) => req.ip;
+
+// Email address of the request body (validated and lowercased first)
+exports.byEmail = (req) => req.body?.email;
+
+// --------------------------------------------------
+// RATE LIMIT
+// --------------------------------------------------
+// Allows at most limit.max requests per limit.windowMs for each key
+//
+// name    → prefix of the counters, unique per limit
+// limit   → { windowMs, max }
+// options → key  (req → string, requests without a key are not counted)
+//           code (error code of the 429 response)
+// --------------------------------------------------
+exports.rateLimit = (name, { windowMs, max }, { key = exports.byIp, code = "RATE_LIMITED" } = {}) => {
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) {
+      return next();
+    }
+
+    const clientKey = key(req);
+    if (!clientKey) {
+      return next();
+    }
+
+    let hit;
+    try {
+      hit = await getStore().increment(`${name}:${clientKey}`, windowMs);
+    } catch (err) {
+      // An unavailable store must not take the API down with it
+      req.log.error("Rate limit store unavailable", { err, limit: name });
+      return next();
+    }
+
+    const remaining = Math.max(0, max - hit.count);
+    const resetSeconds = Math.max(1, Math.ceil((hit.resetAt - Date.now()) / 1000));
+
+    // Several limits can apply to one route: report the tightest one
+    const reported = res.get("RateLimit-Remaining");
+    if (reported === undefined || remaining < Number(reported)) {
+      res.set({
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(remaining),
+        "RateLimit-Reset": String(resetSeconds)
+      });
+    }
+
+    if (hit.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return next(new TooManyRequestsError(code, { details: { retryAfter: resetSeconds } }));
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,95 @@
+/**
+ * requestLogger.js
+ * -----------------
+ * This file contains the request logging middleware.
+ *
+ * Responsibilities:
+ * - Give every request an ID: the client's X-Request-Id when it is
+ *   safe to reuse, a new UUID otherwise. It is echoed in the
+ *   X-Request-Id response header so clients can quote it.
+ * - Attach a logger carrying that ID to the request (req.log)
+ * - Write one access log entry per request: method, route, status,
+ *   latency and user ID
+ *
+ * Must be registered FIRST, before every other middleware.
+ */
+
+// Node's built-in crypto module for request IDs
+const crypto = require("crypto");
+
+// Import the application logger
+const { logger } = require("../utils/logger");
+
+// Incoming IDs are reused only if short and made of safe characters
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// --------------------------------------------------
+// MATCHED ROUTE
+// --------------------------------------------------
+// Express sets req.route when a route matches, but resets req.baseUrl
+// when an error leaves the router. The mount path is therefore
+// recorded when the request enters a router (see app.js):
+// app.use("/api/books", recordMountPath, bookRoutes);
+exports.recordMountPath = (req, res, next) => {
+  req.mountPath = req.baseUrl;
+  next();
+};
+
+/**
+ * Route pattern of a request, e.g. "/api/books/:id"
+ * null when no route matched (404)
+ *
+ * A router's "/" route is reported as its mount path
+ * ("/api/books", not "/api/books/").
+ */
+exports.matchedRoute = (req) => {
+  if (!req.route) return null;
+
+  const mountPath = req.mountPath || "";
+  return req.route.path === "/" && mountPath ? mountPath : `${mountPath}${req.route.path}`;
+};
+
+// --------------------------------------------------
+// REQUEST LOGGER
+// --------------------------------------------------
+exports.requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  // "close" without "finish" means the client went away first
+  let logged = false;
+  const accessLog = () => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.statusCode;
+    const fields = {
+      method: req.method,
+      route: exports.matchedRoute(req),
+      path: req.originalUrl.split("?")[0],
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      userId: req.user ? String(req.user.id) : null,
+      authType: req.user ? req.user.authType : null,
+      ip: req.ip,
+      ...(!res.writableFinished && { aborted: true })
+    };
+
+    if (status >= 500) {
+      req.log.error("request", fields);
+    } else if (status >= 400) {
+      req.log.warn("request", fields);
+    } else {
+      req.log.info("request", fields);
+    }
+  };
+
+  res.on("finish", accessLog);
+  res.on("close", accessLog);
+
+  next();
+};
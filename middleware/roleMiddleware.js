@@ -0,0 +1,114 @@
+/**
+ * roleMiddleware.js
+ * ------------------
+ * This file contains role-based authorization middleware.
+ *
+ * Responsibilities:
+ * - Check the role of the authenticated user (req.user.role)
+ * - Check permissions against the policy table in config/permissions.js
+ * - Check the scopes of API keys (req.user.authType === "apiKey")
+ * - Keep API keys out of account routes (requireSession)
+ * - Block access with a 403 error if the user is not allowed
+ *
+ * These middleware functions MUST run after authMiddleware,
+ * because they rely on req.user being populated.
+ *
+ * Errors use the same machine-readable codes as authMiddleware
+ * (e.g. NO_AUTH_HEADER), see errors/errorCodes.js.
+ */
+
+// Import the authorization policy helpers
+const { POLICIES, hasPermission, scopeAllows } = require("../config/permissions");
+
+// Import application errors
+const { UnauthorizedError, ForbiddenError } = require("../errors/AppError");
+
+// Whether the request was authenticated with an API key
+const isApiKey = (user) => user.authType === "apiKey";
+
+// --------------------------------------------------
+// REQUIRE ROLE
+// --------------------------------------------------
+// Allows the request only if req.user.role is one of the given roles
+//
+// Usage:
+// router.get("/admin", authMiddleware, requireRole("admin"), handler);
+// --------------------------------------------------
+exports.requireRole = (...roles) => {
+  return (req, res, next) => {
+    // authMiddleware did not run or did not attach a user
+    if (!req.user) {
+      return next(new UnauthorizedError("NOT_AUTHENTICATED"));
+    }
+
+    // The user's role is not in the allowed list
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError("INSUFFICIENT_ROLE"));
+    }
+
+    // Role-only checks have no action to match scopes against:
+    // API keys need the "admin" scope
+    if (isApiKey(req.user) && !req.user.scopes.includes("admin")) {
+      return next(new ForbiddenError("INSUFFICIENT_SCOPE"));
+    }
+
+    next();
+  };
+};
+
+// --------------------------------------------------
+// REQUIRE PERMISSION
+// --------------------------------------------------
+// Allows the request only if the policy table grants the action
+// to req.user.role
+//
+// Usage:
+// router.delete("/:id", authMiddleware, requirePermission("book:delete"), handler);
+// --------------------------------------------------
+exports.requirePermission = (action) => {
+  // Fail fast at startup if a route references an unknown action
+  if (!POLICIES[action]) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  return (req, res, next) => {
+    // authMiddleware did not run or did not attach a user
+    if (!req.user) {
+      return next(new UnauthorizedError("NOT_AUTHENTICATED"));
+    }
+
+    // The policy table does not allow this role to perform the action
+    if (!hasPermission(req.user.role, action)) {
+      return next(new ForbiddenError("PERMISSION_DENIED"));
+    }
+
+    // An API key must also have a scope granting the action
+    if (isApiKey(req.user) && !scopeAllows(req.user.scopes, action, req.method)) {
+      return next(new ForbiddenError("INSUFFICIENT_SCOPE"));
+    }
+
+    next();
+  };
+};
+
+// --------------------------------------------------
+// REQUIRE SESSION
+// --------------------------------------------------
+// Allows the request only if the user logged in (JWT),
+// not with an API key. Used on account routes: profile changes,
+// passwords, sessions and API key management.
+//
+// Usage:
+// router.post("/logout", authMiddleware, requireSession, logout);
+// --------------------------------------------------
+exports.requireSession = (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError("NOT_AUTHENTICATED"));
+  }
+
+  if (isApiKey(req.user)) {
+    return next(new ForbiddenError("API_KEY_NOT_ALLOWED"));
+  }
+
+  next();
+};
@@ -0,0 +1,33 @@
+/**
+ * uploadMiddleware.js
+ * --------------------
+ * This file configures file uploads (multipart/form-data).
+ *
+ * Responsibilities:
+ * - Keep uploaded files in memory (req.file.buffer)
+ * - Reject files over the configured size limit (413 FILE_TOO_LARGE,
+ *   see middleware/errorHandler.js)
+ *
+ * Usage:
+ * router.post("/import", importUpload, importBooks);
+ */
+
+// Import multer to parse multipart/form-data requests
+const multer = require("multer");
+
+// Validated settings (IMPORT_MAX_FILE_MB)
+const config = require("../config");
+
+// Largest accepted catalog file, in megabytes
+const IMPORT_MAX_FILE_MB = config.importMaxFileMb;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024,
+    files: 1
+  }
+});
+
+// One catalog file in the "file" field
+exports.importUpload = upload.single("file");
@@ -0,0 +1,102 @@
+/**
+ * ApiKey.js
+ * ----------
+ * This file defines the ApiKey data model.
+ *
+ * Responsibilities:
+ * - Store the API keys used by scripts and partner integrations
+ * - Record the scopes, expiry and last use of each key
+ * - Represent the "apikeys" collection in MongoDB
+ *
+ * Only the SHA-256 hash of a key is stored: the plain key is shown
+ * once, when it is created. authMiddleware accepts keys as
+ * "Authorization: ApiKey <key>" or "X-API-Key: <key>".
+ */
+
+// Import mongoose to define schemas and interact with MongoDB
+const mongoose = require("mongoose");
+
+// Import the known scopes
+const { SCOPES } = require("../config/permissions");
+
+/**
+ * Define the schema for the ApiKey collection
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Owner of the key: requests act as this user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    // Label chosen by the owner (e.g. "nightly import job")
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    // SHA-256 hash of the key
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+
+    // First characters of the key, to recognise it in lists
+    prefix: {
+      type: String,
+      required: true
+    },
+
+    // What the key may do (see config/permissions.js)
+    scopes: {
+      type: [{ type: String, enum: Object.keys(SCOPES) }],
+      required: true
+    },
+
+    // null → the key never expires
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+
+    // Last request made with the key
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    // Automatically adds createdAt and updatedAt
+    timestamps: true
+  }
+);
+
+/**
+ * Check whether the key can still be used
+ */
+apiKeySchema.methods.isActive = function () {
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+/**
+ * Never expose the key hash when a key is converted to JSON
+ */
+apiKeySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -15,6 +15,25 @@
 // Import mongoose to define schemas and interact with MongoDB
 const mongoose = require("mongoose");
 
+// ISBN helpers: books store the canonical ISBN-13
+const { toIsbn13, isValidIsbn13 } = require("../utils/isbn");
+
+// Language codes: ISO 639-1/639-2 with optional region (e.g. "en", "en-us")
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2})?$/;
+
+// Cover images are referenced by an http(s) URL
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+// Normalise a list of strings: trim, drop empties and duplicates
+const cleanList = (lowercase) => (values) => {
+  const list = (values || [])
+    .map((value) => String(value).trim())
+    .map((value) => (lowercase ? value.toLowerCase() : value))
+    .filter(Boolean);
+
+  return [...new Set(list)];
+};
+
 /**
  * Define a schema for the Book collection
  * A schema describes the structure of documents
@@ -32,26 +51,198 @@ const bookSchema = new mongoose.Schema(
 
     // Author name
     // Required field and must be a string
+    // This is the PRIMARY author and always equals authors[0]
     author: {
       type: String,
       required: true,
       trim: true
     },
 
+    // All authors of the book, primary author first
+    authors: {
+      type: [String],
+      set: cleanList(false)
+    },
+
+    // ISBN-10 or ISBN-13, stored as canonical ISBN-13 (digits only)
+    // Optional, but unique when present
+    isbn: {
+      type: String,
+      set: (value) => (value == null || value === "" ? undefined : toIsbn13(value)),
+      validate: {
+        validator: isValidIsbn13,
+        message: "ISBN must be a valid ISBN-10 or ISBN-13"
+      }
+    },
+
+    // Genres (e.g. "fiction", "classics"), stored lowercase
+    genres: {
+      type: [String],
+      set: cleanList(true),
+      index: true
+    },
+
+    // Free-form tags, stored lowercase
+    tags: {
+      type: [String],
+      set: cleanList(true)
+    },
+
+    // Short summary of the book
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    },
+
+    // Publisher name
+    publisher: {
+      type: String,
+      trim: true
+    },
+
+    // Number of pages
+    pageCount: {
+      type: Number,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "Page count must be an integer"
+      }
+    },
+
+    // Language code, stored lowercase (e.g. "en", "fr", "pt-br")
+    language: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: LANGUAGE_PATTERN,
+      index: true
+    },
+
+    // Reference to the cover image (http or https URL)
+    coverImage: {
+      type: String,
+      trim: true,
+      match: URL_PATTERN
+    },
+
     // Publication year of the book
     // Optional field and must be a number
     year: {
       type: Number
+    },
+
+    // User who created the book
+    // Used for ownership checks: only the owner or an admin
+    // may update or delete the book
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true
+    },
+
+    // Soft delete: when set, the book is in the trash
+    // Trashed books are hidden from normal reads and purged
+    // after the retention period (see jobs/purgeDeletedBooks.js)
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+
+    // User who moved the book to the trash
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
     }
   },
   {
     // Automatically adds:
     // createdAt → when the document was created
     // updatedAt → when the document was last updated
-    timestamps: true
+    timestamps: true,
+
+    // Every save increments "__v" and fails if the stored version
+    // changed since the document was loaded
+    // "__v" is the book's version, used for ETags (see utils/etag.js)
+    optimisticConcurrency: true
+  }
+);
+
+// ISBN must be unique, but many books have no ISBN at all
+// The partial filter only indexes documents that have one
+bookSchema.index(
+  { isbn: 1 },
+  { unique: true, partialFilterExpression: { isbn: { $type: "string" } } }
+);
+
+// Range filters on publication year
+bookSchema.index({ year: 1 });
+
+// Full-text search (see utils/bookSearch.js)
+// Weights rank title matches above author and description matches
+bookSchema.index(
+  { title: "text", author: "text", authors: "text", description: "text" },
+  {
+    name: "book_text_search",
+    weights: { title: 10, author: 5, authors: 5, description: 1 }
   }
 );
 
+/**
+ * Hide trashed books from every read and update by default
+ *
+ * A query opts out by filtering on deletedAt itself
+ * (e.g. { deletedAt: { $ne: null } } for the trash) or with
+ * .setOptions({ withDeleted: true })
+ */
+function excludeDeleted() {
+  if (this.getOptions().withDeleted) {
+    return;
+  }
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+}
+
+bookSchema.pre(
+  [
+    "find",
+    "findOne",
+    "countDocuments",
+    "distinct",
+    "findOneAndUpdate",
+    "updateOne",
+    "updateMany"
+  ],
+  excludeDeleted
+);
+
+/**
+ * Keep "author" and "authors" in sync before validation
+ *
+ * - Only authors changed → author becomes authors[0]
+ * - Only author changed  → it replaces the previous primary author
+ * - authors empty        → authors becomes [author]
+ */
+bookSchema.pre("validate", function () {
+  const authorsChanged = this.isModified("authors") && this.authors.length > 0;
+  const authorChanged = this.isModified("author") && this.author;
+
+  if (authorsChanged && !authorChanged) {
+    this.author = this.authors[0];
+  } else if (authorChanged) {
+    const others = this.authors
+      .slice(authorsChanged ? 0 : 1)
+      .filter((name) => name !== this.author);
+    this.authors = [this.author, ...others];
+  } else if (this.author && this.authors.length === 0) {
+    this.authors = [this.author];
+  }
+});
+
 /**
  * Create a Mongoose model using the schema
  *
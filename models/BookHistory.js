@@ -0,0 +1,87 @@
+/**
+ * BookHistory.js
+ * ---------------
+ * This file defines the BookHistory data model.
+ *
+ * Responsibilities:
+ * - Record every change made to a book (one document per version)
+ * - Store who made the change, when, and a field-level diff
+ * - Store a snapshot of the book after the change, so an admin
+ *   can revert the book to any previous version
+ * - Represent the "bookhistories" collection in MongoDB
+ */
+
+// Import mongoose to define schemas and interact with MongoDB
+const mongoose = require("mongoose");
+
+/**
+ * One changed field: its value before and after the change
+ */
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+/**
+ * Define the schema for the BookHistory collection
+ */
+const bookHistorySchema = new mongoose.Schema(
+  {
+    // Book this version belongs to
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true
+    },
+
+    // Version number, starting at 1 for each book
+    version: {
+      type: Number,
+      required: true
+    },
+
+    // What happened to the book
+    action: {
+      type: String,
+      enum: ["create", "update", "delete", "restore", "revert"],
+      required: true
+    },
+
+    // User who made the change (from req.user)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    // Field-level diff
+    changes: {
+      type: [changeSchema],
+      default: []
+    },
+
+    // Full state of the book after the change
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+
+    // For "revert": the version that was restored
+    revertedTo: {
+      type: Number
+    }
+  },
+  {
+    // Only createdAt is needed: history entries are never updated
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// One document per (book, version); also used to list a book's history
+bookHistorySchema.index({ book: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("BookHistory", bookHistorySchema);
@@ -0,0 +1,33 @@
+/**
+ * Migration.js
+ * -------------
+ * This file defines the Migration data model.
+ *
+ * Responsibilities:
+ * - Record which database migrations (db/migrations/) have been applied
+ * - Represent the "migrations" collection in MongoDB
+ *
+ * One document per applied migration; "migrate down" removes it.
+ * See db/migrator.js.
+ */
+
+// Import mongoose to define schemas and interact with MongoDB
+const mongoose = require("mongoose");
+
+const migrationSchema = new mongoose.Schema({
+  // File name without ".js" (e.g. "001-backfill-book-authors")
+  // Migrations run in the order of their names
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // When the migration was applied
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model("Migration", migrationSchema);
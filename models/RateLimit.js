@@ -0,0 +1,48 @@
+/**
+ * RateLimit.js
+ * -------------
+ * This file defines the RateLimit data model.
+ *
+ * Responsibilities:
+ * - Store one request counter per rate-limit key and time window
+ * - Represent the "ratelimits" collection in MongoDB
+ *
+ * Only used by the Mongo rate-limit store (RATE_LIMIT_STORE=mongo),
+ * so every instance of the API shares the same counters.
+ * See utils/rateLimitStore.js.
+ */
+
+// Import mongoose to define schemas and interact with MongoDB
+const mongoose = require("mongoose");
+
+/**
+ * Define the schema for the RateLimit collection
+ */
+const rateLimitSchema = new mongoose.Schema(
+  {
+    // "<limit>:<client key>:<window start>", e.g. "login-ip:1.2.3.4:1700000000000"
+    _id: {
+      type: String
+    },
+
+    // Requests counted in the window
+    count: {
+      type: Number,
+      default: 0
+    },
+
+    // End of the window
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+// Let MongoDB remove counters automatically once their window ends
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
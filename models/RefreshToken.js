@@ -0,0 +1,68 @@
+/**
+ * RefreshToken.js
+ * ----------------
+ * This file defines the RefreshToken data model.
+ *
+ * Responsibilities:
+ * - Store refresh tokens (HASHED, never in plain text)
+ * - Link every token to its session (token family)
+ * - Record when a token was used so replays can be detected
+ * - Represent the "refreshtokens" collection in MongoDB
+ *
+ * Refresh tokens rotate: each successful refresh marks the
+ * presented token as used and issues a new one in the same session.
+ */
+
+// Import mongoose to define schemas and interact with MongoDB
+const mongoose = require("mongoose");
+
+/**
+ * Define the schema for the RefreshToken collection
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the token sent to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    // Session (token family) this token belongs to
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+      index: true
+    },
+
+    // Owner of the token
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    // When the token stops being valid
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    // Set when the token has been exchanged for a new one
+    // Presenting a used token again means it was stolen → reuse
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    // Automatically adds createdAt and updatedAt
+    timestamps: true
+  }
+);
+
+// Let MongoDB remove tokens automatically once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,93 @@
+/**
+ * Session.js
+ * -----------
+ * This file defines the Session data model.
+ *
+ * Responsibilities:
+ * - Represent one login of a user (one refresh token "family")
+ * - Record whether the session has been revoked (logout, reuse detection)
+ * - Represent the "sessions" collection in MongoDB
+ *
+ * Every access token carries the ID of its session ("sid" claim).
+ * authMiddleware rejects access tokens whose session is revoked.
+ */
+
+// Import mongoose to define schemas and interact with MongoDB
+const mongoose = require("mongoose");
+
+/**
+ * Define the schema for the Session collection
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    // Owner of the session
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    // When the session (and all its refresh tokens) stops being valid
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    // Set when the session is revoked
+    // A revoked session can no longer be refreshed or used
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Why the session was revoked
+    // - logout          → user logged out of this session
+    // - logout_all      → user logged out of every session
+    // - reuse           → an already-used refresh token was replayed
+    // - password_change → user changed their password (other sessions)
+    // - password_reset  → password was reset through the emailed link
+    // - role_change     → an admin changed the user's role
+    // - disabled        → an admin disabled the account
+    // - account_deleted → the user no longer exists
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "reuse",
+        "password_change",
+        "password_reset",
+        "role_change",
+        "disabled",
+        "account_deleted",
+        null
+      ],
+      default: null
+    },
+
+    // Client information, useful when listing active sessions
+    userAgent: {
+      type: String
+    },
+    ip: {
+      type: String
+    }
+  },
+  {
+    // Automatically adds createdAt and updatedAt
+    timestamps: true
+  }
+);
+
+// Let MongoDB remove sessions automatically once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Check whether the session can still be used
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -52,11 +52,67 @@ const userSchema = new mongoose.Schema(
     },
 
     // Role field
-    // Used for authorization (future extension)
+    // Used for authorization (see config/permissions.js)
     role: {
       type: String,
       enum: ["user", "admin"], // Allowed roles
       default: "user"
+    },
+
+    // Whether the user confirmed ownership of the email address
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+
+    // Email verification token
+    // Only the SHA-256 hash is stored; the token is single-use
+    emailVerificationTokenHash: {
+      type: String,
+      select: false
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+
+    // Password reset token
+    // Only the SHA-256 hash is stored; the token is single-use
+    passwordResetTokenHash: {
+      type: String,
+      select: false
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
+    },
+
+    // Disabled accounts cannot log in or refresh tokens
+    // Set by an admin through PATCH /api/users/:id/status
+    disabled: {
+      type: Boolean,
+      default: false
+    },
+    disabledAt: {
+      type: Date,
+      default: null
+    },
+
+    // Consecutive failed logins (see utils/loginLockout.js)
+    // Reset after a successful login or a password reset
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null
+    },
+
+    // Logins are refused until this date (progressive lockout)
+    lockedUntil: {
+      type: Date,
+      default: null
     }
   },
   {
@@ -67,6 +123,25 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Never expose secrets or the login lockout state when a user is
+ * converted to JSON (e.g. res.json(user)), even if they were explicitly selected
+ */
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.emailVerificationTokenHash;
+    delete ret.emailVerificationExpires;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpires;
+    delete ret.failedLoginAttempts;
+    delete ret.lastFailedLoginAt;
+    delete ret.lockedUntil;
+    delete ret.__v;
+    return ret;
+  }
+});
+
 /**
  * Create a Mongoose model using the schema
  *
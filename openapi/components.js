@@ -0,0 +1,379 @@
+/**
+ * components.js
+ * --------------
+ * This file contains the reusable parts of the OpenAPI document.
+ *
+ * Responsibilities:
+ * - Declare the security schemes (JWT, API keys, metrics token)
+ * - Describe the resources returned by the API (Book, User, ...)
+ * - Describe the error envelope of middleware/errorHandler.js
+ * - Build the error responses of an operation from its error codes
+ *
+ * Request bodies are not written here: they are generated from the
+ * validation schemas (see openapi/rules.js).
+ */
+
+// Import the error code catalog (statuses and messages)
+const ERROR_CODES = require("../errors/errorCodes");
+
+// Roles and API key scopes
+const { ROLES, SCOPES } = require("../config/permissions");
+
+// Conversion of validator rules
+const { toBodySchema } = require("./rules");
+
+// A complete book, as accepted by POST / PUT /api/books
+const { bookResourceSchema } = require("../validators/bookValidators");
+
+// Reference to a schema of this file
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// --------------------------------------------------
+// SECURITY SCHEMES
+// --------------------------------------------------
+const securitySchemes = {
+  bearerAuth: {
+    type: "http",
+    scheme: "bearer",
+    bearerFormat: "JWT",
+    description: "Access token returned by POST /api/auth/login and POST /api/auth/refresh"
+  },
+  apiKeyAuth: {
+    type: "apiKey",
+    in: "header",
+    name: "X-API-Key",
+    description:
+      "API key created with POST /api/auth/api-keys " +
+      "(also accepted as \"Authorization: ApiKey <key>\"). " +
+      "Requests are limited to the key's scopes."
+  },
+  metricsToken: {
+    type: "http",
+    scheme: "bearer",
+    description: "METRICS_TOKEN, required by GET /metrics when it is set"
+  }
+};
+
+// --------------------------------------------------
+// SCHEMAS
+// --------------------------------------------------
+const id = { type: "string", example: "665f1c2e9b1d4a0012345678" };
+const timestamp = { type: "string", format: "date-time" };
+const nullableString = { type: "string", nullable: true };
+
+// Offset pagination fields of list responses
+const pageFields = {
+  page: { type: "integer", example: 1 },
+  limit: { type: "integer", example: 5 },
+  totalPages: { type: "integer", example: 3 },
+  totalItems: { type: "integer", example: 12 }
+};
+
+// A list response: { success, data: [item], ...pageFields }
+const pageOf = (item) => ({
+  type: "object",
+  properties: {
+    success: { type: "boolean", example: true },
+    data: { type: "array", items: ref(item) },
+    ...pageFields
+  }
+});
+
+// A single resource response: { success, data: item }
+const dataOf = (item) => ({
+  type: "object",
+  properties: {
+    success: { type: "boolean", example: true },
+    data: ref(item)
+  }
+});
+
+const schemas = {
+  Error: {
+    type: "object",
+    description: "Every error response (see errors/errorCodes.js)",
+    required: ["success", "code", "message"],
+    properties: {
+      success: { type: "boolean", example: false },
+      code: { type: "string", enum: Object.keys(ERROR_CODES) },
+      message: { type: "string" },
+      errors: { type: "array", items: ref("FieldError") },
+      details: { type: "object", additionalProperties: true }
+    }
+  },
+  FieldError: {
+    type: "object",
+    properties: {
+      location: { type: "string", enum: ["params", "query", "body"] },
+      field: { ...nullableString, example: "title" },
+      message: { type: "string", example: "is required" }
+    }
+  },
+  Message: {
+    type: "object",
+    properties: { message: { type: "string" } }
+  },
+
+  // Books
+  Book: {
+    type: "object",
+    properties: {
+      _id: id,
+      title: { type: "string", example: "Clean Code" },
+      author: { type: "string", example: "Robert C. Martin" },
+      authors: { type: "array", items: { type: "string" } },
+      year: { type: "integer", example: 2008 },
+      isbn: { type: "string", description: "ISBN-13", example: "9780132350884" },
+      genres: { type: "array", items: { type: "string" } },
+      tags: { type: "array", items: { type: "string" } },
+      description: { type: "string" },
+      publisher: { type: "string" },
+      pageCount: { type: "integer" },
+      language: { type: "string", example: "en" },
+      coverImage: { type: "string", format: "uri" },
+      createdBy: id,
+      deletedAt: { ...timestamp, nullable: true },
+      deletedBy: { ...id, nullable: true },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      __v: { type: "integer", description: "Version, also sent as the ETag" }
+    }
+  },
+  BookInput: {
+    ...toBodySchema(bookResourceSchema),
+    description:
+      "A complete book. \"author\" or \"authors\" is required; " +
+      "isbn must be a valid ISBN-10 or ISBN-13. Optional fields accept null."
+  },
+  BookData: dataOf("Book"),
+  BookPage: {
+    type: "object",
+    description:
+      "Offset mode returns page, totalPages and totalItems; " +
+      "cursor mode (paginate=cursor or cursor=...) returns nextCursor and prevCursor",
+    properties: {
+      ...pageOf("Book").properties,
+      nextCursor: nullableString,
+      prevCursor: nullableString,
+      filters: { type: "object", additionalProperties: true },
+      sort: { type: "object", additionalProperties: true },
+      fields: { type: "array", items: { type: "string" }, nullable: true }
+    }
+  },
+  TrashPage: pageOf("Book"),
+  BookVersion: {
+    type: "object",
+    properties: {
+      _id: id,
+      book: id,
+      version: { type: "integer", example: 2 },
+      action: { type: "string", enum: ["create", "update", "delete", "restore", "revert"] },
+      user: {
+        type: "object",
+        nullable: true,
+        properties: { _id: id, username: { type: "string" } }
+      },
+      changes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { field: { type: "string" }, from: {}, to: {} }
+        }
+      },
+      revertedTo: { type: "integer" },
+      createdAt: timestamp
+    }
+  },
+  BookHistoryPage: pageOf("BookVersion"),
+  Suggestions: {
+    type: "object",
+    properties: {
+      success: { type: "boolean", example: true },
+      data: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["title", "author"] },
+            value: { type: "string", example: "The Great Gatsby" },
+            bookId: { ...id, description: "Title suggestions only" }
+          }
+        }
+      }
+    }
+  },
+  BulkResult: {
+    type: "object",
+    properties: {
+      success: { type: "boolean", example: true },
+      data: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "integer" },
+            op: { type: "string", enum: ["insert", "update", "delete"], nullable: true },
+            id: { ...id, nullable: true },
+            status: { type: "string", enum: ["ok", "failed", "skipped"] },
+            code: { type: "string" },
+            message: { type: "string" },
+            errors: { type: "array", items: ref("FieldError") }
+          }
+        }
+      },
+      summary: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          succeeded: { type: "integer" },
+          failed: { type: "integer" }
+        }
+      }
+    }
+  },
+  ImportReport: {
+    type: "object",
+    properties: {
+      success: { type: "boolean", example: true },
+      data: {
+        type: "object",
+        properties: {
+          dryRun: { type: "boolean" },
+          format: { type: "string", enum: ["csv", "json", "ndjson"] },
+          totalRows: { type: "integer" },
+          created: { type: "integer" },
+          duplicates: { type: "array", items: { type: "object", additionalProperties: true } },
+          failed: { type: "array", items: { type: "object", additionalProperties: true } },
+          unmappedColumns: { type: "array", items: { type: "string" } }
+        }
+      }
+    }
+  },
+
+  // Users & authentication
+  User: {
+    type: "object",
+    properties: {
+      _id: id,
+      username: { type: "string", example: "john" },
+      email: { type: "string", format: "email", example: "john@example.com" },
+      role: { type: "string", enum: Object.values(ROLES) },
+      emailVerified: { type: "boolean" },
+      disabled: { type: "boolean" },
+      disabledAt: { ...timestamp, nullable: true },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  UserData: {
+    type: "object",
+    properties: { user: ref("User") }
+  },
+  UserPage: pageOf("User"),
+  Tokens: {
+    type: "object",
+    properties: {
+      token: { type: "string", description: "JWT access token" },
+      refreshToken: { type: "string", description: "Single-use refresh token" }
+    }
+  },
+  Login: {
+    type: "object",
+    properties: {
+      token: { type: "string", description: "JWT access token" },
+      refreshToken: { type: "string", description: "Single-use refresh token" },
+      user: {
+        type: "object",
+        properties: {
+          id,
+          username: { type: "string" },
+          email: { type: "string", format: "email" },
+          role: { type: "string", enum: Object.values(ROLES) },
+          emailVerified: { type: "boolean" }
+        }
+      }
+    }
+  },
+  ApiKey: {
+    type: "object",
+    properties: {
+      _id: id,
+      user: id,
+      name: { type: "string", example: "nightly import" },
+      prefix: { type: "string", description: "First characters of the key, to recognise it" },
+      scopes: { type: "array", items: { type: "string", enum: Object.keys(SCOPES) } },
+      expiresAt: { ...timestamp, nullable: true },
+      lastUsedAt: { ...timestamp, nullable: true },
+      lastUsedIp: nullableString,
+      active: { type: "boolean" },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  NewApiKey: {
+    type: "object",
+    properties: {
+      message: { type: "string" },
+      key: { type: "string", description: "The plain key, only returned once" },
+      apiKey: ref("ApiKey")
+    }
+  },
+  ApiKeyList: {
+    type: "object",
+    properties: { apiKeys: { type: "array", items: ref("ApiKey") } }
+  },
+
+  // Operations
+  Health: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      status: { type: "string", enum: ["ok", "ready", "not_ready", "shutting_down"] },
+      uptime: { type: "integer", description: "Seconds (liveness only)" },
+      checks: {
+        type: "object",
+        properties: {
+          mongo: { type: "string", enum: ["connected", "connecting", "disconnecting", "disconnected"] }
+        }
+      }
+    }
+  }
+};
+
+// --------------------------------------------------
+// ERROR RESPONSES
+// --------------------------------------------------
+
+/**
+ * OpenAPI responses for a list of error codes, one per HTTP status
+ * Each code is an example of its response
+ */
+const errorResponses = (codes) => {
+  const responses = {};
+
+  for (const code of codes) {
+    const entry = ERROR_CODES[code];
+    if (!entry) {
+      throw new Error(`OpenAPI: unknown error code "${code}"`);
+    }
+
+    const response = (responses[entry.status] ||= {
+      description: "",
+      content: { "application/json": { schema: ref("Error"), examples: {} } }
+    });
+
+    response.description += `${response.description ? ", " : ""}${code}`;
+    response.content["application/json"].examples[code] = {
+      value: { success: false, code, message: entry.message }
+    };
+  }
+
+  return responses;
+};
+
+module.exports = {
+  ref,
+  securitySchemes,
+  schemas,
+  errorResponses
+};
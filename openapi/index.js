@@ -0,0 +1,254 @@
+/**
+ * openapi/index.js
+ * -----------------
+ * This file builds the OpenAPI 3 document of the API,
+ * served by GET /api/openapi.json (see controllers/docsController.js).
+ *
+ * Responsibilities:
+ * - Turn every entry of openapi/operations.js into an OpenAPI operation:
+ *   parameters and request body from its validation schema,
+ *   success response, security and error responses
+ * - Add the errors every route of a kind can return
+ *   (authentication, permissions, validation, rate limit ...)
+ * - Describe the required roles and API key scopes from the
+ *   policy table (config/permissions.js)
+ *
+ * The document is built once, on first use.
+ */
+
+// Version of the application
+const { version } = require("../package.json");
+
+// Roles and API key scopes of each action
+const { POLICIES, SCOPES, scopeAllows } = require("../config/permissions");
+
+// Reusable parts of the document
+const { ref, securitySchemes, schemas, errorResponses } = require("./components");
+
+// Conversion of validator rules
+const { toParameters, toBodySchema } = require("./rules");
+
+// The description of every route
+const { OPERATIONS } = require("./operations");
+
+const OPENAPI_VERSION = "3.0.3";
+
+// --------------------------------------------------
+// SHARED ERRORS
+// --------------------------------------------------
+
+// Rejections of authMiddleware
+const AUTH_ERRORS = [
+  "NO_AUTH_HEADER",
+  "MALFORMED_AUTH_HEADER",
+  "TOKEN_INVALID_OR_EXPIRED",
+  "SESSION_REVOKED",
+  "API_KEY_INVALID",
+  "ACCOUNT_DISABLED"
+];
+
+// Errors of each kind of authentication
+const AUTH_KIND_ERRORS = {
+  public: [],
+  user: AUTH_ERRORS,
+  session: [...AUTH_ERRORS, "API_KEY_NOT_ALLOWED"],
+  metrics: ["NO_AUTH_HEADER", "MALFORMED_AUTH_HEADER", "METRICS_TOKEN_INVALID"]
+};
+
+// Rejections of requirePermission
+const PERMISSION_ERRORS = ["PERMISSION_DENIED", "INSUFFICIENT_SCOPE"];
+
+// Every /api route is rate limited and may reach the database
+const API_ERRORS = ["RATE_LIMITED", "INTERNAL_ERROR", "DATABASE_UNAVAILABLE"];
+
+// Accepted credentials of each kind of authentication
+// ({} makes the metrics token optional)
+const SECURITY = {
+  user: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+  session: [{ bearerAuth: [] }],
+  metrics: [{ metricsToken: [] }, {}]
+};
+
+// Conditional request headers
+const HEADER_PARAMETERS = {
+  "If-Match": {
+    name: "If-Match",
+    in: "header",
+    required: false,
+    description: "ETag of the book as last read: 412 PRECONDITION_FAILED if it changed since",
+    schema: { type: "string" }
+  },
+  "If-None-Match": {
+    name: "If-None-Match",
+    in: "header",
+    required: false,
+    description: "ETag of a previous response: 304 Not Modified if nothing changed",
+    schema: { type: "string" }
+  }
+};
+
+// --------------------------------------------------
+// OPERATIONS
+// --------------------------------------------------
+
+// "/api/books/:id" → "/api/books/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+// "Roles: admin. API key scopes: admin."
+const describePermission = (action, method) => {
+  const scopes = Object.keys(SCOPES).filter((scope) => scopeAllows([scope], action, method));
+  return `Roles: ${POLICIES[action].roles.join(", ")}. API key scopes: ${scopes.join(", ")}.`;
+};
+
+// { "<content type>": schema } → OpenAPI content
+const toContent = (schemasByType) =>
+  Object.fromEntries(
+    Object.entries(schemasByType).map(([type, schema]) => [type, { schema }])
+  );
+
+// A JSON schema (or reference) rather than schemas by content type
+const isSchema = (body) => Boolean(body.$ref || body.type);
+
+/**
+ * Request body of an entry: its own body, else the validated JSON body
+ */
+const buildRequestBody = (entry) => {
+  const body = entry.body || toBodySchema(entry.validation);
+  if (!body) return undefined;
+
+  return {
+    required: true,
+    content: isSchema(body) ? toContent({ "application/json": body }) : toContent(body)
+  };
+};
+
+/**
+ * Success and other non-error responses of an entry
+ */
+const buildResponses = (entry) => {
+  const { status, description, schema, content, etag } = entry.success;
+
+  const responses = {
+    [status]: {
+      description: description || (status === 201 ? "Created" : "OK"),
+      ...(etag && {
+        headers: { ETag: { description: "Version of the book", schema: { type: "string" } } }
+      }),
+      content: content ? toContent(content) : toContent({ "application/json": ref(schema) })
+    }
+  };
+
+  if (entry.headers && entry.headers.includes("If-None-Match")) {
+    responses[304] = { description: "Not Modified" };
+  }
+
+  for (const [otherStatus, response] of Object.entries(entry.responses || {})) {
+    responses[otherStatus] = {
+      description: response.description,
+      content: toContent({ "application/json": ref(response.schema) })
+    };
+  }
+
+  return responses;
+};
+
+/**
+ * Every error code an entry can return, without duplicates
+ */
+const collectErrors = (path, entry, requestBody) => {
+  const codes = [
+    ...(entry.errors || []),
+    ...AUTH_KIND_ERRORS[entry.auth || "public"],
+    ...(entry.permission ? PERMISSION_ERRORS : []),
+    ...(entry.validation ? ["VALIDATION_FAILED"] : []),
+    ...(requestBody && requestBody.content["application/json"] ? ["INVALID_JSON"] : []),
+    ...(path.startsWith("/api/") ? API_ERRORS : [])
+  ];
+
+  return [...new Set(codes)];
+};
+
+/**
+ * OpenAPI operation of one entry of openapi/operations.js
+ */
+const buildOperation = (method, path, entry) => {
+  const auth = entry.auth || "public";
+  const requestBody = buildRequestBody(entry);
+
+  const description = [
+    entry.description,
+    entry.permission && describePermission(entry.permission, method.toUpperCase()),
+    auth === "session" && "Requires a logged-in user: API keys are not accepted."
+  ].filter(Boolean).join("\n\n");
+
+  const parameters = [
+    ...toParameters(entry.validation),
+    ...(entry.headers || []).map((name) => HEADER_PARAMETERS[name])
+  ];
+
+  return {
+    tags: [entry.tag],
+    summary: entry.summary,
+    ...(description && { description }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(requestBody && { requestBody }),
+    ...(SECURITY[auth] && { security: SECURITY[auth] }),
+    responses: {
+      ...buildResponses(entry),
+      ...errorResponses(collectErrors(path, entry, requestBody))
+    }
+  };
+};
+
+// --------------------------------------------------
+// DOCUMENT
+// --------------------------------------------------
+
+/**
+ * Build the OpenAPI document
+ */
+const buildOpenApiSpec = () => {
+  const paths = {};
+  const tags = [];
+
+  for (const [key, entry] of Object.entries(OPERATIONS)) {
+    const [method, expressPath] = key.split(" ");
+    const path = toOpenApiPath(expressPath);
+
+    paths[path] = paths[path] || {};
+    paths[path][method.toLowerCase()] = buildOperation(method.toLowerCase(), path, entry);
+
+    if (!tags.includes(entry.tag)) tags.push(entry.tag);
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: "Book API",
+      version,
+      description:
+        "Books catalog with users, roles and API keys.\n\n" +
+        "Every error uses the same envelope: { success: false, code, message, errors?, details? }. " +
+        "Codes are stable (errors/errorCodes.js). " +
+        "Rate-limited responses carry Retry-After and RateLimit-* headers."
+    },
+    servers: [{ url: "/" }],
+    tags: tags.map((name) => ({ name })),
+    paths,
+    components: { securitySchemes, schemas }
+  };
+};
+
+let spec = null;
+
+// The document, built on first use
+const openApiSpec = () => {
+  if (!spec) spec = buildOpenApiSpec();
+  return spec;
+};
+
+module.exports = {
+  buildOpenApiSpec,
+  openApiSpec,
+  toOpenApiPath
+};
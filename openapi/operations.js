@@ -0,0 +1,455 @@
+/**
+ * operations.js
+ * --------------
+ * This file describes every route of the API for the OpenAPI document.
+ *
+ * Responsibilities:
+ * - Give each route its summary, tag and authentication
+ * - Point each route to its validation schema (parameters and body
+ *   are generated from it, see openapi/rules.js)
+ * - List the success response and the error codes the route's own
+ *   handler can return
+ *
+ * Each entry is keyed by "METHOD /express/path", exactly as the route is
+ * registered. test/openapi.test.js fails when a registered route has
+ * no entry, or an entry no route.
+ *
+ * Entry fields:
+ * - tag, summary, description
+ * - auth       → "public" (default) | "user" (JWT or API key)
+ *                | "session" (JWT only) | "metrics" (optional METRICS_TOKEN)
+ * - permission → action of config/permissions.js (requirePermission)
+ * - validation → validation schema of validators/ (validate())
+ * - body       → request body when it is not the validated JSON body:
+ *                { contentType: schema, ... } or a JSON schema
+ * - headers    → request headers: "If-Match" | "If-None-Match"
+ * - success    → { status, description, schema | content, etag }
+ * - responses  → other non-error responses: { status: { description, schema } }
+ * - errors     → error codes of errors/errorCodes.js
+ *
+ * The errors every route of a kind can return (authentication, permission,
+ * validation, rate limit ...) are added by openapi/index.js.
+ */
+
+// Conversion of validator rules
+const { fieldsToSchema, toBodySchema } = require("./rules");
+
+// Reference to a schema of openapi/components.js
+const { ref } = require("./components");
+
+// Import the validation schemas
+const authValidators = require("../validators/authValidators");
+const bookValidators = require("../validators/bookValidators");
+const userValidators = require("../validators/userValidators");
+
+// Export formats and their Content-Types
+const { FORMATS } = require("../utils/bookTransfer");
+
+// Content-Type of GET /metrics
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("../utils/metrics");
+
+// --------------------------------------------------
+// REQUEST BODIES
+// --------------------------------------------------
+
+// PATCH /api/books/:id: every field optional (null clears it)
+const mergePatch = {
+  type: "object",
+  properties: fieldsToSchema(bookValidators.bookResourceSchema.body).properties,
+  description: "JSON Merge Patch (RFC 7396): listed fields are set, null removes a field"
+};
+
+const jsonPatch = {
+  type: "array",
+  description: "JSON Patch (RFC 6902), applied in order",
+  items: {
+    type: "object",
+    required: ["op", "path"],
+    properties: {
+      op: { type: "string", enum: ["add", "remove", "replace", "move", "copy", "test"] },
+      path: { type: "string", example: "/tags/-" },
+      from: { type: "string" },
+      value: {}
+    }
+  },
+  example: [{ op: "add", path: "/tags/-", value: "classic" }]
+};
+
+// POST /api/books/bulk: the envelope with each operation described
+const bulkBody = toBodySchema(bookValidators.bulkBooksSchema);
+bulkBody.properties.operations.items = {
+  ...toBodySchema(bookValidators.bulkOperationSchema),
+  description:
+    "insert → book; update → id + book (merged into the stored book); delete → id"
+};
+
+// POST /api/books/import (multipart/form-data)
+const importBody = toBodySchema(bookValidators.importBooksSchema);
+importBody.properties.file = { type: "string", format: "binary", description: "CSV, JSON or NDJSON catalog file" };
+importBody.properties.mapping.description = "JSON object { \"<column>\": \"<book field>\" }";
+importBody.required = ["file"];
+
+// --------------------------------------------------
+// OPERATIONS
+// --------------------------------------------------
+const OPERATIONS = {
+  // ---------------- Health & metrics ----------------
+  "GET /healthz": {
+    tag: "Health",
+    summary: "Liveness probe",
+    description: "200 while the process runs; dependencies are not checked",
+    success: { status: 200, schema: "Health" }
+  },
+  "GET /readyz": {
+    tag: "Health",
+    summary: "Readiness probe",
+    description: "200 once MongoDB is connected, 503 before that and while shutting down",
+    success: { status: 200, schema: "Health" },
+    responses: { 503: { description: "Not ready (not_ready or shutting_down)", schema: "Health" } }
+  },
+  "GET /metrics": {
+    tag: "Health",
+    summary: "Prometheus metrics",
+    auth: "metrics",
+    success: {
+      status: 200,
+      description: "Every metric in the Prometheus text format",
+      content: { [METRICS_CONTENT_TYPE]: { type: "string" } }
+    }
+  },
+
+  // ---------------- Documentation ----------------
+  "GET /api/openapi.json": {
+    tag: "Documentation",
+    summary: "This OpenAPI document",
+    success: { status: 200, content: { "application/json": { type: "object" } } }
+  },
+  "GET /api/docs": {
+    tag: "Documentation",
+    summary: "Interactive API documentation",
+    success: { status: 200, content: { "text/html": { type: "string" } } }
+  },
+
+  // ---------------- Authentication ----------------
+  "POST /api/auth/register": {
+    tag: "Authentication",
+    summary: "Register a new user",
+    description:
+      "Responds the same way when the email already has an account " +
+      "(the owner is notified by email instead)",
+    validation: authValidators.registerSchema,
+    success: { status: 201, schema: "Message" }
+  },
+  "POST /api/auth/login": {
+    tag: "Authentication",
+    summary: "Log in",
+    description:
+      "Limited per IP and per email (429 with a Retry-After header). " +
+      "Repeated failures lock the account; a locked account is answered " +
+      "like a wrong password (400 INVALID_CREDENTIALS).",
+    validation: authValidators.loginSchema,
+    success: { status: 200, schema: "Login" },
+    errors: ["INVALID_CREDENTIALS", "ACCOUNT_DISABLED", "EMAIL_NOT_VERIFIED", "TOO_MANY_LOGIN_ATTEMPTS"]
+  },
+  "POST /api/auth/refresh": {
+    tag: "Authentication",
+    summary: "Exchange a refresh token for a new token pair",
+    description: "Refresh tokens are single-use: presenting a used one revokes the session",
+    validation: authValidators.refreshSchema,
+    success: { status: 200, schema: "Tokens" },
+    errors: ["REFRESH_TOKEN_INVALID", "REFRESH_TOKEN_REUSED", "SESSION_REVOKED"]
+  },
+  "POST /api/auth/logout": {
+    tag: "Authentication",
+    summary: "Log out of the current session",
+    auth: "session",
+    success: { status: 200, schema: "Message" }
+  },
+  "POST /api/auth/logout-all": {
+    tag: "Authentication",
+    summary: "Log out of every session",
+    auth: "session",
+    success: { status: 200, schema: "Message" }
+  },
+  "POST /api/auth/verify-email": {
+    tag: "Authentication",
+    summary: "Confirm an email address",
+    validation: authValidators.verifyEmailSchema,
+    success: { status: 200, schema: "Message" },
+    errors: ["VERIFICATION_TOKEN_INVALID"]
+  },
+  "POST /api/auth/forgot-password": {
+    tag: "Authentication",
+    summary: "Request a password reset email",
+    description: "Always responds with the same message, whether or not the email exists",
+    validation: authValidators.forgotPasswordSchema,
+    success: { status: 200, schema: "Message" }
+  },
+  "POST /api/auth/reset-password": {
+    tag: "Authentication",
+    summary: "Set a new password with a reset token",
+    description: "Every session of the user is revoked",
+    validation: authValidators.resetPasswordSchema,
+    success: { status: 200, schema: "Message" },
+    errors: ["RESET_TOKEN_INVALID"]
+  },
+  "GET /api/auth/me": {
+    tag: "Authentication",
+    summary: "Get the authenticated user",
+    auth: "user",
+    success: { status: 200, schema: "UserData" },
+    errors: ["USER_NOT_FOUND"]
+  },
+  "POST /api/auth/api-keys": {
+    tag: "API Keys",
+    summary: "Create an API key",
+    description: "The plain key is only returned in this response",
+    auth: "session",
+    validation: authValidators.createApiKeySchema,
+    success: { status: 201, schema: "NewApiKey" },
+    errors: ["SCOPE_NOT_ALLOWED"]
+  },
+  "GET /api/auth/api-keys": {
+    tag: "API Keys",
+    summary: "List your API keys",
+    auth: "session",
+    success: { status: 200, schema: "ApiKeyList" }
+  },
+  "DELETE /api/auth/api-keys/:id": {
+    tag: "API Keys",
+    summary: "Revoke an API key",
+    auth: "session",
+    validation: authValidators.apiKeyIdSchema,
+    success: { status: 200, schema: "Message" },
+    errors: ["API_KEY_NOT_FOUND"]
+  },
+
+  // ---------------- Books ----------------
+  "GET /api/books": {
+    tag: "Books",
+    summary: "List books",
+    description:
+      "Offset pagination by default, cursor pagination with paginate=cursor. " +
+      "Filters: field=value, year[gte]=1900, genre=a,b (any of), dates. " +
+      "sort=title,-year and fields=title,author take Book field names. " +
+      "search ranks by relevance (\"exact phrase\" and prefix* supported).",
+    validation: bookValidators.listBooksSchema,
+    headers: ["If-None-Match"],
+    success: { status: 200, schema: "BookPage", etag: true },
+    errors: ["INVALID_CURSOR"]
+  },
+  "GET /api/books/suggest": {
+    tag: "Books",
+    summary: "Autocomplete titles and authors",
+    validation: bookValidators.suggestBooksSchema,
+    success: { status: 200, schema: "Suggestions" }
+  },
+  "GET /api/books/export": {
+    tag: "Books",
+    summary: "Download the catalog",
+    description: "Streamed; same filters, sort and fields as GET /api/books, without pagination",
+    auth: "user",
+    permission: "book:export",
+    validation: bookValidators.exportBooksSchema,
+    success: {
+      status: 200,
+      description: "The catalog as an attachment",
+      content: Object.fromEntries(
+        Object.values(FORMATS).map(({ contentType }) => [contentType.split(";")[0], { type: "string" }])
+      )
+    }
+  },
+  "GET /api/books/trash": {
+    tag: "Trash",
+    summary: "List deleted books",
+    auth: "user",
+    permission: "book:trash",
+    validation: bookValidators.listTrashSchema,
+    success: { status: 200, schema: "TrashPage" }
+  },
+  "GET /api/books/:id": {
+    tag: "Books",
+    summary: "Get a book",
+    validation: bookValidators.bookIdSchema,
+    headers: ["If-None-Match"],
+    success: { status: 200, schema: "BookData", etag: true },
+    errors: ["BOOK_NOT_FOUND"]
+  },
+  "POST /api/books": {
+    tag: "Books",
+    summary: "Create a book",
+    auth: "user",
+    permission: "book:create",
+    validation: bookValidators.createBookSchema,
+    body: ref("BookInput"),
+    success: { status: 201, schema: "BookData", etag: true },
+    errors: ["INVALID_DATA", "DUPLICATE_KEY"]
+  },
+  "POST /api/books/bulk": {
+    tag: "Books",
+    summary: "Insert, update and delete many books",
+    description:
+      "Each operation succeeds or fails on its own; with atomic=true nothing is " +
+      "applied when one fails (422 BULK_ABORTED, requires a replica set)",
+    auth: "user",
+    permission: "book:bulk",
+    validation: bookValidators.bulkBooksSchema,
+    body: bulkBody,
+    success: { status: 200, schema: "BulkResult" },
+    errors: ["BULK_ABORTED", "TRANSACTIONS_UNSUPPORTED"]
+  },
+  "POST /api/books/import": {
+    tag: "Books",
+    summary: "Import books from a file",
+    description: "Rows are validated like POST /api/books; duplicates are reported, not imported",
+    auth: "user",
+    permission: "book:import",
+    validation: bookValidators.importBooksSchema,
+    body: { "multipart/form-data": importBody },
+    success: { status: 201, schema: "ImportReport" },
+    responses: { 200: { description: "Report of a dry run (nothing imported)", schema: "ImportReport" } },
+    errors: ["IMPORT_FILE_REQUIRED", "INVALID_IMPORT_FILE", "FILE_TOO_LARGE", "UNSUPPORTED_MEDIA_TYPE"]
+  },
+  "PUT /api/books/:id": {
+    tag: "Books",
+    summary: "Replace a book",
+    description: "Omitted fields are cleared. Only the owner of the book or an admin may update it.",
+    auth: "user",
+    permission: "book:update",
+    validation: bookValidators.replaceBookSchema,
+    body: ref("BookInput"),
+    headers: ["If-Match"],
+    success: { status: 200, schema: "BookData", etag: true },
+    errors: ["BOOK_NOT_FOUND", "NOT_RESOURCE_OWNER", "PRECONDITION_FAILED", "EDIT_CONFLICT", "DUPLICATE_KEY"]
+  },
+  "PATCH /api/books/:id": {
+    tag: "Books",
+    summary: "Update part of a book",
+    description:
+      "The patched book is validated like PUT. " +
+      "Only the owner of the book or an admin may update it.",
+    auth: "user",
+    permission: "book:update",
+    validation: bookValidators.patchBookSchema,
+    body: {
+      "application/merge-patch+json": mergePatch,
+      "application/json": mergePatch,
+      "application/json-patch+json": jsonPatch
+    },
+    headers: ["If-Match"],
+    success: { status: 200, schema: "BookData", etag: true },
+    errors: [
+      "INVALID_PATCH",
+      "BOOK_NOT_FOUND",
+      "NOT_RESOURCE_OWNER",
+      "PATCH_TEST_FAILED",
+      "EDIT_CONFLICT",
+      "DUPLICATE_KEY",
+      "PRECONDITION_FAILED",
+      "UNSUPPORTED_MEDIA_TYPE",
+      "VALIDATION_FAILED"
+    ]
+  },
+  "DELETE /api/books/:id": {
+    tag: "Books",
+    summary: "Move a book to the trash",
+    description: "Only the owner of the book or an admin may delete it",
+    auth: "user",
+    permission: "book:delete",
+    validation: bookValidators.bookIdSchema,
+    headers: ["If-Match"],
+    success: { status: 200, schema: "Message" },
+    errors: ["BOOK_NOT_FOUND", "NOT_RESOURCE_OWNER", "PRECONDITION_FAILED"]
+  },
+  "POST /api/books/:id/restore": {
+    tag: "Trash",
+    summary: "Restore a deleted book",
+    auth: "user",
+    permission: "book:trash",
+    validation: bookValidators.bookIdSchema,
+    success: { status: 200, schema: "BookData", etag: true },
+    errors: ["BOOK_NOT_IN_TRASH"]
+  },
+  "GET /api/books/:id/history": {
+    tag: "History",
+    summary: "List the versions of a book",
+    description: "Newest first. Only the owner of the book or an admin may read it.",
+    auth: "user",
+    permission: "book:history",
+    validation: bookValidators.bookHistorySchema,
+    success: { status: 200, schema: "BookHistoryPage" },
+    errors: ["BOOK_NOT_FOUND", "NOT_RESOURCE_OWNER"]
+  },
+  "POST /api/books/:id/revert/:version": {
+    tag: "History",
+    summary: "Revert a book to a previous version",
+    auth: "user",
+    permission: "book:revert",
+    validation: bookValidators.revertBookSchema,
+    success: { status: 200, schema: "BookData", etag: true },
+    errors: ["BOOK_NOT_FOUND", "VERSION_NOT_FOUND"]
+  },
+
+  // ---------------- Users ----------------
+  "GET /api/users/me": {
+    tag: "Users",
+    summary: "Get your profile",
+    auth: "user",
+    success: { status: 200, schema: "UserData" },
+    errors: ["USER_NOT_FOUND"]
+  },
+  "PATCH /api/users/me": {
+    tag: "Users",
+    summary: "Update your username or email",
+    description: "A changed email must be verified again",
+    auth: "session",
+    validation: userValidators.updateMeSchema,
+    success: { status: 200, schema: "UserData" },
+    errors: ["USER_NOT_FOUND", "USERNAME_TAKEN", "EMAIL_TAKEN"]
+  },
+  "POST /api/users/me/password": {
+    tag: "Users",
+    summary: "Change your password",
+    auth: "session",
+    validation: userValidators.changePasswordSchema,
+    success: { status: 200, schema: "Message" },
+    errors: ["USER_NOT_FOUND", "CURRENT_PASSWORD_INCORRECT"]
+  },
+  "DELETE /api/users/me": {
+    tag: "Users",
+    summary: "Delete your account",
+    auth: "session",
+    validation: userValidators.deleteMeSchema,
+    success: { status: 200, schema: "Message" },
+    errors: ["USER_NOT_FOUND", "PASSWORD_INCORRECT"]
+  },
+  "GET /api/users": {
+    tag: "Users",
+    summary: "List users",
+    auth: "user",
+    permission: "user:manage",
+    validation: userValidators.listUsersSchema,
+    success: { status: 200, schema: "UserPage" }
+  },
+  "PATCH /api/users/:id/role": {
+    tag: "Users",
+    summary: "Change a user's role",
+    auth: "user",
+    permission: "user:manage",
+    validation: userValidators.updateRoleSchema,
+    success: { status: 200, schema: "UserData" },
+    errors: ["CANNOT_CHANGE_OWN_ROLE", "USER_NOT_FOUND"]
+  },
+  "PATCH /api/users/:id/status": {
+    tag: "Users",
+    summary: "Disable or enable a user",
+    description: "Disabling an account revokes all of its sessions",
+    auth: "user",
+    permission: "user:manage",
+    validation: userValidators.updateStatusSchema,
+    success: { status: 200, schema: "UserData" },
+    errors: ["CANNOT_DISABLE_SELF", "USER_NOT_FOUND"]
+  }
+};
+
+module.exports = { OPERATIONS };
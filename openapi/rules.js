@@ -0,0 +1,132 @@
+/**
+ * rules.js
+ * ---------
+ * This file turns the validation schemas of validators/ into
+ * OpenAPI 3.0 schemas, parameters and request bodies.
+ *
+ * Responsibilities:
+ * - Convert one field rule (type, required, enum, min/max ...)
+ *   into a JSON Schema object
+ * - Convert the params / query of a validation schema into
+ *   OpenAPI parameters
+ * - Convert its body into a request body schema
+ *
+ * The documentation of request inputs is therefore generated from the
+ * same rules that validate them, and cannot drift from them.
+ *
+ * Rules that only code can express (custom, refine) are not converted:
+ * the operations describe them in words (see openapi/operations.js).
+ */
+
+// The password policy behind format: "password"
+const { PASSWORD_POLICY } = require("../config/passwordPolicy");
+
+// Request location → OpenAPI "in"
+const PARAMETER_LOCATIONS = { params: "path", query: "query" };
+
+// --------------------------------------------------
+// FIELD RULES
+// --------------------------------------------------
+
+// JSON Schema of each validator type
+const TYPE_SCHEMAS = {
+  string: () => ({ type: "string" }),
+  number: () => ({ type: "number" }),
+  integer: () => ({ type: "integer" }),
+  boolean: () => ({ type: "boolean" }),
+  date: () => ({ type: "string", format: "date-time" }),
+  objectId: () => ({ type: "string", pattern: "^[0-9a-fA-F]{24}$", example: "665f1c2e9b1d4a0012345678" }),
+  array: () => ({ type: "array" }),
+  object: () => ({ type: "object" })
+};
+
+/**
+ * JSON Schema of one field rule
+ */
+const ruleToSchema = (rule) => {
+  const schema = rule.type ? TYPE_SCHEMAS[rule.type]() : {};
+
+  if (rule.nullable) schema.nullable = true;
+  if (rule.enum) schema.enum = [...rule.enum];
+  if (rule.default !== undefined && typeof rule.default !== "function") {
+    schema.default = rule.default;
+  }
+
+  // Strings
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.patternMessage) schema.description = `Value ${rule.patternMessage}`;
+  if (rule.format === "email") {
+    schema.format = "email";
+  }
+  if (rule.format === "password") {
+    schema.format = "password";
+    schema.minLength = PASSWORD_POLICY.minLength;
+    schema.description = "Must satisfy the password policy (letters and numbers by default)";
+  }
+
+  // Numbers (date ranges are not expressible in JSON Schema)
+  if (typeof rule.min === "number") schema.minimum = rule.min;
+  if (typeof rule.max === "number") schema.maximum = rule.max;
+
+  // Arrays and nested objects
+  if (rule.type === "array") {
+    schema.items = rule.items ? ruleToSchema(rule.items) : {};
+  }
+  if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.fields) {
+    Object.assign(schema, fieldsToSchema(rule.fields));
+  }
+
+  return schema;
+};
+
+/**
+ * Object schema of a set of fields (properties + required list)
+ */
+const fieldsToSchema = (fields) => {
+  const schema = { type: "object", properties: {} };
+  const required = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    schema.properties[name] = ruleToSchema(rule);
+    if (rule.required) required.push(name);
+  }
+
+  if (required.length > 0) schema.required = required;
+  return schema;
+};
+
+// --------------------------------------------------
+// VALIDATION SCHEMAS
+// --------------------------------------------------
+
+/**
+ * OpenAPI parameters of a validation schema (params, then query)
+ * Query arrays are comma-separated (?genre=fiction,classics)
+ */
+const toParameters = (validationSchema = {}) =>
+  Object.entries(PARAMETER_LOCATIONS).flatMap(([location, where]) =>
+    Object.entries(validationSchema[location] || {}).map(([name, rule]) => ({
+      name,
+      in: where,
+      required: where === "path" || Boolean(rule.required),
+      schema: ruleToSchema(rule),
+      ...(rule.type === "array" && { style: "form", explode: false })
+    }))
+  );
+
+/**
+ * JSON Schema of the body of a validation schema (null without body)
+ */
+const toBodySchema = (validationSchema = {}) =>
+  validationSchema.body ? fieldsToSchema(validationSchema.body) : null;
+
+module.exports = {
+  ruleToSchema,
+  fieldsToSchema,
+  toParameters,
+  toBodySchema
+};
@@ -5,8 +5,11 @@
  *
  * Responsibilities:
  * - Expose endpoints for user registration and login
+ * - Expose endpoints to manage API keys
  * - Route requests to authentication controller functions
  * - Protect specific routes using authentication middleware
+ * - Rate limit the routes attackers target (login, register,
+ *   password reset emails), see config/rateLimits.js
  *
  * This file does NOT contain business logic.
  * It only maps URLs to controller functions.
@@ -24,13 +27,69 @@ const router = express.Router();
 // These functions handle registration and login logic
 const {
   register,
-  login
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  forgotPassword,
+  resetPassword
 } = require("../controllers/authController");
 
 // Import authentication middleware
 // Used to protect routes that require a valid JWT
 const authMiddleware = require("../middleware/authMiddleware");
 
+// Session and API key routes are for logged-in users, not API keys
+const { requireSession } = require("../middleware/roleMiddleware");
+
+// Import API key controller functions
+const {
+  createApiKey,
+  listApiKeys,
+  deleteApiKey
+} = require("../controllers/apiKeyController");
+
+// Import the rate-limiting middleware and the limits
+const { rateLimit, byEmail } = require("../middleware/rateLimitMiddleware");
+const { RATE_LIMITS } = require("../config/rateLimits");
+
+// Import the validation middleware and the auth schemas
+const { validate } = require("../validators");
+const {
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  createApiKeySchema,
+  apiKeyIdSchema
+} = require("../validators/authValidators");
+
+// Import the profile handler shared with /api/users/me
+const { getMe } = require("../controllers/userController");
+
+// --------------------------------------------------
+// RATE LIMITS
+// --------------------------------------------------
+// Per-IP limits run before validation so malformed requests count too.
+// Per-account limits run after it, on the normalised email.
+const limitRegister = rateLimit("register-ip", RATE_LIMITS.register);
+
+const limitLoginByIp = rateLimit("login-ip", RATE_LIMITS.loginIp, {
+  code: "TOO_MANY_LOGIN_ATTEMPTS"
+});
+const limitLoginByAccount = rateLimit("login-account", RATE_LIMITS.loginAccount, {
+  key: byEmail,
+  code: "TOO_MANY_LOGIN_ATTEMPTS"
+});
+
+const limitEmailsByIp = rateLimit("email-ip", RATE_LIMITS.emailIp);
+const limitEmailsByAccount = rateLimit("email-account", RATE_LIMITS.emailAccount, {
+  key: byEmail
+});
+
 // --------------------------------------------------
 // AUTHENTICATION ROUTES
 // --------------------------------------------------
@@ -39,6 +98,8 @@ const authMiddleware = require("../middleware/authMiddleware");
  * PUBLIC ROUTE
  * --------------------------------------------------
  * Register a new user
+ * Responds the same way when the email already has an account
+ * (the owner is notified by email instead)
  *
  * Method: POST
  * Endpoint: /api/auth/register
@@ -49,12 +110,19 @@ const authMiddleware = require("../middleware/authMiddleware");
  *   "password": "password123"
  * }
  */
-router.post("/register", register);
+router.post(
+  "/register",
+  limitRegister,
+  validate(registerSchema),
+  register
+);
 
 /**
  * PUBLIC ROUTE
  * --------------------------------------------------
  * Login an existing user
+ * Limited per IP and per email (429 TOO_MANY_LOGIN_ATTEMPTS);
+ * repeated failures lock the account (answered like a wrong password)
  *
  * Method: POST
  * Endpoint: /api/auth/login
@@ -64,7 +132,103 @@ router.post("/register", register);
  *   "password": "password123"
  * }
  */
-router.post("/login", login);
+router.post(
+  "/login",
+  limitLoginByIp,
+  validate(loginSchema),
+  limitLoginByAccount,
+  login
+);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Exchange a refresh token for a new access token
+ * The refresh token is rotated: the old one can no longer be used
+ *
+ * Method: POST
+ * Endpoint: /api/auth/refresh
+ * Request Body:
+ * {
+ *   "refreshToken": "<REFRESH_TOKEN>"
+ * }
+ */
+router.post("/refresh", validate(refreshSchema), refresh);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Logout from the current session
+ *
+ * Method: POST
+ * Endpoint: /api/auth/logout
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ */
+router.post("/logout", authMiddleware, requireSession, logout);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Logout from every session of the current user
+ *
+ * Method: POST
+ * Endpoint: /api/auth/logout-all
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ */
+router.post("/logout-all", authMiddleware, requireSession, logoutAll);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Confirm an email address with the token sent after registration
+ *
+ * Method: POST
+ * Endpoint: /api/auth/verify-email
+ * Request Body:
+ * {
+ *   "token": "<VERIFICATION_TOKEN>"
+ * }
+ */
+router.post("/verify-email", validate(verifyEmailSchema), verifyEmail);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Request a password reset email
+ * Always responds with the same message, whether or not the email exists
+ *
+ * Method: POST
+ * Endpoint: /api/auth/forgot-password
+ * Request Body:
+ * {
+ *   "email": "john@example.com"
+ * }
+ */
+router.post(
+  "/forgot-password",
+  limitEmailsByIp,
+  validate(forgotPasswordSchema),
+  limitEmailsByAccount,
+  forgotPassword
+);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Set a new password using the emailed reset token
+ * All sessions of the user are revoked afterwards
+ *
+ * Method: POST
+ * Endpoint: /api/auth/reset-password
+ * Request Body:
+ * {
+ *   "token": "<RESET_TOKEN>",
+ *   "password": "newPassword123"
+ * }
+ */
+router.post("/reset-password", validate(resetPasswordSchema), resetPassword);
 
 /**
  * PROTECTED ROUTE
@@ -76,14 +240,70 @@ router.post("/login", login);
  * Header:
  * Authorization: Bearer <JWT_TOKEN>
  *
- * This route verifies the JWT and returns user data
+ * This route verifies the JWT and returns the stored user profile
+ * (same response as GET /api/users/me)
  */
-router.get("/me", authMiddleware, (req, res) => {
-  res.status(200).json({
-    user: req.user
-  });
-});
+router.get("/me", authMiddleware, getMe);
+
+// --------------------------------------------------
+// API KEY ROUTES
+// --------------------------------------------------
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Create an API key for the current user
+ * The plain key is only returned in this response
+ *
+ * Method: POST
+ * Endpoint: /api/auth/api-keys
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ * Request Body:
+ * {
+ *   "name": "nightly import",
+ *   "scopes": ["read", "books:write"],
+ *   "expiresInDays": 90
+ * }
+ */
+router.post(
+  "/api-keys",
+  authMiddleware,
+  requireSession,
+  validate(createApiKeySchema),
+  createApiKey
+);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * List the current user's API keys (never the keys themselves)
+ *
+ * Method: GET
+ * Endpoint: /api/auth/api-keys
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ */
+router.get("/api-keys", authMiddleware, requireSession, listApiKeys);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Revoke one of the current user's API keys
+ *
+ * Method: DELETE
+ * Endpoint: /api/auth/api-keys/:id
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ */
+router.delete(
+  "/api-keys/:id",
+  authMiddleware,
+  requireSession,
+  validate(apiKeyIdSchema),
+  deleteApiKey
+);
 
 // Export the router
-// Allows this router to be mounted in server.js
+// Allows this router to be mounted in app.js
 module.exports = router;
@@ -15,20 +15,54 @@
 const express = require("express");
 
 // Create a new router instance
-// This router will manage all /books-related routes
+// This router will manage all /api/books-related routes
 const router = express.Router();
 
 // Import authentication middleware
 // Used to protect routes that require a valid JWT token
 const authMiddleware = require("../middleware/authMiddleware");
 
+// Import authorization middleware
+// Checks the user's role against the policy table (config/permissions.js)
+const { requirePermission } = require("../middleware/roleMiddleware");
+
+// Import the upload middleware (catalog import files)
+const { importUpload } = require("../middleware/uploadMiddleware");
+
+// Import the validation middleware and the book schemas
+const { validate } = require("../validators");
+const {
+  listBooksSchema,
+  suggestBooksSchema,
+  createBookSchema,
+  replaceBookSchema,
+  patchBookSchema,
+  bulkBooksSchema,
+  exportBooksSchema,
+  importBooksSchema,
+  bookIdSchema,
+  listTrashSchema,
+  bookHistorySchema,
+  revertBookSchema
+} = require("../validators/bookValidators");
+
 // Import controller functions
 // These functions contain the business logic for book operations
 const {
   getAllBooks,
+  suggestBooks,
+  getBook,
   createBook,
-  updateBook,
-  deleteBook
+  replaceBook,
+  patchBook,
+  bulkBooks,
+  exportBooks,
+  importBooks,
+  deleteBook,
+  listTrash,
+  restoreBook,
+  getBookHistory,
+  revertBook
 } = require("../controllers/bookController");
 
 // --------------------------------------------------
@@ -38,19 +72,122 @@ const {
 /**
  * PUBLIC ROUTE
  * --------------------------------------------------
- * Get all books with pagination and optional search
+ * Get all books with pagination, filters, sort and search
+ * (query language: utils/bookQuery.js)
+ *
+ * Method: GET
+ * Endpoint: /api/books
+ * Query Params (optional):
+ * Pagination
+ * - page     → page number (offset mode)
+ * - limit    → number of records per page (default 5, max MAX_PAGE_LIMIT)
+ * - paginate → "cursor" starts cursor pagination (no total count)
+ * - cursor   → nextCursor / prevCursor of a previous cursor page
+ *
+ * Search
+ * - search   → ranked text search in title, authors and description
+ *              (words, "exact phrase", prefix*); results are ordered
+ *              by relevance unless sort is given (default sort in cursor mode)
+ *
+ * Filters
+ * - author, publisher, language, isbn → exact match
+ *   (author matches any of the book's authors, isbn accepts ISBN-10 or -13)
+ * - genre, tag → any of the listed values (comma separated)
+ * - year, pageCount → exact value, or a range with
+ *   <field>[gte], <field>[gt], <field>[lte], <field>[lt]
+ *   (yearFrom / yearTo are aliases of year[gte] / year[lte])
+ * - createdAfter, createdBefore, updatedSince, updatedBefore → ISO dates
+ *
+ * Sort & fields
+ * - sort   → comma-separated fields, "-" for descending (default -createdAt)
+ * - fields → comma-separated fields to return (_id is always included)
+ *
+ * The response echoes the applied filters and sort, and carries
+ * a weak ETag (If-None-Match → 304 Not Modified).
+ *
+ * Example:
+ * GET /api/books?page=1&limit=5&search=martin
+ * GET /api/books?search="great gatsby"
+ * GET /api/books?genre=fiction,classics&language=en
+ * GET /api/books?year[gte]=1900&year[lte]=1960&sort=title,-year
+ * GET /api/books?author=George Orwell&fields=title,year
+ * GET /api/books?updatedSince=2024-01-01T00:00:00Z
+ * GET /api/books?paginate=cursor&limit=20
+ * GET /api/books?cursor=<nextCursor>&limit=20
+ */
+router.get("/", validate(listBooksSchema), getAllBooks);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Autocomplete suggestions for the search box
+ * Returns titles and authors starting with the typed text
+ *
+ * Method: GET
+ * Endpoint: /api/books/suggest
+ * Query Params:
+ * - q     → typed text (required)
+ * - limit → max number of suggestions (default 10, max 20)
+ *
+ * Example:
+ * GET /api/books/suggest?q=gat
+ */
+router.get("/suggest", validate(suggestBooksSchema), suggestBooks);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Download the catalog (streamed)
  *
  * Method: GET
- * Endpoint: /books
+ * Endpoint: /api/books/export
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
  * Query Params (optional):
- * - page   → page number
- * - limit  → number of records per page
- * - search → search by title or author
+ * - format → csv | json | ndjson (default json)
+ * - same filters, sort and fields as GET /api/books
  *
  * Example:
- * GET /books?page=1&limit=5&search=martin
+ * GET /api/books/export?format=csv&genre=fiction
  */
-router.get("/", getAllBooks);
+router.get(
+  "/export",
+  authMiddleware,
+  requirePermission("book:export"),
+  validate(exportBooksSchema),
+  exportBooks
+);
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * List deleted books (the trash)
+ *
+ * Method: GET
+ * Endpoint: /api/books/trash
+ * Query Params (optional):
+ * - page, limit
+ */
+router.get(
+  "/trash",
+  authMiddleware,
+  requirePermission("book:trash"),
+  validate(listTrashSchema),
+  listTrash
+);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Get a single book by ID
+ * The response carries the book's ETag (its current version)
+ *
+ * Method: GET
+ * Endpoint: /api/books/:id
+ * Headers (optional):
+ * If-None-Match: <ETag> → 304 Not Modified if the book is unchanged
+ */
+router.get("/:id", validate(bookIdSchema), getBook);
 
 /**
  * PROTECTED ROUTE
@@ -58,48 +195,211 @@ router.get("/", getAllBooks);
  * Create a new book
  *
  * Method: POST
- * Endpoint: /books
+ * Endpoint: /api/books
  * Header:
  * Authorization: Bearer <JWT_TOKEN>
  *
  * Body:
  * {
  *   "title": "Clean Code",
- *   "author": "Robert C. Martin",
- *   "year": 2008
+ *   "author": "Robert C. Martin",        (or "authors": [...])
+ *   "year": 2008,                        (optional)
+ *   "isbn": "978-0132350884",            (optional, ISBN-10 or 13)
+ *   "authors": ["Robert C. Martin"],     (optional)
+ *   "genres": ["programming"],           (optional)
+ *   "tags": ["clean-code"],              (optional)
+ *   "description": "...",                (optional)
+ *   "publisher": "Prentice Hall",        (optional)
+ *   "pageCount": 464,                    (optional)
+ *   "language": "en",                    (optional)
+ *   "coverImage": "https://..."          (optional)
+ * }
+ */
+router.post(
+  "/",
+  authMiddleware,
+  requirePermission("book:create"),
+  validate(createBookSchema),
+  createBook
+);
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * Insert, update and delete many books in one request
+ *
+ * Method: POST
+ * Endpoint: /api/books/bulk
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ *
+ * Body:
+ * {
+ *   "atomic": false,                     (optional, true = all-or-nothing)
+ *   "operations": [                      (at most BULK_MAX_OPERATIONS)
+ *     { "op": "insert", "book": { "title": "...", "author": "..." } },
+ *     { "op": "update", "id": "<bookId>", "book": { "year": 1950 } },
+ *     { "op": "delete", "id": "<bookId>" }
+ *   ]
  * }
  */
-router.post("/", authMiddleware, createBook);
+router.post(
+  "/bulk",
+  authMiddleware,
+  requirePermission("book:bulk"),
+  validate(bulkBooksSchema),
+  bulkBooks
+);
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * Import books from a CSV, JSON or NDJSON file
+ *
+ * Method: POST
+ * Endpoint: /api/books/import
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ * Query Params (optional):
+ * - dryRun → true to get the report without creating books
+ * - format → csv | json | ndjson (default: from the file name)
+ * Body (multipart/form-data):
+ * - file    → the catalog file
+ * - mapping → JSON { "<column>": "<book field>" } (optional)
+ */
+router.post(
+  "/import",
+  authMiddleware,
+  requirePermission("book:import"),
+  importUpload,
+  validate(importBooksSchema),
+  importBooks
+);
 
 /**
  * PROTECTED ROUTE
  * --------------------------------------------------
- * Update an existing book by ID
+ * Replace an existing book by ID
+ * The body is the complete book: omitted fields are cleared
+ * Only the owner of the book or an admin may update it
  *
  * Method: PUT
- * Endpoint: /books/:id
- * Header:
+ * Endpoint: /api/books/:id
+ * Headers:
  * Authorization: Bearer <JWT_TOKEN>
+ * If-Match: <ETag> (optional) → 412 if the book changed since it was read
  *
- * Body (any fields to update):
+ * Body (same fields as POST /api/books):
  * {
- *   "year": 2010
+ *   "title": "Clean Code",
+ *   "author": "Robert C. Martin",
+ *   "year": 2008
  * }
  */
-router.put("/:id", authMiddleware, updateBook);
+router.put(
+  "/:id",
+  authMiddleware,
+  requirePermission("book:update"),
+  validate(replaceBookSchema),
+  replaceBook
+);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Partially update a book by ID
+ * Only the owner of the book or an admin may update it
+ *
+ * Method: PATCH
+ * Endpoint: /api/books/:id
+ * Headers:
+ * Authorization: Bearer <JWT_TOKEN>
+ * If-Match: <ETag> (optional) → 412 if the book changed since it was read
+ * Content-Type:
+ * - application/merge-patch+json (or application/json)
+ *   { "year": 2010, "publisher": null }
+ * - application/json-patch+json
+ *   [{ "op": "add", "path": "/tags/-", "value": "classic" }]
+ */
+router.patch(
+  "/:id",
+  authMiddleware,
+  requirePermission("book:update"),
+  validate(patchBookSchema),
+  patchBook
+);
 
 /**
  * PROTECTED ROUTE
  * --------------------------------------------------
- * Delete a book by ID
+ * Delete a book by ID (moves it to the trash)
+ * Only the owner of the book or an admin may delete it
  *
  * Method: DELETE
- * Endpoint: /books/:id
- * Header:
+ * Endpoint: /api/books/:id
+ * Headers:
  * Authorization: Bearer <JWT_TOKEN>
+ * If-Match: <ETag> (optional) → 412 if the book changed since it was read
+ */
+router.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission("book:delete"),
+  validate(bookIdSchema),
+  deleteBook
+);
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * Restore a deleted book from the trash
+ *
+ * Method: POST
+ * Endpoint: /api/books/:id/restore
+ */
+router.post(
+  "/:id/restore",
+  authMiddleware,
+  requirePermission("book:trash"),
+  validate(bookIdSchema),
+  restoreBook
+);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Get the change history of a book (newest version first)
+ * Only the owner of the book or an admin may read it
+ *
+ * Method: GET
+ * Endpoint: /api/books/:id/history
+ * Query Params (optional):
+ * - page, limit
+ */
+router.get(
+  "/:id/history",
+  authMiddleware,
+  requirePermission("book:history"),
+  validate(bookHistorySchema),
+  getBookHistory
+);
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * Revert a book to a previous version
+ *
+ * Method: POST
+ * Endpoint: /api/books/:id/revert/:version
  */
-router.delete("/:id", authMiddleware, deleteBook);
+router.post(
+  "/:id/revert/:version",
+  authMiddleware,
+  requirePermission("book:revert"),
+  validate(revertBookSchema),
+  revertBook
+);
 
 // Export the router
-// Allows this router to be mounted in server.js
+// Allows this router to be mounted in app.js
 module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * docsRoutes.js
+ * --------------
+ * This file defines the API documentation routes.
+ *
+ * Responsibilities:
+ * - Expose the OpenAPI document and the documentation page
+ *   (no authentication)
+ *
+ * This file does NOT contain business logic.
+ * It only maps URLs to controller functions.
+ */
+
+// Import the Express framework
+const express = require("express");
+
+// Create a new router instance
+// This router is mounted at /api in app.js
+const router = express.Router();
+
+// Import documentation controller functions
+const { openApiDocument, docsPage } = require("../controllers/docsController");
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * OpenAPI 3 document describing every route
+ *
+ * Method: GET
+ * Endpoint: /api/openapi.json
+ */
+router.get("/openapi.json", openApiDocument);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Interactive API documentation (Swagger UI)
+ *
+ * Method: GET
+ * Endpoint: /api/docs
+ */
+router.get("/docs", docsPage);
+
+// Export the router
+// Allows this router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,47 @@
+/**
+ * healthRoutes.js
+ * ----------------
+ * This file defines the health check routes.
+ *
+ * Responsibilities:
+ * - Expose liveness and readiness probes outside /api
+ *   (no authentication, no rate limit)
+ *
+ * This file does NOT contain business logic.
+ * It only maps URLs to controller functions.
+ */
+
+// Import the Express framework
+const express = require("express");
+
+// Create a new router instance
+// This router is mounted at the root of the app
+const router = express.Router();
+
+// Import health controller functions
+const { liveness, readiness } = require("../controllers/healthController");
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Liveness probe: the process is up
+ *
+ * Method: GET
+ * Endpoint: /healthz
+ */
+router.get("/healthz", liveness);
+
+/**
+ * PUBLIC ROUTE
+ * --------------------------------------------------
+ * Readiness probe: MongoDB is connected and the server
+ * is not shutting down (503 otherwise)
+ *
+ * Method: GET
+ * Endpoint: /readyz
+ */
+router.get("/readyz", readiness);
+
+// Export the router
+// Allows this router to be mounted in app.js
+module.exports = router;
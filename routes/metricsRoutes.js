@@ -0,0 +1,40 @@
+/**
+ * metricsRoutes.js
+ * -----------------
+ * This file defines the metrics route.
+ *
+ * Responsibilities:
+ * - Expose the Prometheus metrics outside /api
+ *   (no rate limit, optional bearer token)
+ *
+ * This file does NOT contain business logic.
+ * It only maps URLs to controller functions.
+ */
+
+// Import the Express framework
+const express = require("express");
+
+// Create a new router instance
+// This router is mounted at the root of the app
+const router = express.Router();
+
+// Import metrics controller functions
+const { exposeMetrics } = require("../controllers/metricsController");
+
+// Optional METRICS_TOKEN check
+const { requireMetricsToken } = require("../middleware/metricsMiddleware");
+
+/**
+ * PUBLIC ROUTE (or METRICS_TOKEN)
+ * --------------------------------------------------
+ * Prometheus metrics in the text format
+ * Requires "Authorization: Bearer <METRICS_TOKEN>" when it is set
+ *
+ * Method: GET
+ * Endpoint: /metrics
+ */
+router.get("/metrics", requireMetricsToken, exposeMetrics);
+
+// Export the router
+// Allows this router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,200 @@
+/**
+ * userRoutes.js
+ * --------------
+ * This file defines all user profile and account management routes.
+ *
+ * Responsibilities:
+ * - Expose endpoints for the current user's profile and account
+ * - Expose admin-only endpoints for managing other users
+ * - Protect every route using authentication middleware
+ *
+ * This file does NOT contain business logic.
+ * It only maps URLs to controller functions.
+ */
+
+// Import the Express framework
+const express = require("express");
+
+// Create a new router instance
+// This router will handle all /api/users routes
+const router = express.Router();
+
+// Import user controller functions
+const {
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  listUsers,
+  updateRole,
+  updateStatus
+} = require("../controllers/userController");
+
+// Import the validation middleware and the user schemas
+const { validate } = require("../validators");
+const {
+  updateMeSchema,
+  changePasswordSchema,
+  deleteMeSchema,
+  listUsersSchema,
+  updateRoleSchema,
+  updateStatusSchema
+} = require("../validators/userValidators");
+
+// Import authentication middleware
+// Every route in this file requires a valid JWT
+const authMiddleware = require("../middleware/authMiddleware");
+
+// Import authorization middleware
+// Admin routes require the "user:manage" permission
+// Account changes require a logged-in user (not an API key)
+const { requirePermission, requireSession } = require("../middleware/roleMiddleware");
+
+// --------------------------------------------------
+// CURRENT USER ROUTES
+// --------------------------------------------------
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Get the current user's profile
+ *
+ * Method: GET
+ * Endpoint: /api/users/me
+ * Header:
+ * Authorization: Bearer <JWT_TOKEN>
+ */
+router.get("/me", authMiddleware, getMe);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Update the current user's username and/or email
+ * A changed email must be verified again
+ *
+ * Method: PATCH
+ * Endpoint: /api/users/me
+ * Body (any of):
+ * {
+ *   "username": "john2",
+ *   "email": "john2@example.com"
+ * }
+ */
+router.patch(
+  "/me",
+  authMiddleware,
+  requireSession,
+  validate(updateMeSchema),
+  updateMe
+);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Change the current user's password
+ * Other sessions of the user are logged out
+ *
+ * Method: POST
+ * Endpoint: /api/users/me/password
+ * Body:
+ * {
+ *   "currentPassword": "password123",
+ *   "newPassword": "newPassword456"
+ * }
+ */
+router.post(
+  "/me/password",
+  authMiddleware,
+  requireSession,
+  validate(changePasswordSchema),
+  changePassword
+);
+
+/**
+ * PROTECTED ROUTE
+ * --------------------------------------------------
+ * Delete the current user's account
+ *
+ * Method: DELETE
+ * Endpoint: /api/users/me
+ * Body:
+ * {
+ *   "password": "password123"
+ * }
+ */
+router.delete(
+  "/me",
+  authMiddleware,
+  requireSession,
+  validate(deleteMeSchema),
+  deleteMe
+);
+
+// --------------------------------------------------
+// ADMIN ROUTES
+// --------------------------------------------------
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * List users with pagination and optional search
+ *
+ * Method: GET
+ * Endpoint: /api/users
+ * Query Params (optional):
+ * - page   → page number
+ * - limit  → number of records per page (max 100)
+ * - search → search by username or email
+ */
+router.get(
+  "/",
+  authMiddleware,
+  requirePermission("user:manage"),
+  validate(listUsersSchema),
+  listUsers
+);
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * Change a user's role
+ *
+ * Method: PATCH
+ * Endpoint: /api/users/:id/role
+ * Body:
+ * {
+ *   "role": "admin"
+ * }
+ */
+router.patch(
+  "/:id/role",
+  authMiddleware,
+  requirePermission("user:manage"),
+  validate(updateRoleSchema),
+  updateRole
+);
+
+/**
+ * ADMIN ROUTE
+ * --------------------------------------------------
+ * Disable or enable a user's account
+ * Disabled users cannot log in and are logged out everywhere
+ *
+ * Method: PATCH
+ * Endpoint: /api/users/:id/status
+ * Body:
+ * {
+ *   "disabled": true
+ * }
+ */
+router.patch(
+  "/:id/status",
+  authMiddleware,
+  requirePermission("user:manage"),
+  validate(updateStatusSchema),
+  updateStatus
+);
+
+// Export the router
+// Allows this router to be mounted in app.js
+module.exports = router;
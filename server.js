@@ -4,107 +4,121 @@
  * This file is the ENTRY POINT of the backend application.
  *
  * Responsibilities:
- * - Create the Express server
- * - Load environment variables
- * - Configure global middleware
- * - Register all API routes
- * - Connect to MongoDB
+ * - Load and validate the configuration (see config/)
+ * - Create the Express application (see app.js)
  * - Start the HTTP server
+ * - Connect to MongoDB, retrying with backoff (see db/connection.js)
+ * - Start background jobs once the database is connected
+ * - Shut down gracefully on SIGTERM / SIGINT
  *
- * Without this file, the backend cannot run.
+ * The server listens right away so the probes can answer:
+ * GET /readyz stays 503 until MongoDB is connected.
+ * It refuses to start (exit code 1) when a setting is invalid.
+ *
+ * Shutdown (SHUTDOWN_TIMEOUT_SECONDS, default 10):
+ * 1. /readyz answers 503, new connections are refused
+ * 2. In-flight requests finish
+ * 3. The MongoDB connection is closed
+ * If this takes longer than the timeout, the process exits with code 1.
+ * A second signal exits immediately.
+ *
+ * Run with: node server.js
  */
 
-// Import the Express framework to create a backend web server
-const express = require("express");
+// --------------------------------------------------
+// CONFIGURATION
+// --------------------------------------------------
+
+// Load .env and validate every setting before anything else runs
+let config;
+try {
+  config = require("./config");
+} catch (err) {
+  const { ConfigError } = require("./config/env");
+  if (!(err instanceof ConfigError)) throw err;
 
-// Import Mongoose to connect and interact with MongoDB
-const mongoose = require("mongoose");
+  // The logger does not depend on the configuration, so it can report it
+  require("./utils/logger").logger.error("Invalid configuration", { errors: err.errors });
+  process.exit(1);
+}
 
-// Import dotenv to load environment variables from the .env file
-const dotenv = require("dotenv");
+// Structured JSON logs (utils/logger.js)
+const { logger } = require("./utils/logger");
 
-// Import CORS to allow frontend applications (React) to access backend APIs
-const cors = require("cors");
+// Import the application factory
+const { createApp } = require("./app");
 
-// Load all environment variables defined in the .env file into process.env
-dotenv.config();
+// MongoDB connection with retries
+const { connectDatabase, closeDatabase } = require("./db/connection");
 
-// Create an Express application instance
-// This app object handles all HTTP requests and responses
-const app = express();
+// Import the job that permanently removes old trashed books
+const { startPurgeJob } = require("./jobs/purgeDeletedBooks");
 
 // --------------------------------------------------
-// GLOBAL MIDDLEWARE
+// STARTUP
 // --------------------------------------------------
 
-// Enable CORS so frontend applications can communicate with backend
-// In production, restrict "origin" to specific domains
-app.use(
-  cors({
-    origin: true, // Allow all origins (safe if no cookies used)
-    methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"]
-  })
-);
+const app = createApp();
 
+// Start the Express server
+// Requests are accepted now; readiness waits for the database
+const server = app.listen(config.port, () => {
+  logger.info("Server running", { port: config.port, env: config.env });
+});
 
-// Enable JSON body parsing
-// Required to read data sent in POST / PUT requests
-app.use(express.json());
-
-// --------------------------------------------------
-// ROUTE REGISTRATION
-// --------------------------------------------------
-
-// Import authentication-related routes
-// Handles user registration and login
-const authRoutes = require("./routes/authRoutes");
-
-// Import book-related routes
-// Handles CRUD operations on books
-const bookRoutes = require("./routes/bookRoutes");
-
-// Register authentication routes
-// Base path: /api/auth
-// Examples:
-// POST /api/auth/register
-// POST /api/auth/login
-// GET  /api/auth/me
-app.use("/api/auth", authRoutes);
-
-// Register book routes
-// Base path: /api/books
-// Examples:
-// GET    /api/books
-// POST   /api/books
-// PUT    /api/books/:id
-// DELETE /api/books/:id
-app.use("/api/books", bookRoutes);
+// e.g. the port is already in use
+server.on("error", (err) => {
+  logger.error("Server error", { err });
+  process.exit(1);
+});
 
-// --------------------------------------------------
-// DATABASE CONNECTION
-// --------------------------------------------------
+// Stops the trash purge job (set once the database is connected)
+let stopPurgeJob = null;
 
-// Connect to MongoDB using the connection string from .env
-mongoose
-  .connect(process.env.MONGO_URL)
-  .then(() => {
-    console.log("Connected to MongoDB");
-  })
-  .catch((err) => {
-    console.error("MongoDB connection error:", err);
+connectDatabase(config.mongoUrl, {
+  maxRetryDelaySeconds: config.mongoRetryMaxSeconds,
+  monitorCommands: config.metricsEnabled
+})
+  .then((connected) => {
+    // Empty the book trash periodically
+    if (connected) stopPurgeJob = startPurgeJob();
   });
 
 // --------------------------------------------------
-// SERVER STARTUP
+// GRACEFUL SHUTDOWN
 // --------------------------------------------------
 
-// Read port number from environment variables
-// Fallback to 8800 if PORT is not defined
-const PORT = process.env.PORT || 8800;
-
-// Start the Express server
-// The backend is now ready to accept HTTP requests
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+const shutdown = async (signal) => {
+  // Second signal: do not wait any longer
+  if (app.locals.shuttingDown) {
+    logger.warn("Forced exit", { signal });
+    process.exit(1);
+  }
+
+  app.locals.shuttingDown = true;
+  logger.info("Shutting down", { signal, timeoutSeconds: config.shutdownTimeoutSeconds });
+
+  if (stopPurgeJob) stopPurgeJob();
+
+  // Past the timeout, exit even if requests are still running
+  const timer = setTimeout(() => {
+    logger.warn("Shutdown timeout reached, exiting");
+    process.exit(1);
+  }, config.shutdownTimeoutSeconds * 1000);
+  timer.unref();
+
+  try {
+    // Stop accepting connections and wait for in-flight requests
+    await new Promise((resolve) => server.close(resolve));
+
+    await closeDatabase();
+    logger.info("Shutdown complete");
+    process.exit(0);
+  } catch (err) {
+    logger.error("Shutdown failed", { err });
+    process.exit(1);
+  }
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,236 @@
+/**
+ * Integration tests: registration and login
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setupTestApp, createUser, loginAs, TEST_PASSWORD } = require("./helpers/harness");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { getTransport } = require("../utils/mailer");
+const { recordFailedLogin } = require("../utils/loginLockout");
+
+const api = setupTestApp();
+
+describe("POST /api/auth/register", () => {
+  const newUser = { username: "reader", email: "Reader@Example.com", password: "Password123" };
+
+  it("creates an unverified user with a hashed password", async () => {
+    const res = await api.post("/api/auth/register", { body: newUser });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, "User registered successfully");
+
+    const user = await User.findOne({ email: "reader@example.com" });
+    assert.ok(user);
+    assert.equal(user.role, "user");
+    assert.equal(user.emailVerified, false);
+    assert.notEqual(user.password, newUser.password);
+  });
+
+  it("emails a verification token", async () => {
+    await api.post("/api/auth/register", { body: newUser });
+
+    const [message] = getTransport().outbox;
+    assert.equal(message.to, "reader@example.com");
+    assert.match(message.subject, /verify/i);
+  });
+
+  it("answers the same for an email that already has an account", async () => {
+    const existing = await createUser();
+
+    const res = await api.post("/api/auth/register", {
+      body: { ...newUser, email: existing.email }
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, "User registered successfully");
+    assert.equal(await User.countDocuments({ email: existing.email }), 1);
+
+    // The owner is told instead of the client
+    const [message] = getTransport().outbox;
+    assert.equal(message.to, existing.email);
+    assert.match(message.subject, /already have an account/);
+  });
+
+  it("rejects an invalid email and a weak password", async () => {
+    const res = await api.post("/api/auth/register", {
+      body: { username: "reader", email: "not-an-email", password: "short" }
+    });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    const fields = new Set(res.body.errors.map(({ field }) => field));
+    assert.deepEqual([...fields].sort(), ["email", "password"]);
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  it("returns an access token, a refresh token and the user", async () => {
+    const user = await createUser();
+
+    const res = await api.post("/api/auth/login", {
+      body: { email: user.email, password: TEST_PASSWORD }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(typeof res.body.token, "string");
+    assert.equal(typeof res.body.refreshToken, "string");
+    assert.equal(res.body.user.email, user.email);
+    assert.equal(res.body.user.password, undefined);
+  });
+
+  it("accepts the token on protected routes", async () => {
+    const user = await createUser();
+    const login = await api.post("/api/auth/login", {
+      body: { email: user.email, password: TEST_PASSWORD }
+    });
+
+    const res = await api.get("/api/auth/me", { token: login.body.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, user.email);
+  });
+
+  it("rejects a wrong password and an unknown email alike", async () => {
+    const user = await createUser();
+
+    const wrongPassword = await api.post("/api/auth/login", {
+      body: { email: user.email, password: "WrongPassword1" }
+    });
+    const unknownEmail = await api.post("/api/auth/login", {
+      body: { email: "nobody@example.com", password: TEST_PASSWORD }
+    });
+
+    for (const res of [wrongPassword, unknownEmail]) {
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "INVALID_CREDENTIALS");
+    }
+  });
+
+  it("refuses disabled accounts", async () => {
+    const user = await createUser({ disabled: true });
+
+    const res = await api.post("/api/auth/login", {
+      body: { email: user.email, password: TEST_PASSWORD }
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "ACCOUNT_DISABLED");
+  });
+
+  it("locks the account after repeated failures", async () => {
+    const user = await createUser();
+    const attempt = (password) =>
+      api.post("/api/auth/login", { body: { email: user.email, password } });
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await attempt("WrongPassword1")).status, 400);
+    }
+
+    // Even the right password is refused while the lock lasts
+    const res = await attempt(TEST_PASSWORD);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_CREDENTIALS");
+
+    const stored = await User.findById(user._id);
+    assert.equal(stored.failedLoginAttempts, 5);
+    assert.ok(stored.lockedUntil > new Date());
+  });
+
+  it("answers a locked account like an unknown email", async () => {
+    const user = await createUser();
+    const attempt = (email) =>
+      api.post("/api/auth/login", { body: { email, password: "WrongPassword1" } });
+
+    // One attempt past the lockout threshold for both emails
+    let locked;
+    let unknown;
+    for (let i = 0; i < 6; i++) {
+      locked = await attempt(user.email);
+      unknown = await attempt("nobody@example.com");
+    }
+
+    const stored = await User.findById(user._id);
+    assert.ok(stored.lockedUntil > new Date());
+
+    assert.equal(locked.status, unknown.status);
+    assert.deepEqual(locked.body, unknown.body);
+    assert.equal(locked.headers.get("retry-after"), unknown.headers.get("retry-after"));
+  });
+
+  it("starts a new count after the reset window", async () => {
+    const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const user = await createUser({ failedLoginAttempts: 4, lastFailedLoginAt: lastWeek });
+
+    const result = await recordFailedLogin(user);
+    assert.equal(result.failedLoginAttempts, 1);
+    assert.equal(result.lockedUntil, null);
+
+    // A user removed in the meantime is not counted
+    await User.deleteOne({ _id: user._id });
+    assert.equal(await recordFailedLogin(user), null);
+  });
+
+  it("counts every concurrent failure", async () => {
+    const user = await createUser();
+
+    await Promise.all(
+      Array.from({ length: 4 }, () =>
+        api.post("/api/auth/login", { body: { email: user.email, password: "WrongPassword1" } })
+      )
+    );
+
+    const stored = await User.findById(user._id);
+    assert.equal(stored.failedLoginAttempts, 4);
+  });
+});
+
+describe("PATCH /api/users/me", () => {
+  it("returns the public fields only, without the lockout state", async () => {
+    const { user, token } = await loginAs(api);
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 2, lastFailedLoginAt: new Date() }
+    );
+
+    const res = await api.patch("/api/users/me", { token, body: { username: "renamed" } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.username, "renamed");
+    assert.equal(res.body.user.email, user.email);
+    for (const field of ["password", "failedLoginAttempts", "lastFailedLoginAt", "lockedUntil"]) {
+      assert.ok(!(field in res.body.user), `${field} must not be returned`);
+    }
+  });
+});
+
+describe("session revocation", () => {
+  // The revokedReason of every session of a user, sorted
+  const reasons = async (userId) =>
+    (await Session.find({ user: userId, revokedAt: { $ne: null } }))
+      .map((session) => session.revokedReason)
+      .sort();
+
+  it("records why the sessions of a user were revoked", async () => {
+    const { user, token } = await loginAs(api);
+    await api.post("/api/auth/login", { body: { email: user.email, password: TEST_PASSWORD } });
+
+    // The other session is revoked, the current one stays active
+    const changed = await api.post("/api/users/me/password", {
+      token,
+      body: { currentPassword: TEST_PASSWORD, newPassword: "NewPassword123" }
+    });
+    assert.equal(changed.status, 200);
+    assert.deepEqual(await reasons(user._id), ["password_change"]);
+
+    const { token: adminToken } = await loginAs(api, { role: "admin" });
+    const disabled = await api.patch(`/api/users/${user._id}/status`, {
+      token: adminToken,
+      body: { disabled: true }
+    });
+    assert.equal(disabled.status, 200);
+    assert.deepEqual(await reasons(user._id), ["disabled", "password_change"]);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Integration tests: authMiddleware failure codes
+ *
+ * GET /api/auth/me is used as the protected route.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const jwt = require("jsonwebtoken");
+
+const { setupTestApp, loginAs } = require("./helpers/harness");
+const config = require("../config");
+
+const api = setupTestApp();
+
+// Expect a 401 with the given error code
+const assertUnauthorized = (res, code) => {
+  assert.equal(res.status, 401);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, code);
+};
+
+describe("authMiddleware", () => {
+  it("NO_AUTH_HEADER without credentials", async () => {
+    const res = await api.get("/api/auth/me");
+
+    assertUnauthorized(res, "NO_AUTH_HEADER");
+  });
+
+  it("MALFORMED_AUTH_HEADER for another scheme or a missing token", async () => {
+    for (const authorization of ["Basic dXNlcjpwYXNz", "Bearer", "token-without-scheme"]) {
+      const res = await api.get("/api/auth/me", { headers: { Authorization: authorization } });
+
+      assertUnauthorized(res, "MALFORMED_AUTH_HEADER");
+    }
+  });
+
+  it("TOKEN_INVALID_OR_EXPIRED for a token signed with another secret", async () => {
+    const { user } = await loginAs(api);
+    const forged = jwt.sign({ id: user._id, role: "admin" }, "not-the-server-secret");
+
+    const res = await api.get("/api/auth/me", { token: forged });
+
+    assertUnauthorized(res, "TOKEN_INVALID_OR_EXPIRED");
+  });
+
+  it("TOKEN_INVALID_OR_EXPIRED for an expired token", async () => {
+    const { token } = await loginAs(api);
+    const { id, role, sid } = jwt.decode(token);
+    const exp = Math.floor(Date.now() / 1000) - 10;
+    const expired = jwt.sign({ id, role, sid, exp }, config.jwtSecret);
+
+    const res = await api.get("/api/auth/me", { token: expired });
+
+    assertUnauthorized(res, "TOKEN_INVALID_OR_EXPIRED");
+  });
+
+  it("TOKEN_INVALID_OR_EXPIRED for a tampered payload", async () => {
+    const { token } = await loginAs(api);
+    const [header, , signature] = token.split(".");
+    const payload = Buffer.from(JSON.stringify({ ...jwt.decode(token), role: "admin" })).toString("base64url");
+
+    const res = await api.get("/api/auth/me", { token: `${header}.${payload}.${signature}` });
+
+    assertUnauthorized(res, "TOKEN_INVALID_OR_EXPIRED");
+  });
+
+  it("SESSION_REVOKED for a token without a session", async () => {
+    const { user } = await loginAs(api);
+    const token = jwt.sign({ id: user._id, role: user.role }, config.jwtSecret);
+
+    const res = await api.get("/api/auth/me", { token });
+
+    assertUnauthorized(res, "SESSION_REVOKED");
+  });
+
+  it("SESSION_REVOKED after logout", async () => {
+    const { token } = await loginAs(api);
+
+    assert.equal((await api.post("/api/auth/logout", { token })).status, 200);
+    const res = await api.get("/api/auth/me", { token });
+
+    assertUnauthorized(res, "SESSION_REVOKED");
+  });
+
+  it("API_KEY_INVALID for an unknown API key", async () => {
+    const viaHeader = await api.get("/api/auth/me", { headers: { "X-API-Key": "bk_unknown" } });
+    const viaScheme = await api.get("/api/auth/me", { headers: { Authorization: "ApiKey bk_unknown" } });
+
+    assertUnauthorized(viaHeader, "API_KEY_INVALID");
+    assertUnauthorized(viaScheme, "API_KEY_INVALID");
+  });
+
+  it("accepts a valid API key as the key's owner", async () => {
+    const { user, token } = await loginAs(api);
+    const created = await api.post("/api/auth/api-keys", {
+      token,
+      body: { name: "test", scopes: ["read"] }
+    });
+    assert.equal(created.status, 201);
+
+    const res = await api.get("/api/auth/me", { headers: { "X-API-Key": created.body.key } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, user.email);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Integration tests: book CRUD, pagination and search
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setupTestApp, loginAs } = require("./helpers/harness");
+const Book = require("../models/Book");
+const BookHistory = require("../models/BookHistory");
+const { purgeDeletedBooks } = require("../jobs/purgeDeletedBooks");
+
+const api = setupTestApp();
+
+// Insert books owned by a user, oldest first
+const insertBooks = (owner, books) =>
+  Book.create(
+    books.map((book, index) => ({
+      ...book,
+      createdBy: owner._id,
+      createdAt: new Date(Date.UTC(2024, 0, index + 1))
+    }))
+  );
+
+describe("POST /api/books", () => {
+  it("creates a book owned by the user", async () => {
+    const { user, token } = await loginAs(api);
+
+    const res = await api.post("/api/books", {
+      token,
+      body: { title: "Clean Code", author: "Robert C. Martin", year: 2008 }
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.title, "Clean Code");
+    assert.deepEqual(res.body.data.authors, ["Robert C. Martin"]);
+    assert.equal(res.body.data.createdBy, String(user._id));
+    assert.ok(res.headers.get("etag"));
+  });
+
+  it("requires authentication", async () => {
+    const res = await api.post("/api/books", { body: { title: "Clean Code", author: "Robert C. Martin" } });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "NO_AUTH_HEADER");
+  });
+
+  it("rejects a book without a title or author", async () => {
+    const { token } = await loginAs(api);
+
+    const res = await api.post("/api/books", { token, body: { year: 2008 } });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(res.body.errors.map(({ field }) => field).sort(), ["author", "title"]);
+  });
+});
+
+describe("GET /api/books/:id", () => {
+  it("returns the book (public)", async () => {
+    const { user } = await loginAs(api);
+    const [book] = await insertBooks(user, [{ title: "Dune", author: "Frank Herbert" }]);
+
+    const res = await api.get(`/api/books/${book._id}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.title, "Dune");
+  });
+
+  it("answers 404 BOOK_NOT_FOUND for an unknown ID", async () => {
+    const res = await api.get("/api/books/64b000000000000000000000");
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "BOOK_NOT_FOUND");
+  });
+});
+
+describe("PUT / PATCH /api/books/:id", () => {
+  it("lets the owner replace and patch the book", async () => {
+    const { user, token } = await loginAs(api);
+    const [book] = await insertBooks(user, [{ title: "Dune", author: "Frank Herbert", year: 1964 }]);
+
+    const replaced = await api.put(`/api/books/${book._id}`, {
+      token,
+      body: { title: "Dune", author: "Frank Herbert", year: 1965 }
+    });
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.data.year, 1965);
+
+    const patched = await api.patch(`/api/books/${book._id}`, {
+      token,
+      headers: { "Content-Type": "application/merge-patch+json" },
+      body: JSON.stringify({ publisher: "Chilton Books" })
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.data.publisher, "Chilton Books");
+    assert.equal(patched.body.data.year, 1965);
+  });
+
+  it("forbids other users but not admins", async () => {
+    const { user } = await loginAs(api);
+    const other = await loginAs(api);
+    const admin = await loginAs(api, { role: "admin" });
+    const [book] = await insertBooks(user, [{ title: "Dune", author: "Frank Herbert" }]);
+    const body = { title: "Dune Messiah", author: "Frank Herbert" };
+
+    const denied = await api.put(`/api/books/${book._id}`, { token: other.token, body });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, "NOT_RESOURCE_OWNER");
+
+    const allowed = await api.put(`/api/books/${book._id}`, { token: admin.token, body });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.data.title, "Dune Messiah");
+  });
+});
+
+describe("DELETE /api/books/:id", () => {
+  it("moves the book to the trash", async () => {
+    const { user, token } = await loginAs(api);
+    const admin = await loginAs(api, { role: "admin" });
+    const [book] = await insertBooks(user, [{ title: "Dune", author: "Frank Herbert" }]);
+
+    const res = await api.delete(`/api/books/${book._id}`, { token });
+    assert.equal(res.status, 200);
+
+    assert.equal((await api.get(`/api/books/${book._id}`)).status, 404);
+
+    const trash = await api.get("/api/books/trash", { token: admin.token });
+    assert.equal(trash.status, 200);
+    assert.deepEqual(trash.body.data.map(({ _id }) => _id), [String(book._id)]);
+  });
+});
+
+describe("purgeDeletedBooks", () => {
+  it("deletes expired books from the trash with their history", async () => {
+    const { user, token } = await loginAs(api);
+    const [expired, recent] = await insertBooks(user, [
+      { title: "Dune", author: "Frank Herbert" },
+      { title: "Emma", author: "Jane Austen" }
+    ]);
+
+    // Deleting through the API records a history version
+    for (const book of [expired, recent]) {
+      assert.equal((await api.delete(`/api/books/${book._id}`, { token })).status, 200);
+    }
+    await Book.updateOne(
+      { _id: expired._id, deletedAt: { $ne: null } },
+      { deletedAt: new Date(Date.UTC(2020, 0, 1)) }
+    );
+
+    assert.equal(await purgeDeletedBooks({ retentionDays: 30 }), 1);
+
+    const left = await Book.find({ deletedAt: { $ne: null } });
+    assert.deepEqual(left.map(({ title }) => title), ["Emma"]);
+    assert.equal(await BookHistory.countDocuments({ book: expired._id }), 0);
+    assert.ok((await BookHistory.countDocuments({ book: recent._id })) > 0);
+  });
+});
+
+describe("GET /api/books", () => {
+  it("paginates, newest first by default", async () => {
+    const { user } = await loginAs(api);
+    await insertBooks(
+      user,
+      Array.from({ length: 7 }, (_, i) => ({ title: `Book ${i + 1}`, author: "Author" }))
+    );
+
+    const first = await api.get("/api/books?page=1&limit=3");
+    assert.equal(first.status, 200);
+    assert.equal(first.body.page, 1);
+    assert.equal(first.body.limit, 3);
+    assert.equal(first.body.totalItems, 7);
+    assert.equal(first.body.totalPages, 3);
+    assert.deepEqual(first.body.data.map(({ title }) => title), ["Book 7", "Book 6", "Book 5"]);
+
+    const last = await api.get("/api/books?page=3&limit=3");
+    assert.deepEqual(last.body.data.map(({ title }) => title), ["Book 1"]);
+  });
+
+  it("rejects a limit above the maximum", async () => {
+    const res = await api.get("/api/books?limit=100000");
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+  });
+
+  it("searches titles, authors and descriptions", async () => {
+    const { user } = await loginAs(api);
+    await insertBooks(user, [
+      { title: "The Great Gatsby", author: "F. Scott Fitzgerald" },
+      { title: "Nineteen Eighty-Four", author: "George Orwell" },
+      { title: "Animal Farm", author: "George Orwell", description: "A farm ruled by pigs" }
+    ]);
+
+    const byTitle = await api.get("/api/books?search=gatsby");
+    assert.equal(byTitle.status, 200);
+    assert.deepEqual(byTitle.body.data.map(({ title }) => title), ["The Great Gatsby"]);
+    assert.equal(byTitle.body.filters.search, "gatsby");
+
+    const byAuthor = await api.get("/api/books?search=orwell&sort=title");
+    assert.deepEqual(byAuthor.body.data.map(({ title }) => title), ["Animal Farm", "Nineteen Eighty-Four"]);
+
+    const byDescription = await api.get("/api/books?search=pigs");
+    assert.deepEqual(byDescription.body.data.map(({ title }) => title), ["Animal Farm"]);
+  });
+
+  it("combines search and pagination", async () => {
+    const { user } = await loginAs(api);
+    await insertBooks(user, [
+      ...Array.from({ length: 4 }, (_, i) => ({ title: `Orwell essays ${i + 1}`, author: "George Orwell" })),
+      { title: "Dune", author: "Frank Herbert" }
+    ]);
+
+    const res = await api.get("/api/books?search=orwell&limit=3&page=2");
+
+    assert.equal(res.body.totalItems, 4);
+    assert.equal(res.body.totalPages, 2);
+    assert.equal(res.body.data.length, 1);
+  });
+});
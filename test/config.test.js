@@ -0,0 +1,161 @@
+/**
+ * Unit tests: configuration validation and profiles
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadConfig, ConfigError } = require("../config/env");
+
+const SECRET = "a-secret-that-is-at-least-32-chars-long";
+
+// The fields of every setting loadConfig() refuses
+const invalidFields = (env) => {
+  try {
+    loadConfig(env);
+  } catch (err) {
+    assert.ok(err instanceof ConfigError);
+    return err.errors.map(({ field }) => field).sort();
+  }
+  assert.fail("expected a ConfigError");
+};
+
+describe("loadConfig", () => {
+  it("applies the development defaults", () => {
+    const config = loadConfig({ JWT_SECRET: SECRET });
+
+    assert.equal(config.env, "development");
+    assert.equal(config.port, 8800);
+    assert.equal(config.mongoUrl, "mongodb://localhost:27017/bookdb");
+    assert.equal(config.corsOrigins, true);
+    assert.equal(config.accessTokenTtlSeconds, 3600);
+    assert.equal(config.cursorSecret, SECRET);
+    assert.equal(config.metricsEnabled, true);
+    assert.equal(config.metricsToken, null);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  it("converts the values to their types", () => {
+    const config = loadConfig({
+      JWT_SECRET: SECRET,
+      PORT: "3000",
+      ACCESS_TOKEN_EXPIRES_IN: "15m",
+      REQUIRE_EMAIL_VERIFICATION: "true",
+      CORS_ORIGINS: "https://app.example.com, http://localhost:5173",
+      TRUST_PROXY: "2",
+      APP_URL: "https://app.example.com/"
+    });
+
+    assert.equal(config.port, 3000);
+    assert.equal(config.accessTokenTtlSeconds, 900);
+    assert.equal(config.requireEmailVerification, true);
+    assert.deepEqual(config.corsOrigins, ["https://app.example.com", "http://localhost:5173"]);
+    assert.equal(config.trustProxy, 2);
+    assert.equal(config.appUrl, "https://app.example.com");
+  });
+
+  it("reports every invalid setting at once", () => {
+    assert.deepEqual(
+      invalidFields({
+        JWT_SECRET: "too-short",
+        MONGO_URL: "http://localhost/bookdb",
+        REFRESH_TOKEN_TTL_DAYS: "0",
+        BCRYPT_COST: "8",
+        CORS_ORIGINS: "https://app.example.com/path",
+        RATE_LIMIT_ENABLED: "yes"
+      }),
+      ["BCRYPT_COST", "CORS_ORIGINS[0]", "JWT_SECRET", "MONGO_URL", "RATE_LIMIT_ENABLED", "REFRESH_TOKEN_TTL_DAYS"]
+    );
+  });
+
+  it("validates the rate limits, password policy and size limits", () => {
+    const config = loadConfig({
+      JWT_SECRET: SECRET,
+      PASSWORD_MIN_LENGTH: "12",
+      PASSWORD_REQUIRE_SYMBOL: "true",
+      LOGIN_RATE_LIMIT_PER_ACCOUNT: "3",
+      MAX_PAGE_LIMIT: "50"
+    });
+
+    assert.equal(config.passwordMinLength, 12);
+    assert.equal(config.passwordRequireSymbol, true);
+    assert.equal(config.passwordRequireNumber, true);
+    assert.equal(config.loginRateLimitPerAccount, 3);
+    assert.equal(config.loginLockoutThreshold, 5);
+    assert.equal(config.maxPageLimit, 50);
+    assert.equal(config.bulkMaxOperations, 100);
+
+    // Invalid values are refused instead of falling back to the default
+    assert.deepEqual(
+      invalidFields({
+        JWT_SECRET: SECRET,
+        PASSWORD_MIN_LENGTH: "abc",
+        PASSWORD_REQUIRE_NUMBER: "yes",
+        API_RATE_LIMIT_PER_IP: "0",
+        LOGIN_LOCKOUT_THRESHOLD: "2.5",
+        MAX_PAGE_LIMIT: "0",
+        BULK_MAX_OPERATIONS: "-5",
+        IMPORT_MAX_FILE_MB: "1000",
+        API_KEY_MAX_TTL_DAYS: "forever"
+      }),
+      [
+        "API_KEY_MAX_TTL_DAYS",
+        "API_RATE_LIMIT_PER_IP",
+        "BULK_MAX_OPERATIONS",
+        "IMPORT_MAX_FILE_MB",
+        "LOGIN_LOCKOUT_THRESHOLD",
+        "MAX_PAGE_LIMIT",
+        "PASSWORD_MIN_LENGTH",
+        "PASSWORD_REQUIRE_NUMBER"
+      ]
+    );
+  });
+
+  it("requires the lockout to start below its maximum", () => {
+    assert.deepEqual(
+      invalidFields({ JWT_SECRET: SECRET, LOGIN_LOCKOUT_BASE_MINUTES: "90", LOGIN_LOCKOUT_MAX_MINUTES: "60" }),
+      ["LOGIN_LOCKOUT_BASE_MINUTES"]
+    );
+  });
+
+  it("requires the access token to expire before the refresh token", () => {
+    assert.deepEqual(
+      invalidFields({ JWT_SECRET: SECRET, ACCESS_TOKEN_EXPIRES_IN: "24h", REFRESH_TOKEN_TTL_DAYS: "1" }),
+      ["ACCESS_TOKEN_EXPIRES_IN"]
+    );
+  });
+
+  it("refuses an unknown environment", () => {
+    assert.deepEqual(invalidFields({ NODE_ENV: "staging", JWT_SECRET: SECRET }), ["NODE_ENV"]);
+  });
+});
+
+describe("profiles", () => {
+  it("test: cheap hashes, in-memory mail, no rate limits", () => {
+    const config = loadConfig({ NODE_ENV: "test", JWT_SECRET: SECRET, BCRYPT_COST: "4" });
+
+    assert.equal(config.bcryptCost, 4);
+    assert.equal(config.mailTransport, "memory");
+    assert.equal(config.rateLimitEnabled, false);
+  });
+
+  it("production: database URL and CORS origins are required", () => {
+    assert.deepEqual(
+      invalidFields({ NODE_ENV: "production", JWT_SECRET: SECRET }),
+      ["CORS_ORIGINS", "MONGO_URL"]
+    );
+  });
+
+  it("production: no wildcard origin and an https APP_URL", () => {
+    assert.deepEqual(
+      invalidFields({
+        NODE_ENV: "production",
+        JWT_SECRET: SECRET,
+        MONGO_URL: "mongodb+srv://cluster.example.net/bookdb",
+        CORS_ORIGINS: "*",
+        APP_URL: "http://app.example.com"
+      }),
+      ["APP_URL", "CORS_ORIGINS"]
+    );
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Integration tests: liveness and readiness probes
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setupTestApp } = require("./helpers/harness");
+
+const api = setupTestApp();
+
+describe("GET /healthz", () => {
+  it("answers 200 without authentication", async () => {
+    const res = await api.get("/healthz");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ok");
+    assert.equal(res.headers.get("cache-control"), "no-store");
+  });
+});
+
+describe("GET /readyz", () => {
+  afterEach(() => {
+    api.app.locals.shuttingDown = false;
+  });
+
+  it("answers 200 once MongoDB is connected", async () => {
+    const res = await api.get("/readyz");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, status: "ready", checks: { mongo: "connected" } });
+  });
+
+  it("answers 503 while shutting down and closes keep-alive connections", async () => {
+    api.app.locals.shuttingDown = true;
+
+    const ready = await api.get("/readyz");
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.status, "shutting_down");
+
+    // In-flight API requests are still served
+    const books = await api.get("/api/books");
+    assert.equal(books.status, 200);
+    assert.equal(books.headers.get("connection"), "close");
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * db.js
+ * ------
+ * In-memory MongoDB for the test suite.
+ *
+ * Each test file starts its own mongod (mongodb-memory-server),
+ * so files never share data. Set MONGO_TEST_URL to use an existing
+ * server instead (e.g. a CI service container): every file then
+ * works in its own database, dropped at the end.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { watchCommands } = require("../../db/connection");
+
+let memoryServer = null;
+
+/**
+ * Start the database and connect Mongoose
+ * Waits for every index (the text index is needed by search)
+ * Commands are timed as in production (GET /metrics)
+ */
+const connect = async () => {
+  let uri = process.env.MONGO_TEST_URL;
+
+  if (!uri) {
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `bookapp-test-${process.pid}`, monitorCommands: true });
+  watchCommands();
+
+  await Promise.all(
+    mongoose.modelNames().map((name) => mongoose.model(name).init())
+  );
+};
+
+/**
+ * Empty every collection (indexes are kept)
+ */
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+/**
+ * Drop the test database, disconnect and stop the server
+ */
+const disconnect = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+
+  if (memoryServer) {
+    await memoryServer.stop();
+    memoryServer = null;
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
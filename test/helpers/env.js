@@ -0,0 +1,21 @@
+/**
+ * env.js
+ * -------
+ * Environment of the test suite.
+ *
+ * Loaded before any application module, because the settings are
+ * validated when config/ is first required. The "test" profile
+ * (config/env.js) supplies the other defaults: in-memory mail,
+ * no rate limits, cheap bcrypt hashes.
+ * Values already set (e.g. by CI) are kept.
+ */
+
+const defaults = {
+  NODE_ENV: "test",
+  JWT_SECRET: "test-secret-that-is-long-enough-for-hs256-signing",
+  LOG_LEVEL: "silent"
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  process.env[name] ??= value;
+}
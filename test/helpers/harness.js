@@ -0,0 +1,157 @@
+/**
+ * harness.js
+ * -----------
+ * In-process test harness.
+ *
+ * setupTestApp() registers the node:test hooks of a test file:
+ * - before     → start the in-memory database and the app on a random port
+ * - beforeEach → empty the database, the mail outbox and the rate-limit counters
+ * - after      → stop everything
+ *
+ * and returns a small HTTP client for the app:
+ *
+ * const api = setupTestApp();
+ * const res = await api.post("/api/books", { token, body: { ... } });
+ * res.status, res.headers, res.body (parsed JSON)
+ *
+ * api.app is the Express app under test (set once started).
+ */
+
+// Must run before the application modules are loaded
+require("./env");
+
+const { before, beforeEach, after } = require("node:test");
+const { once } = require("node:events");
+
+const bcrypt = require("bcryptjs");
+
+const db = require("./db");
+const { createApp } = require("../../app");
+const User = require("../../models/User");
+const { getTransport } = require("../../utils/mailer");
+const { getStore } = require("../../utils/rateLimitStore");
+
+// Password of every user created with createUser()
+const TEST_PASSWORD = "Password123";
+
+/**
+ * Send one request to the app
+ *
+ * options:
+ * - body    → sent as JSON (objects) or as-is (strings)
+ * - token   → "Authorization: Bearer <token>"
+ * - headers → extra headers
+ */
+const sendRequest = async (baseUrl, method, path, { body, token, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body === undefined || typeof body === "string" ? body : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  const isJson = (response.headers.get("content-type") || "").includes("json");
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: isJson && text ? JSON.parse(text) : text
+  };
+};
+
+/**
+ * Register the hooks of a test file and return the HTTP client
+ */
+const setupTestApp = (config = {}) => {
+  let server;
+  let baseUrl;
+
+  const request = (method, path, options) => sendRequest(baseUrl, method, path, options);
+
+  const client = {
+    app: null,
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, options) => request("POST", path, options),
+    put: (path, options) => request("PUT", path, options),
+    patch: (path, options) => request("PATCH", path, options),
+    delete: (path, options) => request("DELETE", path, options)
+  };
+
+  before(async () => {
+    await db.connect();
+
+    client.app = createApp(config);
+    server = client.app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    getTransport().outbox.length = 0;
+    await getStore().reset();
+  });
+
+  after(async () => {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+    await db.disconnect();
+  });
+
+  return client;
+};
+
+// --------------------------------------------------
+// FIXTURES
+// --------------------------------------------------
+
+let userCount = 0;
+
+/**
+ * Create a verified user directly in the database
+ * Returns the user document; its password is TEST_PASSWORD
+ */
+const createUser = async ({ role = "user", ...fields } = {}) => {
+  userCount += 1;
+
+  return User.create({
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    // A low cost keeps the suite fast; login compares any cost
+    password: await bcrypt.hash(TEST_PASSWORD, 4),
+    role,
+    emailVerified: true,
+    ...fields
+  });
+};
+
+/**
+ * Create a user and log in through the API
+ * Returns { user, token, refreshToken }
+ */
+const loginAs = async (api, fields) => {
+  const user = await createUser(fields);
+
+  const res = await api.post("/api/auth/login", {
+    body: { email: user.email, password: TEST_PASSWORD }
+  });
+  if (res.status !== 200) {
+    throw new Error(`Login failed with ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+
+  return { user, token: res.body.token, refreshToken: res.body.refreshToken };
+};
+
+module.exports = {
+  TEST_PASSWORD,
+  setupTestApp,
+  createUser,
+  loginAs
+};
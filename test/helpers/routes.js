@@ -0,0 +1,46 @@
+/**
+ * routes.js
+ * ----------
+ * Lists the routes registered on an Express app.
+ *
+ * listRoutes(app, API_ROUTERS) → [{ method: "GET", path: "/api/books/:id" }]
+ *
+ * Express does not keep the path a router is mounted at, so routers
+ * mounted below a path must be listed in `mounts` ([{ path, router }],
+ * see API_ROUTERS in app.js). A router mounted at an unknown path throws,
+ * so a new router cannot go unnoticed.
+ */
+
+// "/api/books" + "/" → "/api/books" (like the request logger's routes)
+const joinPath = (prefix, path) => (path === "/" && prefix ? prefix : `${prefix}${path}`);
+
+const listRoutes = (app, mounts = []) => {
+  const mountPaths = new Map(mounts.map(({ path, router }) => [router, path]));
+
+  const walk = (stack, prefix) =>
+    stack.flatMap((layer) => {
+      if (layer.route) {
+        return Object.keys(layer.route.methods)
+          .filter((method) => method !== "_all")
+          .map((method) => ({
+            method: method.toUpperCase(),
+            path: joinPath(prefix, layer.route.path)
+          }));
+      }
+
+      // A router: mounted at the root or at a known path
+      if (layer.handle && Array.isArray(layer.handle.stack)) {
+        const mountPath = layer.slash ? "" : mountPaths.get(layer.handle);
+        if (mountPath === undefined) {
+          throw new Error("A router is mounted at a path missing from API_ROUTERS (app.js)");
+        }
+        return walk(layer.handle.stack, `${prefix}${mountPath}`);
+      }
+
+      return [];
+    });
+
+  return walk(app.router.stack, "");
+};
+
+module.exports = { listRoutes };
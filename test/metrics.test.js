@@ -0,0 +1,99 @@
+/**
+ * Integration tests: GET /metrics and the recorded metrics
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setupTestApp, loginAs, createUser } = require("./helpers/harness");
+const { CONTENT_TYPE, resetMetrics } = require("../utils/metrics");
+
+const METRICS_TOKEN = "a-metrics-token-of-at-least-32-chars";
+
+const api = setupTestApp({ metricsToken: METRICS_TOKEN });
+
+// Scrape the metrics with the token
+const scrape = async () => {
+  const res = await api.get("/metrics", { token: METRICS_TOKEN });
+  assert.equal(res.status, 200);
+  return res.body;
+};
+
+// Value of one series, 0 when it was never recorded
+const valueOf = (text, series) => {
+  const line = text.split("\n").find((entry) => entry.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+beforeEach(() => {
+  resetMetrics();
+});
+
+describe("GET /metrics", () => {
+  it("requires the metrics token when one is configured", async () => {
+    const missing = await api.get("/metrics");
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, "NO_AUTH_HEADER");
+
+    const wrong = await api.get("/metrics", { token: "not-the-metrics-token" });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, "METRICS_TOKEN_INVALID");
+
+    const res = await api.get("/metrics", { token: METRICS_TOKEN });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), CONTENT_TYPE);
+    assert.match(res.body, /^# TYPE http_requests_total counter$/m);
+  });
+
+  it("counts and times requests per route pattern and status", async () => {
+    await api.get("/api/books");
+    await api.get("/api/books");
+    await api.get("/api/books/000000000000000000000000");
+    await api.get("/api/nothing-here");
+
+    const text = await scrape();
+
+    assert.equal(valueOf(text, 'http_requests_total{method="GET",route="/api/books",status="200"}'), 2);
+    assert.equal(valueOf(text, 'http_requests_total{method="GET",route="/api/books/:id",status="404"}'), 1);
+    assert.equal(valueOf(text, 'http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+    assert.equal(valueOf(text, 'http_request_duration_seconds_count{method="GET",route="/api/books",status="200"}'), 2);
+    assert.equal(valueOf(text, 'http_request_duration_seconds_bucket{method="GET",route="/api/books",status="200",le="+Inf"}'), 2);
+
+    // Scrapes are not counted
+    assert.doesNotMatch(text, /route="\/metrics"/);
+  });
+
+  it("counts login successes and failures by reason", async () => {
+    await loginAs(api);
+    const user = await createUser();
+    await api.post("/api/auth/login", { body: { email: user.email, password: "WrongPassword1" } });
+    await api.post("/api/auth/login", { body: { email: "nobody@example.com", password: "WrongPassword1" } });
+
+    const text = await scrape();
+
+    assert.equal(valueOf(text, "auth_login_success_total"), 1);
+    assert.equal(valueOf(text, 'auth_login_failure_total{reason="INVALID_CREDENTIALS"}'), 2);
+  });
+
+  it("counts authentication rejections by reason", async () => {
+    const body = { title: "Dune", author: "Frank Herbert" };
+    await api.post("/api/books", { body });
+    await api.post("/api/books", { body, headers: { Authorization: "Basic abc" } });
+    await api.post("/api/books", { body, token: "not-a-jwt" });
+    await api.post("/api/books", { body, token: "not-a-jwt" });
+
+    const text = await scrape();
+
+    assert.equal(valueOf(text, 'auth_rejections_total{reason="NO_AUTH_HEADER"}'), 1);
+    assert.equal(valueOf(text, 'auth_rejections_total{reason="MALFORMED_AUTH_HEADER"}'), 1);
+    assert.equal(valueOf(text, 'auth_rejections_total{reason="TOKEN_INVALID_OR_EXPIRED"}'), 2);
+  });
+
+  it("times MongoDB commands by command and collection", async () => {
+    await api.get("/api/books");
+
+    const text = await scrape();
+
+    assert.ok(valueOf(text, 'mongodb_command_duration_seconds_count{command="find",collection="books"}') >= 1);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests: metric types and the Prometheus text format
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { counter, histogram, renderMetrics } = require("../utils/metrics");
+
+describe("counter", () => {
+  it("renders one series per label set, labels in declared order", () => {
+    const events = counter({
+      name: "test_events_total",
+      help: "Events by kind and source",
+      labelNames: ["kind", "source"]
+    });
+
+    events.inc({ source: "api", kind: "created" });
+    events.inc({ kind: "created", source: "api" }, 2);
+    events.inc({ kind: 'say "hi"\\\n' });
+
+    assert.deepEqual(events.render(), [
+      "# HELP test_events_total Events by kind and source",
+      "# TYPE test_events_total counter",
+      'test_events_total{kind="created",source="api"} 3',
+      'test_events_total{kind="say \\"hi\\"\\\\\\n",source=""} 1'
+    ]);
+  });
+
+  it("refuses a name already registered", () => {
+    counter({ name: "test_unique_total", help: "Once" });
+    assert.throws(() => counter({ name: "test_unique_total", help: "Twice" }), /already registered/);
+  });
+});
+
+describe("histogram", () => {
+  it("renders cumulative buckets, the sum and the count", () => {
+    const latency = histogram({
+      name: "test_latency_seconds",
+      help: "Latency",
+      buckets: [1, 0.1]
+    });
+
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+    latency.observe({}, 3);
+
+    assert.deepEqual(latency.render(), [
+      "# HELP test_latency_seconds Latency",
+      "# TYPE test_latency_seconds histogram",
+      'test_latency_seconds_bucket{le="0.1"} 1',
+      'test_latency_seconds_bucket{le="1"} 2',
+      'test_latency_seconds_bucket{le="+Inf"} 3',
+      "test_latency_seconds_sum 3.55",
+      "test_latency_seconds_count 3"
+    ]);
+  });
+});
+
+describe("renderMetrics", () => {
+  it("declares every application metric", () => {
+    const text = renderMetrics();
+
+    for (const name of [
+      "http_requests_total",
+      "http_request_duration_seconds",
+      "auth_login_success_total",
+      "auth_login_failure_total",
+      "auth_rejections_total",
+      "mongodb_command_duration_seconds"
+    ]) {
+      assert.match(text, new RegExp(`^# TYPE ${name} `, "m"));
+    }
+    assert.ok(text.endsWith("\n"));
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests: the OpenAPI document covers every route
+ */
+
+// Must run before the application modules are loaded
+require("./helpers/env");
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+
+const { createApp, API_ROUTERS } = require("../app");
+const { openApiSpec, toOpenApiPath } = require("../openapi");
+const { listRoutes } = require("./helpers/routes");
+
+const app = createApp();
+const spec = openApiSpec();
+
+// Every operation of the document: ["GET /api/books/{id}", ...]
+const documented = Object.entries(spec.paths).flatMap(([path, operations]) =>
+  Object.keys(operations).map((method) => `${method.toUpperCase()} ${path}`)
+);
+
+// Every registered route, in the document's path syntax
+const registered = listRoutes(app, API_ROUTERS).map(
+  ({ method, path }) => `${method} ${toOpenApiPath(path)}`
+);
+
+describe("OpenAPI document", () => {
+  it("documents every registered route", () => {
+    const missing = registered.filter((route) => !documented.includes(route));
+    assert.deepEqual(missing, [], `Routes missing from openapi/operations.js: ${missing.join(", ")}`);
+  });
+
+  it("documents no route that does not exist", () => {
+    const unknown = documented.filter((operation) => !registered.includes(operation));
+    assert.deepEqual(unknown, [], `Documented routes that are not registered: ${unknown.join(", ")}`);
+  });
+
+  it("declares every path parameter", () => {
+    for (const [path, operations] of Object.entries(spec.paths)) {
+      const names = [...path.matchAll(/{(\w+)}/g)].map(([, name]) => name);
+
+      for (const [method, operation] of Object.entries(operations)) {
+        const declared = (operation.parameters || [])
+          .filter((parameter) => parameter.in === "path")
+          .map((parameter) => parameter.name);
+        assert.deepEqual(declared.sort(), [...names].sort(), `${method.toUpperCase()} ${path}`);
+      }
+    }
+  });
+
+  it("only references declared schemas", () => {
+    const refs = JSON.stringify(spec).match(/"#\/components\/schemas\/\w+"/g);
+    for (const ref of new Set(refs)) {
+      const name = JSON.parse(ref).split("/").pop();
+      assert.ok(spec.components.schemas[name], `unknown schema ${name}`);
+    }
+  });
+
+  it("generates parameters and bodies from the validation schemas", () => {
+    const list = spec.paths["/api/books"].get;
+    const limit = list.parameters.find((parameter) => parameter.name === "limit");
+    assert.deepEqual(limit.schema, { type: "integer", minimum: 1, maximum: 100 });
+
+    const login = spec.paths["/api/auth/login"].post;
+    const body = login.requestBody.content["application/json"].schema;
+    assert.deepEqual(body.required, ["email", "password"]);
+    assert.ok(login.responses[400].content["application/json"].examples.INVALID_CREDENTIALS);
+  });
+
+  it("documents authentication and permission errors", () => {
+    const bulk = spec.paths["/api/books/bulk"].post;
+
+    assert.deepEqual(bulk.security, [{ bearerAuth: [] }, { apiKeyAuth: [] }]);
+    assert.ok(bulk.responses[401].content["application/json"].examples.NO_AUTH_HEADER);
+    assert.ok(bulk.responses[403].content["application/json"].examples.PERMISSION_DENIED);
+    assert.match(bulk.description, /Roles: admin\./);
+  });
+});
+
+describe("GET /api/openapi.json and GET /api/docs", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("serves the document and the documentation page", async () => {
+    const document = await fetch(`${baseUrl}/api/openapi.json`);
+    assert.equal(document.status, 200);
+    assert.equal((await document.json()).openapi, "3.0.3");
+
+    const page = await fetch(`${baseUrl}/api/docs`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get("content-type"), /^text\/html/);
+    assert.match(await page.text(), /"\/api\/openapi\.json"/);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * asyncHandler.js
+ * ----------------
+ * This file contains a wrapper for async route handlers.
+ *
+ * Any error thrown (or promise rejected) inside the handler
+ * is forwarded to next(), so it reaches middleware/errorHandler.js
+ * instead of becoming an unhandled rejection.
+ *
+ * Usage:
+ * exports.getAllBooks = asyncHandler(async (req, res) => { ... });
+ */
+module.exports = (handler) => (req, res, next) =>
+  Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(next);
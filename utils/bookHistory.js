@@ -0,0 +1,118 @@
+/**
+ * bookHistory.js
+ * ---------------
+ * This file contains the book versioning helpers.
+ *
+ * Responsibilities:
+ * - Compute the field-level diff between two states of a book
+ * - Record a new version in the BookHistory collection
+ * - Extract the fields of a snapshot that can be reverted
+ *
+ * Controllers call recordBookChange() after every create,
+ * update, delete, restore and revert.
+ */
+
+// Import models
+const Book = require("../models/Book");
+const BookHistory = require("../models/BookHistory");
+
+// Fields that are not part of a book's history
+const UNTRACKED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Tracked fields that a revert must NOT change
+// (ownership and trash state are managed by their own endpoints)
+const NON_REVERTIBLE_FIELDS = ["createdBy", "deletedAt", "deletedBy"];
+
+// Every tracked field of the Book schema
+const TRACKED_FIELDS = Object.keys(Book.schema.paths).filter(
+  (path) => !UNTRACKED_FIELDS.includes(path)
+);
+
+// Fields copied from a snapshot when reverting
+const REVERTIBLE_FIELDS = TRACKED_FIELDS.filter(
+  (path) => !NON_REVERTIBLE_FIELDS.includes(path)
+);
+
+// How often to retry when two changes race for the same version number
+const MAX_VERSION_RETRIES = 3;
+
+/**
+ * Plain JSON state of a book limited to the tracked fields
+ * Missing values are stored as null so diffs stay symmetric
+ */
+const toSnapshot = (book) => {
+  const plain = book ? JSON.parse(JSON.stringify(book)) : {};
+
+  return Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, plain[field] ?? null])
+  );
+};
+
+/**
+ * Field-level diff between two snapshots
+ * Returns [{ field, from, to }] for every field whose value changed
+ */
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({ field, from: before[field], to: after[field] }));
+
+/**
+ * Record a new version of a book
+ *
+ * - before → state before the change (null for "create")
+ * - after  → state after the change
+ * - action → create | update | delete | restore | revert
+ * - userId → acting user (req.user.id)
+ */
+const recordBookChange = async ({ before, after, action, userId, revertedTo }) => {
+  const beforeSnapshot = before ? toSnapshot(before) : toSnapshot(null);
+  const afterSnapshot = toSnapshot(after);
+  const changes = diffSnapshots(beforeSnapshot, afterSnapshot);
+
+  // Updates that change nothing do not create a version
+  if (action === "update" && changes.length === 0) {
+    return null;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await BookHistory.findOne({ book: after._id })
+      .sort({ version: -1 })
+      .select("version");
+
+    try {
+      return await BookHistory.create({
+        book: after._id,
+        version: (latest?.version || 0) + 1,
+        action,
+        user: userId || null,
+        changes,
+        snapshot: afterSnapshot,
+        revertedTo
+      });
+    } catch (err) {
+      // Another change took this version number: try the next one
+      if (err.code !== 11000 || attempt >= MAX_VERSION_RETRIES) {
+        throw err;
+      }
+    }
+  }
+};
+
+/**
+ * Fields of a snapshot to apply when reverting a book
+ * Fields that were empty in the snapshot are cleared
+ */
+const revertibleFields = (snapshot) =>
+  Object.fromEntries(
+    REVERTIBLE_FIELDS.map((field) => [field, snapshot[field] ?? undefined])
+  );
+
+module.exports = {
+  TRACKED_FIELDS,
+  REVERTIBLE_FIELDS,
+  toSnapshot,
+  diffSnapshots,
+  recordBookChange,
+  revertibleFields
+};
@@ -0,0 +1,306 @@
+/**
+ * bookQuery.js
+ * -------------
+ * This file contains the query language of GET /api/books.
+ *
+ * Responsibilities:
+ * - Whitelist the fields that can be filtered, sorted and selected
+ *   (checked against the Book schema, so unknown fields are impossible)
+ * - Describe the accepted query parameters for the validator
+ * - Turn a validated query into a MongoDB filter, sort and projection
+ * - Describe the applied filters so the response can echo them
+ *
+ * Supported query parameters:
+ * - sort=title,-year          → ascending title, then descending year
+ * - fields=title,author       → return only these fields (+ _id)
+ * - year=1951                 → exact match
+ * - year[gte]=1900&year[lte]=1960 → range (gt, gte, lt, lte)
+ *   (yearFrom= and yearTo= are kept as aliases of year[gte] and year[lte])
+ * - author=George Orwell      → exact author (any of the book's authors)
+ * - publisher=, language=, isbn= → exact match
+ * - genre=fiction,classics    → any of these genres (same for tag=)
+ * - createdAfter=, createdBefore=, updatedSince=, updatedBefore= → dates
+ * - search=gatsby             → ranked text search (see utils/bookSearch.js)
+ *
+ * Operators are never copied from the request into the MongoDB query:
+ * only the operators listed here can be produced.
+ */
+
+// Import the Book model to read its schema
+const Book = require("../models/Book");
+
+// Import the ISBN normalisation (books store ISBN-13)
+const { toIsbn13 } = require("./isbn");
+
+// Import the search subsystem (text index, phrases, prefixes)
+const { buildSearch, RELEVANCE_SORT } = require("./bookSearch");
+
+// --------------------------------------------------
+// WHITELISTS
+// --------------------------------------------------
+
+// Comparison operators accepted in field[op]=value
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+// Numeric fields that accept exact and range filters
+const RANGE_FIELDS = ["year", "pageCount"];
+
+// String fields that accept exact filters
+const EXACT_FIELDS = ["author", "publisher", "language", "isbn"];
+
+// List filters: query name → schema path
+const LIST_FILTERS = { genre: "genres", tag: "tags" };
+
+// Date filters: query name → [schema path, operator]
+const DATE_FILTERS = {
+  createdAfter: ["createdAt", "$gte"],
+  createdBefore: ["createdAt", "$lte"],
+  updatedSince: ["updatedAt", "$gte"],
+  updatedBefore: ["updatedAt", "$lte"]
+};
+
+// Older parameter names → their query language equivalent
+const ALIASES = { yearFrom: "year[gte]", yearTo: "year[lte]" };
+
+// Fields never exposed through sort or fields
+const HIDDEN_PATHS = ["__v", "deletedAt", "deletedBy"];
+
+// Fields that make no sense to sort on (long text, lists, URLs)
+const UNSORTABLE_PATHS = ["description", "coverImage", "authors", "genres", "tags"];
+
+// Every path of the Book schema that may be selected
+const SELECTABLE_FIELDS = Object.keys(Book.schema.paths).filter(
+  (path) => !HIDDEN_PATHS.includes(path)
+);
+
+// Every path of the Book schema that may be sorted on
+const SORTABLE_FIELDS = SELECTABLE_FIELDS.filter(
+  (path) => !UNSORTABLE_PATHS.includes(path)
+);
+
+// Fail fast if a whitelist references a field the schema does not have
+[
+  ...RANGE_FIELDS,
+  ...EXACT_FIELDS,
+  ...Object.values(LIST_FILTERS),
+  ...Object.values(DATE_FILTERS).map(([path]) => path)
+].forEach((path) => {
+  if (!Book.schema.path(path)) {
+    throw new Error(`bookQuery: "${path}" is not a Book field`);
+  }
+});
+
+// Default order: newest books first
+const DEFAULT_SORT = "-createdAt";
+
+// --------------------------------------------------
+// VALIDATION RULES
+// --------------------------------------------------
+
+/**
+ * Check a comma-separated list against a whitelist
+ * Each entry may be prefixed with "-" when allowDescending is set
+ */
+const checkList = (allowed, allowDescending) => (value) => {
+  const unknown = value
+    .split(",")
+    .map((entry) => entry.trim())
+    .map((entry) => (allowDescending && entry.startsWith("-") ? entry.slice(1) : entry))
+    .filter((entry) => !allowed.includes(entry));
+
+  return unknown.length > 0 ? `unknown field(s): ${unknown.join(", ")}` : null;
+};
+
+/**
+ * Query parameter rules, in the format of validators/index.js
+ * Range filters are declared as separate "field[op]" parameters
+ */
+const queryRules = () => {
+  const rules = {
+    sort: {
+      type: "string",
+      trim: true,
+      maxLength: 200,
+      custom: checkList(SORTABLE_FIELDS, true)
+    },
+    fields: {
+      type: "string",
+      trim: true,
+      maxLength: 500,
+      custom: checkList(SELECTABLE_FIELDS, false)
+    },
+    search: { type: "string", trim: true, maxLength: 100 }
+  };
+
+  for (const field of RANGE_FIELDS) {
+    rules[field] = { type: "integer" };
+    for (const op of RANGE_OPERATORS) {
+      rules[`${field}[${op}]`] = { type: "integer" };
+    }
+  }
+
+  for (const field of EXACT_FIELDS) {
+    rules[field] = { type: "string", trim: true, maxLength: 200 };
+  }
+  rules.language.lowercase = true;
+
+  for (const name of Object.keys(LIST_FILTERS)) {
+    rules[name] = {
+      type: "array",
+      maxItems: 10,
+      items: { type: "string", trim: true, lowercase: true, required: true }
+    };
+  }
+
+  for (const name of Object.keys(DATE_FILTERS)) {
+    rules[name] = { type: "date" };
+  }
+
+  for (const [alias, name] of Object.entries(ALIASES)) {
+    rules[alias] = rules[name];
+  }
+
+  return rules;
+};
+
+// --------------------------------------------------
+// QUERY BUILDER
+// --------------------------------------------------
+
+/**
+ * Parse "title,-year" into { title: 1, year: -1 }
+ */
+const parseSort = (value) => {
+  const sort = {};
+
+  for (const entry of value.split(",").map((item) => item.trim()).filter(Boolean)) {
+    if (entry.startsWith("-")) {
+      sort[entry.slice(1)] = -1;
+    } else {
+      sort[entry] = 1;
+    }
+  }
+
+  return sort;
+};
+
+/**
+ * Build the MongoDB query from a VALIDATED query object
+ *
+ * Options:
+ * - cursorMode → relevance ordering is not available (it is not a
+ *                stable key), the default sort is used instead
+ *
+ * Returns:
+ * - filter     → MongoDB filter
+ * - sort       → MongoDB sort object
+ * - projection → space-separated field list (or null for all fields)
+ * - textScore  → true when results are ranked by relevance
+ * - applied    → { filters, sort, fields } echoed in the response
+ */
+const buildBookQuery = (rawQuery, { cursorMode = false } = {}) => {
+  const conditions = [];
+
+  // Resolve aliases (an explicit field[op] parameter wins)
+  const query = { ...rawQuery };
+  for (const [alias, name] of Object.entries(ALIASES)) {
+    if (query[alias] !== undefined && query[name] === undefined) {
+      query[name] = query[alias];
+    }
+  }
+
+  const appliedFilters = {};
+
+  // Search: text index for words and phrases, escaped regex for prefixes
+  let textSearch = false;
+  if (query.search) {
+    const search = buildSearch(query.search);
+    conditions.push(...search.conditions);
+    textSearch = search.textSearch;
+    appliedFilters.search = query.search;
+  }
+
+  // Exact and range filters on numeric fields
+  for (const field of RANGE_FIELDS) {
+    const range = {};
+
+    if (query[field] !== undefined) {
+      range.$eq = query[field];
+    }
+    for (const op of RANGE_OPERATORS) {
+      if (query[`${field}[${op}]`] !== undefined) {
+        range[`$${op}`] = query[`${field}[${op}]`];
+      }
+    }
+
+    if (Object.keys(range).length > 0) {
+      conditions.push({ [field]: range });
+      appliedFilters[field] = Object.fromEntries(
+        Object.entries(range).map(([op, value]) => [op.slice(1), value])
+      );
+    }
+  }
+
+  // Exact string filters
+  for (const field of EXACT_FIELDS) {
+    if (query[field] === undefined) continue;
+
+    if (field === "author") {
+      // Match the primary author or any co-author
+      conditions.push({
+        $or: [{ author: query.author }, { authors: query.author }]
+      });
+    } else if (field === "isbn") {
+      conditions.push({ isbn: toIsbn13(query.isbn) });
+    } else {
+      conditions.push({ [field]: query[field] });
+    }
+    appliedFilters[field] = query[field];
+  }
+
+  // List filters: books having ANY of the values
+  for (const [name, path] of Object.entries(LIST_FILTERS)) {
+    if (query[name]?.length) {
+      conditions.push({ [path]: { $in: query[name] } });
+      appliedFilters[name] = query[name];
+    }
+  }
+
+  // Date filters
+  for (const [name, [path, op]] of Object.entries(DATE_FILTERS)) {
+    if (query[name]) {
+      conditions.push({ [path]: { [op]: query[name] } });
+      appliedFilters[name] = query[name].toISOString();
+    }
+  }
+
+  // Text searches are ordered by relevance unless a sort is requested
+  const byRelevance = textSearch && !query.sort && !cursorMode;
+  const sortParam = byRelevance ? "relevance" : query.sort || DEFAULT_SORT;
+  const fields = query.fields
+    ? [...new Set(query.fields.split(",").map((field) => field.trim()))]
+    : null;
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sort: byRelevance ? RELEVANCE_SORT : parseSort(sortParam),
+    // The version key is always selected: ETags are built from it
+    projection: fields ? [...fields, "__v"].join(" ") : null,
+    textScore: byRelevance,
+    applied: {
+      filters: appliedFilters,
+      sort: sortParam,
+      fields
+    }
+  };
+};
+
+module.exports = {
+  RANGE_OPERATORS,
+  SELECTABLE_FIELDS,
+  SORTABLE_FIELDS,
+  DEFAULT_SORT,
+  queryRules,
+  parseSort,
+  buildBookQuery
+};
@@ -0,0 +1,159 @@
+/**
+ * bookSearch.js
+ * --------------
+ * This file contains the book search subsystem.
+ *
+ * Responsibilities:
+ * - Parse the search syntax:
+ *   - clean code      → books matching any of the words (ranked)
+ *   - "clean code"    → exact phrase
+ *   - clea*           → words starting with "clea" (prefix match)
+ * - Build MongoDB conditions using the text index of models/Book.js
+ *   (title, authors and description) so results can be ranked
+ * - Fall back to regex for prefix terms, always escaping user input
+ * - Provide autocomplete suggestions for the frontend search box
+ */
+
+// Import the Book model
+const Book = require("../models/Book");
+
+// Escapes user input before it is used in a RegExp
+const escapeRegex = require("./escapeRegex");
+
+// Relevance sort: best text score first, _id as tie-breaker
+const RELEVANCE_SORT = { score: { $meta: "textScore" }, _id: 1 };
+
+// Projection exposing the text score as "score"
+const SCORE_PROJECTION = { score: { $meta: "textScore" } };
+
+// Fields searched by prefix terms (the text index cannot match prefixes)
+const PREFIX_FIELDS = ["title", "author", "authors"];
+
+// --------------------------------------------------
+// PARSING
+// --------------------------------------------------
+
+/**
+ * Split a search string into words, phrases and prefixes
+ *
+ * parseSearch('"the great" gats* novel')
+ * → { terms: ["novel"], phrases: ["the great"], prefixes: ["gats"] }
+ */
+const parseSearch = (search) => {
+  const parsed = { terms: [], phrases: [], prefixes: [] };
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+
+  let match;
+  while ((match = tokenPattern.exec(search)) !== null) {
+    if (match[1] !== undefined) {
+      // Quoted phrase (quotes removed)
+      const phrase = match[1].trim();
+      if (phrase) parsed.phrases.push(phrase);
+    } else if (match[2].length > 1 && match[2].endsWith("*")) {
+      // Prefix term ("gats*" → "gats")
+      parsed.prefixes.push(match[2].replace(/\*+$/, ""));
+    } else {
+      // Plain word (stray quotes and stars removed)
+      const term = match[2].replace(/["*]/g, "");
+      if (term) parsed.terms.push(term);
+    }
+  }
+
+  return parsed;
+};
+
+// --------------------------------------------------
+// QUERY BUILDING
+// --------------------------------------------------
+
+/**
+ * Build the MongoDB conditions for a search string
+ *
+ * Returns:
+ * - conditions → list of conditions to AND with the other filters
+ * - textSearch → true if the text index is used (results can be ranked)
+ */
+const buildSearch = (search) => {
+  const { terms, phrases, prefixes } = parseSearch(search);
+  const conditions = [];
+
+  // Words and phrases use the text index ($text)
+  // Phrases are quoted again: MongoDB treats them as exact phrases
+  const textParts = [
+    ...terms,
+    ...phrases.map((phrase) => `"${phrase.replace(/"/g, "")}"`)
+  ];
+  if (textParts.length > 0) {
+    conditions.push({ $text: { $search: textParts.join(" ") } });
+  }
+
+  // Prefixes fall back to an escaped, anchored regex on word starts
+  for (const prefix of prefixes) {
+    const pattern = `(^|\\s)${escapeRegex(prefix)}`;
+    conditions.push({
+      $or: PREFIX_FIELDS.map((field) => ({
+        [field]: { $regex: pattern, $options: "i" }
+      }))
+    });
+  }
+
+  return { conditions, textSearch: textParts.length > 0 };
+};
+
+// --------------------------------------------------
+// SUGGESTIONS
+// --------------------------------------------------
+
+/**
+ * Autocomplete suggestions for a partial query
+ * Returns distinct titles and authors starting with the query
+ *
+ * [{ type: "title", value: "The Great Gatsby", bookId: "..." },
+ *  { type: "author", value: "George Orwell" }]
+ */
+const suggest = async (query, limit, baseFilter = {}) => {
+  const pattern = `^${escapeRegex(query)}`;
+  const regex = { $regex: pattern, $options: "i" };
+  const matcher = new RegExp(pattern, "i");
+
+  const [titleMatches, authorMatches] = await Promise.all([
+    Book.find({ ...baseFilter, title: regex })
+      .select("title")
+      .sort({ title: 1 })
+      .limit(limit),
+    Book.find({ ...baseFilter, $or: [{ author: regex }, { authors: regex }] })
+      .select("author authors")
+      .limit(limit * 2)
+  ]);
+
+  // Distinct author names that actually match (a book may have several)
+  const authors = new Set();
+  for (const book of authorMatches) {
+    for (const name of [book.author, ...(book.authors || [])]) {
+      if (name && matcher.test(name)) authors.add(name);
+    }
+  }
+
+  // Share the slots between titles and authors
+  const authorList = [...authors].sort();
+  const titleSlots = Math.max(limit - authorList.length, Math.ceil(limit / 2));
+
+  const suggestions = [
+    ...titleMatches.slice(0, titleSlots).map((book) => ({
+      type: "title",
+      value: book.title,
+      bookId: book._id
+    })),
+    ...authorList.map((name) => ({ type: "author", value: name }))
+  ];
+
+  return suggestions.slice(0, limit);
+};
+
+module.exports = {
+  RELEVANCE_SORT,
+  SCORE_PROJECTION,
+  parseSearch,
+  buildSearch,
+  suggest
+};
@@ -0,0 +1,295 @@
+/**
+ * bookTransfer.js
+ * ----------------
+ * This file converts books to and from catalog files.
+ *
+ * Responsibilities:
+ * - Export: turn books into CSV, JSON or NDJSON chunks
+ * - Import: read CSV, JSON or NDJSON files into rows of book fields
+ * - Map file columns to Book fields (built-in aliases + custom mapping)
+ * - Build the keys used to detect duplicate books
+ *
+ * The HTTP side (streaming, validation, inserts) lives in
+ * controllers/bookController.js.
+ */
+
+// Import the CSV reader/writer
+const { parseCsv, formatCsvRow, unprotectCell } = require("./csv");
+
+// Import ISBN helpers (duplicates are detected on the canonical ISBN-13)
+const { isValidIsbn, toIsbn13 } = require("./isbn");
+
+// Import the fields a client may set on a book
+const { BOOK_FIELDS } = require("../validators/bookValidators");
+
+// Supported file formats
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extensions: [".csv"] },
+  json: { contentType: "application/json; charset=utf-8", extensions: [".json"] },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extensions: [".ndjson", ".jsonl"] }
+};
+
+// Columns exported when no "fields" are requested
+const EXPORT_COLUMNS = ["_id", ...BOOK_FIELDS, "createdAt", "updatedAt"];
+
+// Columns of an export that are not book fields: ignored on import
+const SYSTEM_COLUMNS = ["_id", "id", "__v", "createdAt", "updatedAt", "createdBy"];
+
+// List fields are written as "a; b; c" in CSV files
+const LIST_FIELDS = ["authors", "genres", "tags"];
+const LIST_SEPARATOR = /\s*[;|]\s*/;
+
+// Numeric fields are converted from CSV text
+const NUMBER_FIELDS = ["year", "pageCount"];
+
+// Column names accepted for each field, besides the field name itself
+// Compared after lowercasing and removing spaces, "_" and "-"
+const COLUMN_ALIASES = {
+  title: ["booktitle", "name"],
+  author: ["writer", "primaryauthor"],
+  authors: ["coauthors"],
+  year: ["published", "publicationyear", "yearpublished"],
+  isbn: ["isbn10", "isbn13"],
+  genres: ["genre", "category", "categories"],
+  tags: ["tag", "keywords"],
+  description: ["summary"],
+  pageCount: ["pages", "numberofpages"],
+  language: ["lang"],
+  coverImage: ["cover", "coverurl", "image"]
+};
+
+const normalizeColumn = (name) => String(name).toLowerCase().replace(/[\s_-]/g, "");
+
+// Normalised column name → field
+const COLUMN_LOOKUP = new Map(
+  BOOK_FIELDS.flatMap((field) => [
+    [normalizeColumn(field), field],
+    ...(COLUMN_ALIASES[field] || []).map((alias) => [alias, field])
+  ])
+);
+
+// --------------------------------------------------
+// FORMAT DETECTION
+// --------------------------------------------------
+
+/**
+ * Pick the format of an uploaded file
+ * An explicit format wins, then the file extension, then the MIME type
+ */
+const detectFormat = (file, explicit) => {
+  if (explicit) {
+    return explicit;
+  }
+
+  const name = (file.originalname || "").toLowerCase();
+  for (const [format, { extensions }] of Object.entries(FORMATS)) {
+    if (extensions.some((extension) => name.endsWith(extension))) {
+      return format;
+    }
+  }
+
+  if (/csv/.test(file.mimetype)) return "csv";
+  if (/ndjson|jsonl/.test(file.mimetype)) return "ndjson";
+  if (/json/.test(file.mimetype)) return "json";
+
+  return null;
+};
+
+// --------------------------------------------------
+// EXPORT
+// --------------------------------------------------
+
+/**
+ * Keep the exported columns of a (lean) book
+ */
+const toExportRecord = (book, columns) =>
+  Object.fromEntries(columns.map((column) => [column, book[column] ?? null]));
+
+// One CSV cell per column: lists joined, dates as ISO strings
+const toCsvValue = (value) => {
+  if (Array.isArray(value)) return value.join("; ");
+  if (value instanceof Date) return value.toISOString();
+  return value == null ? "" : String(value);
+};
+
+/**
+ * Serializer of an export, chunk by chunk
+ *
+ * - head()           → text before the first book
+ * - record(book, i)  → text of the i-th book (0-based)
+ * - tail()           → text after the last book
+ */
+const createExportSerializer = (format, columns) => {
+  if (format === "csv") {
+    return {
+      head: () => formatCsvRow(columns),
+      record: (book) =>
+        formatCsvRow(columns.map((column) => toCsvValue(book[column]))),
+      tail: () => ""
+    };
+  }
+
+  if (format === "ndjson") {
+    return {
+      head: () => "",
+      record: (book) => `${JSON.stringify(toExportRecord(book, columns))}\n`,
+      tail: () => ""
+    };
+  }
+
+  // JSON: one array, written incrementally
+  return {
+    head: () => "[",
+    record: (book, index) =>
+      `${index === 0 ? "\n" : ",\n"}${JSON.stringify(toExportRecord(book, columns))}`,
+    tail: () => "\n]\n"
+  };
+};
+
+// --------------------------------------------------
+// IMPORT
+// --------------------------------------------------
+
+/**
+ * Map each file column to a Book field
+ *
+ * mapping → optional { "<column>": "<field>" } from the client,
+ *           checked before the built-in names and aliases
+ *
+ * Returns { fields: [field | null per column], unmapped: [column] }
+ */
+const mapColumns = (columns, mapping = {}) => {
+  const fields = columns.map((column) =>
+    (Object.hasOwn(mapping, column) && mapping[column]) ||
+    COLUMN_LOOKUP.get(normalizeColumn(column)) ||
+    null
+  );
+
+  return {
+    fields,
+    unmapped: columns.filter(
+      (column, index) => !fields[index] && !SYSTEM_COLUMNS.includes(column)
+    )
+  };
+};
+
+/**
+ * Convert a raw value read from a file to the field's type
+ * Invalid values are kept as-is so validation reports them
+ */
+const convertValue = (field, value) => {
+  if (typeof value === "string") {
+    value = unprotectCell(value.trim());
+    if (value === "") return undefined;
+
+    if (LIST_FIELDS.includes(field)) {
+      return value.split(LIST_SEPARATOR).filter(Boolean);
+    }
+    if (NUMBER_FIELDS.includes(field) && /^-?\d+(\.\d+)?$/.test(value)) {
+      return Number(value);
+    }
+  }
+
+  return value ?? undefined;
+};
+
+/**
+ * Build the book fields of one row
+ */
+const toBookFields = (entries) => {
+  const fields = {};
+
+  for (const [field, value] of entries) {
+    const converted = field ? convertValue(field, value) : undefined;
+    if (converted !== undefined) {
+      fields[field] = converted;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Read an import file into rows
+ *
+ * Returns { rows: [{ row, fields }], unmappedColumns }
+ * - row → CSV line / JSON array position / NDJSON line (1-based)
+ *
+ * Throws an Error when the file cannot be parsed.
+ */
+const readImportFile = (text, format, mapping) => {
+  if (format === "csv") {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      return { rows: [], unmappedColumns: [] };
+    }
+
+    const columns = header.values.map((column) => column.trim());
+    const { fields, unmapped } = mapColumns(columns, mapping);
+
+    return {
+      rows: records.map(({ line, values }) => ({
+        row: line,
+        fields: toBookFields(values.map((value, index) => [fields[index], value]))
+      })),
+      unmappedColumns: unmapped
+    };
+  }
+
+  // JSON array (or an export with a "data" array) / NDJSON lines
+  let items;
+  if (format === "ndjson") {
+    items = text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+      .filter(({ line }) => line !== "")
+      .map(({ line, row }) => {
+        try {
+          return { row, item: JSON.parse(line) };
+        } catch {
+          throw new Error(`Line ${row} is not valid JSON`);
+        }
+      });
+  } else {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed?.data;
+    if (!Array.isArray(list)) {
+      throw new Error("A JSON import must be an array of books");
+    }
+    items = list.map((item, index) => ({ row: index + 1, item }));
+  }
+
+  const unmapped = new Set();
+  const rows = items.map(({ row, item }) => {
+    const object = item && typeof item === "object" && !Array.isArray(item) ? item : {};
+    const keys = Object.keys(object);
+    const { fields, unmapped: unknown } = mapColumns(keys, mapping);
+    unknown.forEach((key) => unmapped.add(key));
+
+    return {
+      row,
+      fields: toBookFields(keys.map((key, index) => [fields[index], object[key]]))
+    };
+  });
+
+  return { rows, unmappedColumns: [...unmapped] };
+};
+
+/**
+ * Keys identifying the same book
+ * - isbn        → canonical ISBN-13 (when valid)
+ * - titleAuthor → lowercase "title|author"
+ */
+const duplicateKeys = ({ title, author, isbn }) => ({
+  isbn: isbn && isValidIsbn(isbn) ? toIsbn13(isbn) : null,
+  titleAuthor: `${String(title ?? "").trim().toLowerCase()}|${String(author ?? "").trim().toLowerCase()}`
+});
+
+module.exports = {
+  FORMATS,
+  EXPORT_COLUMNS,
+  detectFormat,
+  createExportSerializer,
+  readImportFile,
+  duplicateKeys
+};
@@ -0,0 +1,123 @@
+/**
+ * csv.js
+ * -------
+ * This file reads and writes CSV (RFC 4180).
+ *
+ * Responsibilities:
+ * - Parse CSV text into records (quoted fields, "" escapes,
+ *   line breaks inside quotes, CRLF or LF, UTF-8 BOM)
+ * - Format one record as a CSV line
+ * - Protect spreadsheet users from formula injection
+ *
+ * Used by the book import/export (see utils/bookTransfer.js).
+ */
+
+// Cells starting with these characters are run as formulas by
+// spreadsheet applications; they are prefixed with a quote on export
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text
+ *
+ * Returns [{ line, values }] where line is the 1-based line on
+ * which the record starts. Blank lines are skipped.
+ * Throws an Error on an unterminated quoted field.
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+
+  let values = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = "";
+  };
+
+  const endRecord = () => {
+    endField();
+    // A blank line is a single empty field
+    if (values.length > 1 || values[0] !== "") {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === "\"" && input[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === "\"" && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      // CRLF counts as one line break
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== "" || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Format one value as a CSV cell
+ * Quotes cells containing separators, quotes or line breaks
+ */
+const formatCell = (value) => {
+  let cell = value == null ? "" : String(value);
+
+  if (FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+  if (/[",\r\n]/.test(cell) || cell !== cell.trim()) {
+    cell = `"${cell.replace(/"/g, "\"\"")}"`;
+  }
+
+  return cell;
+};
+
+/**
+ * Format a record as one CSV line (CRLF terminated, as in RFC 4180)
+ */
+const formatCsvRow = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+/**
+ * Undo the formula protection added by formatCell
+ */
+const unprotectCell = (cell) =>
+  cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+  unprotectCell
+};
@@ -0,0 +1,181 @@
+/**
+ * cursor.js
+ * ----------
+ * This file contains helpers for cursor-based (keyset) pagination.
+ *
+ * Responsibilities:
+ * - Encode the position of a record in a sorted list as an opaque cursor
+ * - Sign cursors (HMAC-SHA256) so clients cannot forge or edit them
+ * - Bind each cursor to the filters and sort it was created for
+ * - Build the MongoDB condition "records after / before this cursor"
+ *
+ * Unlike skip/limit, a cursor points at a record, not at an offset,
+ * so inserts while paging cause no duplicates or gaps.
+ *
+ * Cursor format: base64url(JSON payload) + "." + base64url(signature)
+ * Payload: { d: "after" | "before", k: [sort key values], q: query fingerprint }
+ */
+
+// Node's built-in crypto module for HMAC signatures and hashing
+const crypto = require("crypto");
+
+// Validated settings
+const config = require("../config");
+
+// Secret used to sign cursors (CURSOR_SECRET, falls back to the JWT secret)
+const getSecret = () => config.cursorSecret;
+
+/**
+ * Sign a string with HMAC-SHA256
+ */
+const sign = (value) =>
+  crypto.createHmac("sha256", getSecret()).update(value).digest("base64url");
+
+/**
+ * Short hash identifying a query (filters + sort)
+ * A cursor is only valid for the query it was created with
+ */
+const fingerprint = (query) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(query))
+    .digest("base64url")
+    .slice(0, 16);
+
+// --------------------------------------------------
+// SORT KEYS
+// --------------------------------------------------
+
+/**
+ * Turn a sort object into a list of [field, direction] pairs
+ * _id is always appended as a unique tie-breaker so the order is stable
+ */
+const sortKeys = (sort) => {
+  const keys = Object.entries(sort).filter(([field]) => field !== "_id");
+  const idDirection = sort._id || keys[keys.length - 1]?.[1] || 1;
+  return [...keys, ["_id", idDirection]];
+};
+
+/**
+ * Reverse every direction of a sort (used to page backwards)
+ */
+const reverseSort = (sort) =>
+  Object.fromEntries(sortKeys(sort).map(([field, dir]) => [field, -dir]));
+
+/**
+ * Read the sort key values of a record
+ */
+const keyValues = (record, keys) =>
+  keys.map(([field]) => {
+    const value = record.get ? record.get(field) : record[field];
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === "object" ? String(value) : value;
+  });
+
+// --------------------------------------------------
+// ENCODE / DECODE
+// --------------------------------------------------
+
+/**
+ * Create a signed cursor pointing at a record
+ */
+const encodeCursor = (record, direction, sort, query) => {
+  const payload = Buffer.from(
+    JSON.stringify({
+      d: direction,
+      k: keyValues(record, sortKeys(sort)),
+      q: fingerprint(query)
+    })
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify and decode a cursor
+ * Returns null if the cursor is malformed, tampered with,
+ * or was created for a different query
+ */
+const decodeCursor = (cursor, sort, query) => {
+  const [payload, signature] = String(cursor).split(".");
+  if (!payload || !signature) {
+    return null;
+  }
+
+  // Constant-time signature comparison
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+
+  if (
+    !["after", "before"].includes(data.d) ||
+    !Array.isArray(data.k) ||
+    data.k.length !== sortKeys(sort).length ||
+    data.q !== fingerprint(query)
+  ) {
+    return null;
+  }
+
+  return { direction: data.d, values: data.k };
+};
+
+// --------------------------------------------------
+// KEYSET CONDITION
+// --------------------------------------------------
+
+/**
+ * Condition for "field comes after value" in the given direction
+ *
+ * MongoDB sorts null/missing values BEFORE any other value
+ * (ascending), which is taken into account here.
+ * Returns null when no value can come after.
+ */
+const afterValue = (field, value, direction) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null
+    ? null
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * MongoDB condition selecting the records after the cursor position
+ * in the given sort order:
+ * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... (all equal AND _id > id)
+ */
+const cursorCondition = (values, sort) => {
+  const keys = sortKeys(sort);
+  const branches = [];
+
+  keys.forEach(([field, direction], index) => {
+    const after = afterValue(field, values[index], direction);
+    if (!after) return;
+
+    const equalities = keys.slice(0, index).map(([prevField], prevIndex) => ({
+      [prevField]: values[prevIndex]
+    }));
+
+    branches.push(equalities.length > 0 ? { $and: [...equalities, after] } : after);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+module.exports = {
+  sortKeys,
+  reverseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition
+};
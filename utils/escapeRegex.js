@@ -0,0 +1,13 @@
+/**
+ * escapeRegex.js
+ * ---------------
+ * This file contains a helper to use user input inside a RegExp.
+ *
+ * Every regex special character is escaped, so the input only ever
+ * matches itself literally. This prevents users from submitting
+ * catastrophic patterns (e.g. "(a+)+$") that freeze the database.
+ *
+ * Usage:
+ * { title: { $regex: escapeRegex(req.query.search), $options: "i" } }
+ */
+module.exports = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -0,0 +1,83 @@
+/**
+ * etag.js
+ * --------
+ * This file builds and checks the ETags used for optimistic
+ * concurrency control on books.
+ *
+ * Responsibilities:
+ * - Give each book version a strong ETag
+ * - Give each list page a weak ETag built from its books' versions
+ * - Check If-Match preconditions before a write (412 on mismatch)
+ *
+ * Versions come from the "__v" key, which the Book schema increments
+ * on every save (optimisticConcurrency) and every soft delete/restore.
+ *
+ * If-None-Match on GET is handled by Express itself: res.json()
+ * answers 304 when the ETag header set here is still fresh.
+ */
+
+// Node's crypto module hashes list pages
+const crypto = require("crypto");
+
+// Import application errors
+const { PreconditionFailedError } = require("../errors/AppError");
+
+/**
+ * Strong ETag of one book version, e.g. "665f1c...-3"
+ */
+const bookETag = (book) => `"${book._id}-${book.__v}"`;
+
+/**
+ * Weak ETag of a list page
+ * Changes when a book on the page changes version or when the
+ * page metadata (totals, cursors, filters) changes
+ */
+const listETag = (books, meta = {}) => {
+  const versions = books.map((book) => [String(book._id), book.__v]);
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ versions, meta }))
+    .digest("base64url");
+
+  return `W/"${hash}"`;
+};
+
+/**
+ * Split an If-Match / If-None-Match header into its entity tags
+ */
+const parseETags = (header) =>
+  String(header)
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Throw 412 PRECONDITION_FAILED when the request has an If-Match
+ * header that does not match the book's current version
+ *
+ * - No If-Match → unconditional write, nothing to check
+ * - "*"         → matches any existing book
+ * - Weak tags never match (If-Match uses strong comparison)
+ */
+const checkIfMatch = (req, book) => {
+  const header = req.get("If-Match");
+  if (!header) {
+    return;
+  }
+
+  const current = bookETag(book);
+  const tags = parseETags(header);
+
+  if (!tags.includes("*") && !tags.includes(current)) {
+    throw new PreconditionFailedError("PRECONDITION_FAILED", {
+      details: { etag: current }
+    });
+  }
+};
+
+module.exports = {
+  bookETag,
+  listETag,
+  parseETags,
+  checkIfMatch
+};
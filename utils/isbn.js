@@ -0,0 +1,88 @@
+/**
+ * isbn.js
+ * --------
+ * This file contains helpers for International Standard Book Numbers.
+ *
+ * Responsibilities:
+ * - Normalise user input (remove hyphens and spaces)
+ * - Validate ISBN-10 and ISBN-13 checksums
+ * - Convert ISBN-10 to ISBN-13
+ *
+ * Books store the canonical ISBN-13 form, so the same book entered
+ * as ISBN-10 or ISBN-13 is detected as a duplicate.
+ */
+
+/**
+ * Remove hyphens and spaces, upper-case the ISBN-10 "X" check digit
+ */
+const normalizeIsbn = (value) =>
+  String(value).replace(/[\s-]/g, "").toUpperCase();
+
+/**
+ * ISBN-10 checksum:
+ * sum of digit × weight (10 down to 1) must be divisible by 11
+ * The last character may be "X" (= 10)
+ */
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === "X" ? 10 : Number(isbn[i]);
+    sum += digit * (10 - i);
+  }
+
+  return sum % 11 === 0;
+};
+
+/**
+ * Compute the ISBN-13 check digit for the first 12 digits
+ * Weights alternate 1, 3, 1, 3, ...
+ */
+const isbn13CheckDigit = (first12) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * ISBN-13 checksum (must start with the 978 or 979 prefix)
+ */
+const isValidIsbn13 = (isbn) =>
+  /^97[89]\d{10}$/.test(isbn) &&
+  isbn13CheckDigit(isbn.slice(0, 12)) === Number(isbn[12]);
+
+/**
+ * Check whether a value is a valid ISBN-10 or ISBN-13
+ */
+const isValidIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+/**
+ * Convert a valid ISBN-10 or ISBN-13 to canonical ISBN-13
+ * Invalid values are returned normalised but unchanged
+ */
+const toIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+
+  if (isValidIsbn10(isbn)) {
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return `${first12}${isbn13CheckDigit(first12)}`;
+  }
+
+  return isbn;
+};
+
+module.exports = {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  toIsbn13
+};
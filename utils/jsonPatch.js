@@ -0,0 +1,277 @@
+/**
+ * jsonPatch.js
+ * -------------
+ * This file applies PATCH documents to plain JSON objects.
+ *
+ * Supported formats:
+ * - JSON Merge Patch (RFC 7396)
+ *   Content-Type: application/merge-patch+json
+ *   { "year": 1950, "publisher": null }   → set year, remove publisher
+ *
+ * - JSON Patch (RFC 6902)
+ *   Content-Type: application/json-patch+json
+ *   [
+ *     { "op": "test",    "path": "/year",    "value": 1949 },
+ *     { "op": "replace", "path": "/year",    "value": 1950 },
+ *     { "op": "add",     "path": "/tags/-",  "value": "dystopia" },
+ *     { "op": "remove",  "path": "/publisher" }
+ *   ]
+ *
+ * Both functions return a NEW document and never modify their input.
+ * The result is not validated here: callers validate it against
+ * the resource schema (see controllers/bookController.js).
+ */
+
+// Import application errors
+const { BadRequestError, ConflictError } = require("../errors/AppError");
+
+// Keys that would change an object's prototype when assigned
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+// Array index in a JSON Pointer: no sign, no leading zero
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// JSON values are cloned through JSON (the input came from JSON anyway)
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Structural equality used by the "test" operation
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.hasOwn(b, key) && deepEqual(a[key], b[key]))
+    );
+  }
+  return false;
+};
+
+// --------------------------------------------------
+// JSON MERGE PATCH (RFC 7396)
+// --------------------------------------------------
+
+/**
+ * Apply a merge patch
+ *
+ * - null removes the member
+ * - objects are merged recursively
+ * - anything else (including arrays) replaces the member
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? clone(target) : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (FORBIDDEN_KEYS.includes(key)) continue;
+
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+};
+
+// --------------------------------------------------
+// JSON PATCH (RFC 6902)
+// --------------------------------------------------
+
+/**
+ * Invalid patch document or operation (400)
+ * index → position of the failing operation
+ */
+const invalidPatch = (index, message) =>
+  new BadRequestError("INVALID_PATCH", {
+    message: `Operation ${index}: ${message}`,
+    details: { operation: index }
+  });
+
+/**
+ * Split a JSON Pointer (RFC 6901) into reference tokens
+ * "/tags/0" → ["tags", "0"]   "" → [] (the whole document)
+ */
+const parsePointer = (pointer, index, name = "path") => {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw invalidPatch(index, `"${name}" must be a JSON Pointer`);
+  }
+
+  const tokens = pointer === ""
+    ? []
+    : pointer.slice(1).split("/").map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+  if (tokens.some((token) => FORBIDDEN_KEYS.includes(token))) {
+    throw invalidPatch(index, `"${name}" is not allowed`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Resolve the value a pointer references
+ * Throws when any part of the path does not exist
+ */
+const getValue = (doc, tokens, index) => {
+  let current = doc;
+
+  for (const token of tokens) {
+    if (Array.isArray(current) && ARRAY_INDEX.test(token) && Number(token) < current.length) {
+      current = current[Number(token)];
+    } else if (isPlainObject(current) && Object.hasOwn(current, token)) {
+      current = current[token];
+    } else {
+      throw invalidPatch(index, `path "/${tokens.join("/")}" does not exist`);
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Add a value at a pointer (RFC 6902 "add")
+ * Returns the (possibly new) document
+ */
+const addValue = (doc, tokens, value, index) => {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const parent = getValue(doc, tokens.slice(0, -1), index);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    // "-" appends to the end of the array
+    const position = key === "-" ? parent.length : Number(key);
+    if (key !== "-" && (!ARRAY_INDEX.test(key) || position > parent.length)) {
+      throw invalidPatch(index, `array index "${key}" is out of bounds`);
+    }
+    parent.splice(position, 0, value);
+  } else if (isPlainObject(parent)) {
+    parent[key] = value;
+  } else {
+    throw invalidPatch(index, "cannot add a member to a non-container value");
+  }
+
+  return doc;
+};
+
+/**
+ * Remove the value at a pointer (RFC 6902 "remove")
+ * Returns the (possibly new) document
+ */
+const removeValue = (doc, tokens, index) => {
+  // Throws if the target does not exist
+  getValue(doc, tokens, index);
+
+  if (tokens.length === 0) {
+    return undefined;
+  }
+
+  const parent = getValue(doc, tokens.slice(0, -1), index);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+
+  return doc;
+};
+
+/**
+ * Apply a JSON Patch document (a list of operations)
+ *
+ * Operations are applied in order and atomically:
+ * if one fails, the error is thrown and nothing is returned.
+ *
+ * Errors:
+ * - 400 INVALID_PATCH     → malformed operation or missing path
+ * - 409 PATCH_TEST_FAILED → a "test" operation did not match
+ */
+const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new BadRequestError("INVALID_PATCH", {
+      message: "A JSON Patch document must be an array of operations"
+    });
+  }
+
+  let doc = clone(document);
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation)) {
+      throw invalidPatch(index, "must be an object");
+    }
+
+    const { op } = operation;
+    const path = parsePointer(operation.path, index);
+    const needsValue = ["add", "replace", "test"].includes(op);
+
+    if (needsValue && !Object.hasOwn(operation, "value")) {
+      throw invalidPatch(index, `"${op}" requires a "value"`);
+    }
+
+    switch (op) {
+      case "add":
+        doc = addValue(doc, path, clone(operation.value), index);
+        break;
+
+      case "remove":
+        doc = removeValue(doc, path, index);
+        break;
+
+      case "replace":
+        doc = removeValue(doc, path, index);
+        doc = addValue(doc, path, clone(operation.value), index);
+        break;
+
+      case "move":
+      case "copy": {
+        const from = parsePointer(operation.from, index, "from");
+        const value = clone(getValue(doc, from, index));
+
+        if (op === "move") {
+          // A value cannot be moved into one of its own children
+          const isChild = from.length < path.length &&
+            from.every((token, position) => token === path[position]);
+          if (isChild) {
+            throw invalidPatch(index, "cannot move a value into itself");
+          }
+          doc = removeValue(doc, from, index);
+        }
+
+        doc = addValue(doc, path, value, index);
+        break;
+      }
+
+      case "test":
+        if (!deepEqual(getValue(doc, path, index), operation.value)) {
+          throw new ConflictError("PATCH_TEST_FAILED", {
+            details: { operation: index, path: operation.path }
+          });
+        }
+        break;
+
+      default:
+        throw invalidPatch(index, "\"op\" must be one of: add, remove, replace, move, copy, test");
+    }
+  });
+
+  return doc;
+};
+
+module.exports = {
+  applyMergePatch,
+  applyJsonPatch
+};
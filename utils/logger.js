@@ -0,0 +1,145 @@
+/**
+ * logger.js
+ * ----------
+ * This file contains the structured (JSON) logger of the application.
+ *
+ * Responsibilities:
+ * - Write one JSON object per line: { time, level, msg, ...fields }
+ * - Filter entries by level (LOG_LEVEL = debug | info | warn | error | silent)
+ * - Create child loggers carrying fixed fields (e.g. the request ID)
+ * - Redact secrets (passwords, tokens, API keys, auth headers)
+ *   before anything is written
+ *
+ * Lines go to stdout by default; setWriter() replaces the output
+ * (e.g. to collect lines in tests).
+ *
+ * Usage:
+ * logger.info("Connected to MongoDB");
+ * req.log.error("Email could not be sent", { err });
+ */
+
+// Levels in increasing order of severity
+const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: Infinity });
+
+// Read directly (not from config/) so configuration errors can be logged
+// An invalid LOG_LEVEL is still refused at startup by config/env.js
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+
+// --------------------------------------------------
+// REDACTION
+// --------------------------------------------------
+const REDACTED = "[REDACTED]";
+
+// Fields whose value is always hidden
+// Compared after lowercasing and removing "-" and "_"
+const SECRET_KEY = /password|passwd|secret|token|authorization|cookie|apikey|keyhash|credential|signature/;
+
+// Secrets that may appear inside any string (messages, URLs, headers)
+const SECRET_PATTERNS = [
+  // Authorization header values
+  [/\b(Bearer|ApiKey)\s+[^\s",]+/g, `$1 ${REDACTED}`],
+  // JWTs
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  // API keys (see utils/tokens.js)
+  [/\bbk_[\w-]{16,}/g, REDACTED],
+  // Secrets passed in query strings
+  [/([?&](?:token|refreshToken|apiKey|api_key|password)=)[^&\s"]+/gi, `$1${REDACTED}`]
+];
+
+const isSecretKey = (key) => SECRET_KEY.test(key.toLowerCase().replace(/[-_]/g, ""));
+
+const redactString = (value) =>
+  SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+/**
+ * Copy of a value with every secret replaced by "[REDACTED]"
+ * Errors become { name, message, code, stack }
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redact(
+      { name: value.name, message: value.message, code: value.code, stack: value.stack },
+      depth
+    );
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+
+  // Guard against deep or circular structures
+  if (depth >= 6) {
+    return "[Object]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    result[key] = isSecretKey(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+};
+
+// --------------------------------------------------
+// OUTPUT
+// --------------------------------------------------
+let writer = (line) => process.stdout.write(`${line}\n`);
+
+/**
+ * Replace the function receiving each JSON line
+ */
+const setWriter = (newWriter) => {
+  writer = newWriter;
+};
+
+// --------------------------------------------------
+// LOGGER
+// --------------------------------------------------
+
+/**
+ * Create a logger
+ *
+ * bindings → fields added to every entry (e.g. { requestId })
+ * level    → lowest level written
+ */
+const createLogger = (bindings = {}, level = LOG_LEVEL) => {
+  const write = (entryLevel, msg, fields) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...bindings,
+      ...fields
+    });
+
+    writer(JSON.stringify(entry));
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    isLevelEnabled: (name) => LEVELS[name] >= LEVELS[level],
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }, level)
+  };
+};
+
+// Application-wide logger
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  setWriter,
+  redact
+};
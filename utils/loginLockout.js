@@ -0,0 +1,96 @@
+/**
+ * loginLockout.js
+ * ----------------
+ * This file contains helpers for the progressive login lockout.
+ *
+ * Responsibilities:
+ * - Tell whether an account is locked, and for how long
+ * - Record a failed login on the User document (and lock the account
+ *   once the threshold is reached, see config/rateLimits.js)
+ * - Clear the failures after a successful login or password reset
+ *
+ * Each failure is counted by one atomic update (an update pipeline
+ * that reads the current count), so concurrent attempts from several
+ * instances cannot lose failures.
+ */
+
+// Import User model to update the failure counters
+const User = require("../models/User");
+
+// Import the lockout policy
+const { LOGIN_LOCKOUT, lockoutDuration } = require("../config/rateLimits");
+
+/**
+ * Milliseconds until a locked account can log in again (0 if not locked)
+ */
+const lockRemaining = (user, now = Date.now()) =>
+  user.lockedUntil ? Math.max(0, user.lockedUntil.getTime() - now) : 0;
+
+/**
+ * Record a failed login
+ *
+ * Failures older than LOGIN_LOCKOUT.resetMs start a new count.
+ * Returns { failedLoginAttempts, lockedUntil },
+ * or null when the user no longer exists
+ */
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const recent = new Date(now.getTime() - LOGIN_LOCKOUT.resetMs);
+
+  // Recent failures are incremented, stale ones start again at 1
+  // (a missing lastFailedLoginAt is null, which is never $gt a date)
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [
+              { $gt: ["$lastFailedLoginAt", recent] },
+              { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] },
+              1
+            ]
+          },
+          lastFailedLoginAt: now
+        }
+      }
+    ],
+    { new: true, updatePipeline: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  const failures = updated.failedLoginAttempts;
+  const duration = lockoutDuration(failures);
+  const lockedUntil = duration ? new Date(now.getTime() + duration) : null;
+
+  // $max: a concurrent attempt with a lower count never shortens the lock
+  if (lockedUntil) {
+    await User.updateOne({ _id: user._id }, { $max: { lockedUntil } });
+  }
+
+  return { failedLoginAttempts: failures, lockedUntil };
+};
+
+/**
+ * Forget the failed logins of a user
+ * Skips the write when there is nothing to clear
+ */
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockedUntil: null, lastFailedLoginAt: null } }
+  );
+};
+
+module.exports = {
+  lockRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+};
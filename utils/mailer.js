@@ -0,0 +1,189 @@
+/**
+ * mailer.js
+ * ----------
+ * This file contains the mail abstraction used by the application.
+ *
+ * Responsibilities:
+ * - Send emails through a pluggable transport
+ * - Provide built-in transports that need no SMTP server:
+ *   - file   → writes every message as a JSON file into an outbox folder
+ *   - memory → keeps messages in an array (useful for tests)
+ * - Build the application's emails (verification, password reset,
+ *   registration attempt on an existing account)
+ *
+ * A transport is any object with an async send(message) method.
+ * The active transport is chosen with MAIL_TRANSPORT (file | memory)
+ * or replaced at runtime with setTransport() (e.g. an SMTP adapter).
+ */
+
+// Node's built-in modules for writing the file outbox
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Validated settings (transport, sender, APP_URL)
+const config = require("../config");
+
+// --------------------------------------------------
+// TRANSPORTS
+// --------------------------------------------------
+
+/**
+ * In-memory transport
+ * Messages are stored in transport.outbox
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: "memory",
+    outbox,
+    async send(message) {
+      outbox.push(message);
+      return message;
+    }
+  };
+};
+
+/**
+ * File transport
+ * Each message is written to <dir>/<timestamp>-<id>.json
+ */
+const createFileTransport = (dir = config.mailOutboxDir) => ({
+  name: "file",
+  dir,
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.id}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify(message, null, 2)
+    );
+
+    return message;
+  }
+});
+
+// Pick the default transport from the configuration
+const createDefaultTransport = () =>
+  config.mailTransport === "memory"
+    ? createMemoryTransport()
+    : createFileTransport();
+
+let transport = createDefaultTransport();
+
+/**
+ * Replace the active transport
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Get the active transport
+ */
+const getTransport = () => transport;
+
+// --------------------------------------------------
+// SEND MAIL
+// --------------------------------------------------
+
+/**
+ * Send an email through the active transport
+ *
+ * message: { to, subject, text }
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    id: crypto.randomUUID(),
+    from: config.mailFrom,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  };
+
+  return transport.send(message);
+};
+
+// --------------------------------------------------
+// APPLICATION EMAILS
+// --------------------------------------------------
+
+// Optional frontend URL used to build clickable links
+const buildLink = (pathName, token) =>
+  config.appUrl
+    ? `${config.appUrl}${pathName}?token=${encodeURIComponent(token)}`
+    : null;
+
+/**
+ * Email asking the user to confirm their email address
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = buildLink("/verify-email", token);
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Please confirm your email address.",
+      link ? `Open this link: ${link}` : `Verification token: ${token}`
+    ].join("\n")
+  });
+};
+
+/**
+ * Email containing a password reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const link = buildLink("/reset-password", token);
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Someone requested a password reset for your account.",
+      link ? `Open this link: ${link}` : `Reset token: ${token}`,
+      "",
+      "If this was not you, you can ignore this email."
+    ].join("\n")
+  });
+};
+
+/**
+ * Email sent when someone registers with an address that already
+ * has an account (the API answers as if the registration succeeded)
+ */
+const sendAccountExistsEmail = (user) => {
+  const link = config.appUrl ? `${config.appUrl}/forgot-password` : null;
+
+  return sendMail({
+    to: user.email,
+    subject: "You already have an account",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Someone tried to create an account with your email address,",
+      "but you already have one. You can simply log in.",
+      link ? `Forgot your password? ${link}` : "Forgot your password? Request a reset from the login page.",
+      "",
+      "If this was not you, you can ignore this email."
+    ].join("\n")
+  });
+};
+
+module.exports = {
+  createMemoryTransport,
+  createFileTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountExistsEmail
+};
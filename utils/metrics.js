@@ -0,0 +1,236 @@
+/**
+ * metrics.js
+ * -----------
+ * This file contains the metrics of the application, exposed to
+ * Prometheus by GET /metrics (see controllers/metricsController.js).
+ *
+ * Responsibilities:
+ * - Provide labelled counters and histograms
+ * - Render every metric in the Prometheus text format (version 0.0.4)
+ * - Declare the metrics of the application in one place
+ *
+ * Metrics are recorded by:
+ * - middleware/metricsMiddleware.js → HTTP requests per route and status
+ * - controllers/authController.js   → login successes and failures
+ * - middleware/authMiddleware.js    → rejected authentications
+ * - db/connection.js                → MongoDB command timings
+ *
+ * Values live in memory: each process reports its own since it started.
+ *
+ * Usage:
+ * const { metrics } = require("../utils/metrics");
+ * metrics.loginFailures.inc({ reason: "INVALID_CREDENTIALS" });
+ */
+
+// Content-Type of the rendered metrics
+const CONTENT_TYPE = "text/plain; charset=utf-8; version=0.0.4";
+
+// Every declared metric, by name (rendered in this order)
+const registry = new Map();
+
+// --------------------------------------------------
+// TEXT FORMAT
+// --------------------------------------------------
+
+// Label values escape backslashes, double quotes and newlines
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+// HELP texts escape backslashes and newlines
+const escapeHelp = (text) => text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+// {method="GET",status="200"} (nothing without labels)
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+};
+
+const header = (name, help, type) => [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`];
+
+// --------------------------------------------------
+// SERIES
+// --------------------------------------------------
+
+/**
+ * One series per combination of label values
+ * Only the declared labels are kept, in their declared order
+ */
+const seriesStore = (labelNames, createValue) => {
+  const series = new Map();
+
+  return {
+    get(labels = {}) {
+      const values = labelNames.map((name) => String(labels[name] ?? ""));
+      const key = values.join("\u0000");
+
+      if (!series.has(key)) {
+        const ownLabels = Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+        series.set(key, { labels: ownLabels, ...createValue() });
+      }
+      return series.get(key);
+    },
+    values: () => series.values(),
+    clear: () => series.clear()
+  };
+};
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric "${metric.name}" is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+// --------------------------------------------------
+// METRIC TYPES
+// --------------------------------------------------
+
+/**
+ * Counter: a value that only goes up
+ * counter.inc(labels, amount = 1)
+ */
+const counter = ({ name, help, labelNames = [] }) => {
+  const series = seriesStore(labelNames, () => ({ value: 0 }));
+
+  return register({
+    name,
+
+    inc(labels, amount = 1) {
+      series.get(labels).value += amount;
+    },
+
+    render() {
+      const lines = header(name, help, "counter");
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return lines;
+    },
+
+    reset: series.clear
+  });
+};
+
+/**
+ * Histogram: observations counted in cumulative buckets
+ * histogram.observe(labels, value)
+ * Renders <name>_bucket{le="..."}, <name>_sum and <name>_count
+ */
+const histogram = ({ name, help, labelNames = [], buckets }) => {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = seriesStore(labelNames, () => ({
+    buckets: bounds.map(() => 0),
+    sum: 0,
+    count: 0
+  }));
+
+  return register({
+    name,
+
+    observe(labels, value) {
+      const entry = series.get(labels);
+      bounds.forEach((bound, i) => {
+        if (value <= bound) entry.buckets[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+
+    render() {
+      const lines = header(name, help, "histogram");
+      for (const { labels, buckets: counts, sum, count } of series.values()) {
+        bounds.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+
+    reset: series.clear
+  });
+};
+
+// --------------------------------------------------
+// REGISTRY
+// --------------------------------------------------
+
+// Every metric in the Prometheus text format
+const renderMetrics = () =>
+  [...registry.values()].flatMap((metric) => metric.render()).join("\n") + "\n";
+
+// Forget every recorded value (tests)
+const resetMetrics = () => {
+  for (const metric of registry.values()) metric.reset();
+};
+
+// --------------------------------------------------
+// APPLICATION METRICS
+// --------------------------------------------------
+
+// Seconds; HTTP requests range from a few ms to several seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Seconds; database commands are usually well under 100ms
+const MONGO_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const metrics = {
+  // route is the matched Express pattern (/api/books/:id), "unmatched" for 404s
+  httpRequests: counter({
+    name: "http_requests_total",
+    help: "HTTP requests by method, route and status code",
+    labelNames: ["method", "route", "status"]
+  }),
+  httpRequestDuration: histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request duration in seconds by method, route and status code",
+    labelNames: ["method", "route", "status"],
+    buckets: HTTP_BUCKETS
+  }),
+
+  loginSuccesses: counter({
+    name: "auth_login_success_total",
+    help: "Successful logins"
+  }),
+  // reason is the error code returned to the client
+  loginFailures: counter({
+    name: "auth_login_failure_total",
+    help: "Failed logins by reason",
+    labelNames: ["reason"]
+  }),
+  authRejections: counter({
+    name: "auth_rejections_total",
+    help: "Requests rejected by the authentication middleware by reason",
+    labelNames: ["reason"]
+  }),
+
+  mongoCommandDuration: histogram({
+    name: "mongodb_command_duration_seconds",
+    help: "MongoDB command duration in seconds by command and collection",
+    labelNames: ["command", "collection"],
+    buckets: MONGO_BUCKETS
+  }),
+  mongoCommandFailures: counter({
+    name: "mongodb_command_failures_total",
+    help: "Failed MongoDB commands by command and collection",
+    labelNames: ["command", "collection"]
+  })
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  counter,
+  histogram,
+  renderMetrics,
+  resetMetrics,
+  metrics
+};
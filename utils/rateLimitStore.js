@@ -0,0 +1,137 @@
+/**
+ * rateLimitStore.js
+ * ------------------
+ * This file contains the storage used to count rate-limited requests.
+ *
+ * Responsibilities:
+ * - Count requests per key in fixed time windows
+ * - Provide built-in stores:
+ *   - memory → counters kept in the process (default, single instance)
+ *   - mongo  → counters in MongoDB, shared by every instance of the API
+ *
+ * A store is any object with an async increment(key, windowMs) method
+ * returning { count, resetAt } (resetAt = end of the window, in ms).
+ * The active store is chosen with RATE_LIMIT_STORE (memory | mongo)
+ * or replaced at runtime with setStore() (e.g. a Redis adapter).
+ *
+ * Windows are aligned on multiples of windowMs, so every store
+ * (and every instance) agrees on when a window starts and ends.
+ */
+
+// Import the model used by the Mongo store
+const RateLimit = require("../models/RateLimit");
+
+// Validated settings (RATE_LIMIT_STORE)
+const config = require("../config");
+
+// Start and end of the window containing "now"
+const currentWindow = (windowMs, now = Date.now()) => {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: start + windowMs };
+};
+
+// --------------------------------------------------
+// STORES
+// --------------------------------------------------
+
+/**
+ * In-memory store
+ * Counters are lost on restart and not shared between processes
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map();
+  let lastSweep = Date.now();
+
+  // Drop the counters of finished windows from time to time
+  const sweep = (now) => {
+    if (now - lastSweep < sweepIntervalMs) return;
+
+    lastSweep = now;
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  };
+
+  return {
+    name: "memory",
+    counters,
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const { resetAt } = currentWindow(windowMs, now);
+      sweep(now);
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt !== resetAt) {
+        counter = { count: 0, resetAt };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+
+      return { count: counter.count, resetAt };
+    },
+    async reset() {
+      counters.clear();
+    }
+  };
+};
+
+/**
+ * MongoDB store
+ * One document per key and window, removed by a TTL index
+ */
+const createMongoStore = () => ({
+  name: "mongo",
+  async increment(key, windowMs) {
+    const { start, resetAt } = currentWindow(windowMs);
+
+    const update = () =>
+      RateLimit.findOneAndUpdate(
+        { _id: `${key}:${start}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, new: true, lean: true }
+      );
+
+    let counter;
+    try {
+      counter = await update();
+    } catch (err) {
+      // Two instances created the same counter at once: the other won
+      if (err.code !== 11000) throw err;
+      counter = await update();
+    }
+
+    return { count: counter.count, resetAt };
+  },
+  async reset() {
+    await RateLimit.deleteMany({});
+  }
+});
+
+// Pick the default store from the configuration
+const createDefaultStore = () =>
+  config.rateLimitStore === "mongo"
+    ? createMongoStore()
+    : createMemoryStore();
+
+let store = createDefaultStore();
+
+/**
+ * Replace the active store
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Get the active store
+ */
+const getStore = () => store;
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  setStore,
+  getStore
+};
@@ -0,0 +1,169 @@
+/**
+ * tokens.js
+ * ----------
+ * This file contains helpers for issuing and rotating auth tokens.
+ *
+ * Responsibilities:
+ * - Sign short-lived JWT access tokens
+ * - Generate random refresh tokens and hash them for storage
+ * - Create sessions and rotate refresh tokens
+ * - Create single-use tokens for email verification and password reset
+ * - Generate API keys
+ *
+ * Plain tokens are only ever returned (or emailed) to the client.
+ * The database stores SHA-256 hashes.
+ */
+
+// Node's built-in crypto module for random bytes and hashing
+const crypto = require("crypto");
+
+// jsonwebtoken is used to sign access tokens
+const jwt = require("jsonwebtoken");
+
+// Validated settings (JWT secret, token lifetimes)
+const config = require("../config");
+
+// Import session and refresh token models
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+
+// --------------------------------------------------
+// TOKEN LIFETIMES
+// --------------------------------------------------
+// Access tokens are short-lived; refresh tokens keep the session alive
+// (ACCESS_TOKEN_EXPIRES_IN and REFRESH_TOKEN_TTL_DAYS, see config/env.js)
+const ACCESS_TOKEN_EXPIRES_IN = config.accessTokenTtlSeconds;
+const REFRESH_TOKEN_TTL_DAYS = config.refreshTokenTtlDays;
+
+/**
+ * Hash a token with SHA-256 (hex encoded)
+ * Used for refresh tokens and any other secret stored at rest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Generate a random, URL-safe opaque token
+ */
+const generateToken = (bytes = 48) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Create a single-use, expiring token (email verification, password reset)
+ * Returns the plain token (sent to the user), its hash and expiry date
+ */
+const createExpiringToken = (ttlMinutes) => {
+  const token = generateToken(32);
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  };
+};
+
+// API keys start with this marker so they are easy to spot
+// (e.g. by secret scanners) and to tell apart from JWTs
+const API_KEY_PREFIX = "bk_";
+
+/**
+ * Generate a new API key
+ * Returns the plain key (shown once), its hash and a short
+ * prefix used to recognise the key in lists
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+
+  return {
+    key,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8)
+  };
+};
+
+/**
+ * Sign an access token for a user and session
+ * Payload contains user ID, role and session ID (sid)
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      sid: sessionId
+    },
+    config.jwtSecret,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+/**
+ * Store a new refresh token for a session and return the plain value
+ */
+const createRefreshToken = async (session) => {
+  const token = generateToken();
+
+  await RefreshToken.create({
+    tokenHash: hashToken(token),
+    session: session._id,
+    user: session.user,
+    expiresAt: session.expiresAt
+  });
+
+  return token;
+};
+
+/**
+ * Start a new session for a user (called on login)
+ * Returns the access token and the first refresh token of the family
+ */
+const issueSession = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: await createRefreshToken(session),
+    session
+  };
+};
+
+/**
+ * Revoke one session
+ */
+const revokeSession = (sessionId, reason) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+/**
+ * Revoke every active session of a user
+ * Optionally keep one session (e.g. the one changing the password)
+ */
+const revokeAllSessions = (userId, reason, exceptSessionId = null) =>
+  Session.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  generateToken,
+  createExpiringToken,
+  generateApiKey,
+  signAccessToken,
+  createRefreshToken,
+  issueSession,
+  revokeSession,
+  revokeAllSessions
+};
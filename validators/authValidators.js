@@ -0,0 +1,87 @@
+/**
+ * authValidators.js
+ * ------------------
+ * This file defines the validation schemas for authentication routes.
+ *
+ * Each schema is used in routes/authRoutes.js with the
+ * validate() middleware from validators/index.js.
+ */
+
+const { idParams, email, username, newPassword } = require("./common");
+
+// Import the API key scopes
+const { SCOPES } = require("../config/permissions");
+
+// Validated settings (API_KEY_MAX_TTL_DAYS)
+const config = require("../config");
+
+// Longest lifetime of an API key, in days
+const API_KEY_MAX_TTL_DAYS = config.apiKeyMaxTtlDays;
+
+// POST /api/auth/register
+exports.registerSchema = {
+  body: {
+    username: { ...username, required: true },
+    email: { ...email, required: true },
+    password: { ...newPassword, required: true }
+  }
+};
+
+// POST /api/auth/login
+// The password policy is NOT applied: it only concerns new passwords
+exports.loginSchema = {
+  body: {
+    email: { ...email, required: true },
+    password: { type: "string", required: true }
+  }
+};
+
+// POST /api/auth/refresh
+exports.refreshSchema = {
+  body: {
+    refreshToken: { type: "string", required: true }
+  }
+};
+
+// POST /api/auth/verify-email
+exports.verifyEmailSchema = {
+  body: {
+    token: { type: "string", required: true }
+  }
+};
+
+// POST /api/auth/forgot-password
+exports.forgotPasswordSchema = {
+  body: {
+    email: { ...email, required: true }
+  }
+};
+
+// POST /api/auth/reset-password
+exports.resetPasswordSchema = {
+  body: {
+    token: { type: "string", required: true },
+    password: { ...newPassword, required: true }
+  }
+};
+
+// POST /api/auth/api-keys
+// Without expiresInDays the key never expires
+exports.createApiKeySchema = {
+  body: {
+    name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+    scopes: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      maxItems: Object.keys(SCOPES).length,
+      items: { type: "string", required: true, enum: Object.keys(SCOPES) }
+    },
+    expiresInDays: { type: "integer", min: 1, max: API_KEY_MAX_TTL_DAYS }
+  }
+};
+
+// DELETE /api/auth/api-keys/:id
+exports.apiKeyIdSchema = {
+  params: idParams
+};
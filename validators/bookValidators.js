@@ -0,0 +1,229 @@
+/**
+ * bookValidators.js
+ * ------------------
+ * This file defines the validation schemas for book routes.
+ *
+ * The rules mirror models/Book.js:
+ * - title is required
+ * - author (or authors) is required
+ * - every other field is optional
+ */
+
+const { idParams, pagination, cursorPagination } = require("./common");
+
+// Validated settings (BULK_MAX_OPERATIONS)
+const config = require("../config");
+
+// Largest number of operations in one bulk request
+const BULK_MAX_OPERATIONS = config.bulkMaxOperations;
+
+// Import the list endpoint's query language (filters, sort, fields)
+const { queryRules } = require("../utils/bookQuery");
+
+// Import the ISBN checksum validation
+const { isValidIsbn } = require("../utils/isbn");
+
+// A list of short strings (authors, genres, tags)
+const stringList = (maxItems, itemRule) => ({
+  type: "array",
+  maxItems,
+  items: { type: "string", trim: true, required: true, ...itemRule }
+});
+
+// Fields a client may set on a book
+// Optional fields accept null to clear them on update
+const bookFields = {
+  title: { type: "string", trim: true, maxLength: 300 },
+  author: { type: "string", trim: true, maxLength: 200 },
+  authors: stringList(20, { maxLength: 200 }),
+  year: { type: "integer", nullable: true, min: 0, max: 9999 },
+  isbn: {
+    type: "string",
+    nullable: true,
+    trim: true,
+    custom: (value) =>
+      value && !isValidIsbn(value) ? "must be a valid ISBN-10 or ISBN-13" : null
+  },
+  genres: stringList(20, { lowercase: true, maxLength: 50 }),
+  tags: stringList(30, { lowercase: true, maxLength: 50 }),
+  description: { type: "string", nullable: true, trim: true, maxLength: 5000 },
+  publisher: { type: "string", nullable: true, trim: true, maxLength: 200 },
+  pageCount: { type: "integer", nullable: true, min: 1, max: 100000 },
+  language: {
+    type: "string",
+    nullable: true,
+    trim: true,
+    lowercase: true,
+    pattern: /^[a-z]{2,3}(-[a-z]{2})?$/,
+    patternMessage: "must be a language code such as \"en\" or \"pt-br\""
+  },
+  coverImage: {
+    type: "string",
+    nullable: true,
+    trim: true,
+    maxLength: 2000,
+    pattern: /^https?:\/\/\S+$/i,
+    patternMessage: "must be an http(s) URL"
+  }
+};
+
+// GET /api/books
+// Filters, sort and fields are whitelisted in utils/bookQuery.js
+exports.listBooksSchema = {
+  query: {
+    ...pagination,
+    ...cursorPagination,
+    ...queryRules()
+  },
+  refine: ({ query }) =>
+    query.page !== undefined && (query.cursor || query.paginate === "cursor")
+      ? [{ location: "query", field: "page", message: "cannot be combined with cursor pagination" }]
+      : []
+};
+
+// GET /api/books/suggest
+exports.suggestBooksSchema = {
+  query: {
+    q: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+    limit: { type: "integer", min: 1, max: 20 }
+  }
+};
+
+// Names of the fields a client may set (PUT replaces all of them)
+exports.BOOK_FIELDS = Object.keys(bookFields);
+
+// A complete book: title and author (or authors) are required
+// Used for creation, full replacement (PUT) and the result of a PATCH
+const bookResourceSchema = {
+  body: {
+    ...bookFields,
+    title: { ...bookFields.title, required: true },
+    authors: { ...bookFields.authors, minItems: 1 }
+  },
+  refine: ({ body }) =>
+    !body.author && !body.authors
+      ? [{ location: "body", field: "author", message: "is required (or provide authors)" }]
+      : []
+};
+exports.bookResourceSchema = bookResourceSchema;
+
+// POST /api/books
+exports.createBookSchema = bookResourceSchema;
+
+// PUT /api/books/:id
+// The body is the complete new book: omitted fields are cleared
+exports.replaceBookSchema = {
+  params: idParams,
+  ...bookResourceSchema
+};
+
+// PATCH /api/books/:id
+// The body is a patch document, validated once applied
+// (see controllers/bookController.js)
+exports.patchBookSchema = {
+  params: idParams
+};
+
+// POST /api/books/bulk
+// The envelope is validated here, each operation separately
+// (bulkOperationSchema) so errors are reported per item
+exports.bulkBooksSchema = {
+  body: {
+    operations: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      maxItems: BULK_MAX_OPERATIONS,
+      items: { type: "object", required: true }
+    },
+    atomic: { type: "boolean", default: false }
+  }
+};
+
+// One operation of a bulk request
+// - insert → book (validated like POST /api/books)
+// - update → id + book (merged into the stored book, validated like PATCH)
+// - delete → id
+exports.bulkOperationSchema = {
+  body: {
+    op: { type: "string", required: true, enum: ["insert", "update", "delete"] },
+    id: { type: "objectId" },
+    book: { type: "object" }
+  },
+  refine: ({ body }) => {
+    const errors = [];
+    if ((body.op === "update" || body.op === "delete") && !body.id) {
+      errors.push({ location: "body", field: "id", message: "is required" });
+    }
+    if ((body.op === "insert" || body.op === "update") && !body.book) {
+      errors.push({ location: "body", field: "book", message: "is required" });
+    }
+    return errors;
+  }
+};
+
+exports.BULK_MAX_OPERATIONS = BULK_MAX_OPERATIONS;
+
+// GET /api/books/export
+// Same filters, sort and fields as the list, without pagination
+exports.exportBooksSchema = {
+  query: {
+    format: { type: "string", default: "json", enum: ["csv", "json", "ndjson"] },
+    ...queryRules()
+  }
+};
+
+// POST /api/books/import (multipart/form-data, file in "file")
+// mapping: JSON object { "<column>": "<book field>" }
+exports.importBooksSchema = {
+  query: {
+    format: { type: "string", enum: ["csv", "json", "ndjson"] },
+    dryRun: { type: "boolean", default: false }
+  },
+  body: {
+    mapping: {
+      type: "string",
+      custom: (value) => {
+        let mapping;
+        try {
+          mapping = JSON.parse(value);
+        } catch {
+          return "must be a JSON object";
+        }
+        if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+          return "must be a JSON object";
+        }
+        const unknown = Object.values(mapping).filter(
+          (field) => !exports.BOOK_FIELDS.includes(field)
+        );
+        return unknown.length > 0 ? `maps to unknown fields: ${unknown.join(", ")}` : null;
+      }
+    }
+  }
+};
+
+// GET /api/books/:id
+// DELETE /api/books/:id
+// POST /api/books/:id/restore
+exports.bookIdSchema = {
+  params: idParams
+};
+
+// GET /api/books/:id/history
+exports.bookHistorySchema = {
+  params: idParams,
+  query: pagination
+};
+
+// POST /api/books/:id/revert/:version
+exports.revertBookSchema = {
+  params: {
+    ...idParams,
+    version: { type: "integer", required: true, min: 1 }
+  }
+};
+
+// GET /api/books/trash
+exports.listTrashSchema = {
+  query: pagination
+};
@@ -0,0 +1,57 @@
+/**
+ * common.js
+ * ----------
+ * This file contains validation rules shared by several routes.
+ *
+ * Rules are plain objects understood by validators/index.js.
+ */
+
+// Validated settings (MAX_PAGE_LIMIT)
+const config = require("../config");
+
+// URL parameter ":id" must be a MongoDB ObjectId
+exports.idParams = {
+  id: { type: "objectId", required: true }
+};
+
+// Email address (stored lowercase, like models/User.js)
+exports.email = {
+  type: "string",
+  trim: true,
+  lowercase: true,
+  maxLength: 254,
+  format: "email"
+};
+
+// Username: 3-30 letters, digits, dots, dashes or underscores
+exports.username = {
+  type: "string",
+  trim: true,
+  minLength: 3,
+  maxLength: 30,
+  pattern: /^[a-zA-Z0-9._-]+$/,
+  patternMessage: "may only contain letters, digits, dots, dashes and underscores"
+};
+
+// A NEW password: must satisfy config/passwordPolicy.js
+exports.newPassword = {
+  type: "string",
+  format: "password"
+};
+
+// Largest page a client may request (e.g. ?limit=100000 is rejected)
+const MAX_PAGE_LIMIT = config.maxPageLimit;
+exports.MAX_PAGE_LIMIT = MAX_PAGE_LIMIT;
+
+// Offset pagination query parameters
+exports.pagination = {
+  page: { type: "integer", min: 1 },
+  limit: { type: "integer", min: 1, max: MAX_PAGE_LIMIT }
+};
+
+// Cursor pagination query parameters
+// paginate=cursor starts cursor mode; later pages pass the returned cursor
+exports.cursorPagination = {
+  paginate: { type: "string", enum: ["offset", "cursor"] },
+  cursor: { type: "string", maxLength: 2000 }
+};
@@ -0,0 +1,346 @@
+/**
+ * validators/index.js
+ * --------------------
+ * This file contains the declarative request validation engine.
+ *
+ * Responsibilities:
+ * - Validate req.body, req.params and req.query against a schema
+ * - Convert query/params strings to numbers, booleans and dates
+ * - Strip fields that are not declared in the schema
+ * - Collect EVERY field error into one uniform 422 ValidationError
+ * - Validate other string sources (e.g. settings, see config/env.js)
+ *
+ * A schema lists the fields of each request location:
+ *
+ * {
+ *   params: { id: { type: "objectId", required: true } },
+ *   body: {
+ *     title: { type: "string", required: true, trim: true, maxLength: 200 },
+ *     year:  { type: "integer", min: 0 }
+ *   },
+ *   query: { page: { type: "integer", min: 1 } },
+ *   nonEmptyBody: true,  // at least one body field must be present
+ *   refine: (values) => []  // cross-field checks, returns extra field errors
+ * }
+ *
+ * Supported rule keys:
+ * - type        → string | number | integer | boolean | date | objectId | array | object
+ * - required    → field must be present (not undefined, null or "")
+ * - nullable    → null is accepted (e.g. to clear a field)
+ * - default     → value used when the field is missing
+ * - trim, lowercase → string normalisation
+ * - minLength, maxLength, pattern, enum, format (email | password)
+ * - min, max    → numbers and dates
+ * - items, minItems, maxItems → arrays (items is a rule for each element)
+ * - fields      → nested object schema
+ * - custom      → (value) => error message or null
+ *
+ * The per-route schemas live next to this file (authValidators.js, ...).
+ */
+
+// The password policy used by format: "password"
+// Loaded on first use: config/env.js validates the settings with this
+// engine, and the policy itself reads the validated settings
+const checkPassword = (password) => require("../config/passwordPolicy").checkPassword(password);
+
+// Import the validation error class
+const { ValidationError } = require("../errors/AppError");
+
+// Simple, permissive email format check (something@something.tld)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// MongoDB ObjectId: 24 hexadecimal characters
+// Checked here so invalid IDs never reach a Mongo query
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Request locations in the order they are validated
+const LOCATIONS = ["params", "query", "body"];
+
+// --------------------------------------------------
+// TYPE CHECKS
+// --------------------------------------------------
+
+/**
+ * Convert a query/params string to the declared type
+ * Returns the original value if it cannot be converted
+ */
+const coerce = (value, type) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  if ((type === "number" || type === "integer") && value.trim() !== "") {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  if (type === "array") {
+    return value === "" ? [] : value.split(",");
+  }
+
+  return value;
+};
+
+// Type checks: each returns true when the value has the declared type
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  date: (value) =>
+    (typeof value === "string" || typeof value === "number") &&
+    !Number.isNaN(new Date(value).getTime()),
+  objectId: (value) => typeof value === "string" && OBJECT_ID_PATTERN.test(value),
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value)
+};
+
+// Error message for each type
+const TYPE_MESSAGES = {
+  string: "must be a string",
+  number: "must be a number",
+  integer: "must be an integer",
+  boolean: "must be true or false",
+  date: "must be a valid date",
+  objectId: "must be a valid ID",
+  array: "must be an array",
+  object: "must be an object"
+};
+
+// --------------------------------------------------
+// FIELD VALIDATION
+// --------------------------------------------------
+
+/**
+ * Validate one field
+ * Pushes errors into the shared list and returns the clean value
+ */
+const validateField = (value, rule, path, location, errors, shouldCoerce) => {
+  const fail = (message) => {
+    errors.push({ location, field: path, message });
+  };
+
+  // Missing values: apply default or report "required"
+  const isMissing = value === undefined || value === "" ||
+    (value === null && !rule.nullable);
+
+  if (isMissing) {
+    if (rule.default !== undefined) {
+      return typeof rule.default === "function" ? rule.default() : rule.default;
+    }
+    if (rule.required) {
+      fail("is required");
+    }
+    return undefined;
+  }
+
+  if (value === null) {
+    return null;
+  }
+
+  if (shouldCoerce) {
+    value = coerce(value, rule.type);
+  }
+
+  if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+    fail(TYPE_MESSAGES[rule.type]);
+    return undefined;
+  }
+
+  // Dates are handed to controllers as Date objects
+  if (rule.type === "date") {
+    value = new Date(value);
+  }
+
+  // String normalisation and checks
+  if (typeof value === "string") {
+    if (rule.trim) value = value.trim();
+    if (rule.lowercase) value = value.toLowerCase();
+
+    if (rule.required && value === "") {
+      fail("is required");
+      return undefined;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      fail(rule.patternMessage || "has an invalid format");
+    }
+    if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+      fail("must be a valid email address");
+    }
+    if (rule.format === "password") {
+      checkPassword(value).forEach(fail);
+    }
+  }
+
+  // Number and date ranges
+  if (typeof value === "number" || value instanceof Date) {
+    if (rule.min !== undefined && value < rule.min) {
+      fail(`must be at least ${rule.min instanceof Date ? rule.min.toISOString() : rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      fail(`must be at most ${rule.max instanceof Date ? rule.max.toISOString() : rule.max}`);
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail(`must be one of: ${rule.enum.join(", ")}`);
+  }
+
+  // Arrays: size and per-item rules
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      fail(`must contain at least ${rule.minItems} items`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      fail(`must contain at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value = value.map((item, index) =>
+        validateField(item, rule.items, `${path}[${index}]`, location, errors, shouldCoerce)
+      );
+    }
+  }
+
+  // Nested objects
+  if (rule.fields && value && typeof value === "object" && !Array.isArray(value)) {
+    value = validateFields(value, rule.fields, location, errors, shouldCoerce, `${path}.`);
+  }
+
+  if (rule.custom) {
+    const message = rule.custom(value);
+    if (message) fail(message);
+  }
+
+  return value;
+};
+
+/**
+ * Validate every declared field of an object
+ * Undeclared fields are dropped; missing optional fields are omitted
+ */
+const validateFields = (source, fields, location, errors, shouldCoerce, prefix = "") => {
+  const input = source && typeof source === "object" ? source : {};
+  const output = {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = validateField(
+      input[name],
+      rule,
+      `${prefix}${name}`,
+      location,
+      errors,
+      shouldCoerce
+    );
+
+    if (value !== undefined) {
+      output[name] = value;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Validate a whole request against a schema
+ * Returns { values, errors } without touching the request
+ */
+const validateRequest = (req, schema) => {
+  const errors = [];
+  const values = {};
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue;
+
+    // Query strings and URL params are always strings → convert them
+    const shouldCoerce = location !== "body";
+
+    values[location] = validateFields(
+      req[location],
+      schema[location],
+      location,
+      errors,
+      shouldCoerce
+    );
+  }
+
+  if (schema.nonEmptyBody && values.body && Object.keys(values.body).length === 0) {
+    errors.push({
+      location: "body",
+      field: null,
+      message: "must contain at least one field to update"
+    });
+  }
+
+  // Cross-field checks (e.g. "either author or authors is required")
+  if (schema.refine) {
+    errors.push(...schema.refine(values));
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Validate a flat object of strings (e.g. process.env) against field rules
+ * Values are converted like query strings
+ * Returns { values, errors } (errors have no location)
+ */
+const validateValues = (source, fields) => {
+  const errors = [];
+  const values = validateFields(source, fields, undefined, errors, true);
+
+  return { values, errors };
+};
+
+// --------------------------------------------------
+// VALIDATION MIDDLEWARE
+// --------------------------------------------------
+// Usage:
+// router.post("/", validate(createBookSchema), createBook);
+//
+// On success the validated (cleaned) values replace
+// req.body, req.params and req.query.
+// On failure the request stops with a 422 ValidationError,
+// rendered by middleware/errorHandler.js as:
+// {
+//   "success": false,
+//   "code": "VALIDATION_FAILED",
+//   "message": "Request validation failed",
+//   "errors": [{ "location": "body", "field": "email", "message": "..." }]
+// }
+// --------------------------------------------------
+const validate = (schema) => (req, res, next) => {
+  const { values, errors } = validateRequest(req, schema);
+
+  if (errors.length > 0) {
+    return next(new ValidationError(errors));
+  }
+
+  // Express 5 exposes req.query as a getter, so it is redefined
+  // instead of assigned
+  for (const [location, value] of Object.entries(values)) {
+    Object.defineProperty(req, location, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validate,
+  validateRequest,
+  validateValues,
+  EMAIL_PATTERN
+};
@@ -0,0 +1,58 @@
+/**
+ * userValidators.js
+ * ------------------
+ * This file defines the validation schemas for user routes.
+ */
+
+const { idParams, pagination, email, username, newPassword } = require("./common");
+
+// Import the list of known roles
+const { ROLES } = require("../config/permissions");
+
+// PATCH /api/users/me
+exports.updateMeSchema = {
+  body: {
+    username,
+    email
+  },
+  nonEmptyBody: true
+};
+
+// POST /api/users/me/password
+exports.changePasswordSchema = {
+  body: {
+    currentPassword: { type: "string", required: true },
+    newPassword: { ...newPassword, required: true }
+  }
+};
+
+// DELETE /api/users/me
+exports.deleteMeSchema = {
+  body: {
+    password: { type: "string", required: true }
+  }
+};
+
+// GET /api/users
+exports.listUsersSchema = {
+  query: {
+    ...pagination,
+    search: { type: "string", trim: true, maxLength: 100 }
+  }
+};
+
+// PATCH /api/users/:id/role
+exports.updateRoleSchema = {
+  params: idParams,
+  body: {
+    role: { type: "string", required: true, enum: Object.values(ROLES) }
+  }
+};
+
+// PATCH /api/users/:id/status
+exports.updateStatusSchema = {
+  params: idParams,
+  body: {
+    disabled: { type: "boolean", required: true }
+  }
+};